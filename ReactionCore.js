@@ -11,13 +11,160 @@
  * Не містить жодної логіки відображення (DOM/HTML).
  */
 
-// Таблиця нормативів біологічного віку (Патент №126671)
-const BIO_AGE_NORMATIVE_TABLE = {
-    male: { 7: 357.86, 8: 344.72, 9: 302.67, 10: 295.73, 11: 264.15, 12: 262.26, 13: 248.71, 14: 243.6, 15: 235.9, 16: 231.6 },
-    female: { 7: 387.06, 8: 347.32, 9: 311.79, 10: 304.15, 11: 272.93, 12: 268.74, 13: 256.78, 14: 251.77, 15: 247.3, 16: 239.4 }
+import { normsRegistry, NormsRegistry, normsError } from './norms.js';
+import { Emitter } from './events.js';
+import { analyzeRound, worstVerdict, VALIDITY_THRESHOLDS } from './validity.js';
+
+/**
+ * Події ядра (core.on(CORE_EVENT.X, payload => ...)). Кожна подія має один об'єкт-payload;
+ * round — номер раунду (1-based, 0 — тренування), index — номер стимулу в раунді (1-based),
+ * practice — true для подій тренувального блоку.
+ */
+export const CORE_EVENT = Object.freeze({
+    ROUND_START: 'round:start',               // { round, totalRounds, retry, practice }
+    STIMULUS_SCHEDULED: 'stimulus:scheduled', // { round, index, total, delay, stimulus }
+    STIMULUS_SHOW: 'stimulus:show',           // { round, index, total, stimulus } — показати стимул
+    STIMULUS_ONSET: 'stimulus:onset',         // { round, index, onset, jitter } — стимул відмальовано
+    STIMULUS_HIDE: 'stimulus:hide',           // { round, index } — сховати стимул
+    INPUT_ACCEPTED: 'input:accepted',         // { round, index, rt, response, device }
+    INPUT_REJECTED: 'input:rejected',         // { round, index, reason: INPUT_REJECTION, offset, response }
+    EXPOSURE_END: 'exposure:end',             // { round, index, trial }
+    ROUND_COMPLETE: 'round:complete',         // { stats, isFinal }
+    TEST_COMPLETE: 'test:complete',           // { results } — результат getFinalResults()
+    PRACTICE_COMPLETE: 'practice:complete',   // { practice } — підсумок тренування (див. finishPractice)
+    SPAM: 'spam',                             // { round, index } — раунд зупинено
+    INTERRUPTED: 'interrupted',               // { round, index, reason } — раунд перервано ззовні (interruptRound)
+    LOG: 'log'                                // { message, time }
+});
+
+/**
+ * Причини, з яких натискання не зараховано (CORE_EVENT.INPUT_REJECTED).
+ */
+export const INPUT_REJECTION = Object.freeze({
+    INACTIVE: 'inactive',         // Раунд не йде
+    ANTICIPATION: 'anticipation', // Стимулу ще немає
+    SPAM: 'spam',                 // Перевищено maxSpamClicks
+    REPEAT: 'repeat',             // Реакцію на цей стимул уже зараховано
+    TOO_FAST: 'too-fast'          // Швидше за minValidReactionTime
+});
+
+/**
+ * Результати окремого стимулу (проби) та окремого натискання.
+ * REPEAT буває лише в натисканнях: повторний клік після зарахованої реакції.
+ */
+export const TRIAL_OUTCOME = Object.freeze({
+    HIT: 'hit',                   // Реакцію зараховано
+    MISS: 'miss',                 // Реакції не було
+    ANTICIPATION: 'anticipation', // Натискання до появи стимулу (під час паузи)
+    TOO_FAST: 'too-fast',         // Швидше за minValidReactionTime
+    WRONG: 'wrong',               // Режим вибору: натиснуто не ту відповідь
+    COMMISSION: 'commission',     // Go/No-Go: натискання на стимул "не натискати"
+    CORRECT_REJECTION: 'correct-rejection', // Go/No-Go: стимул "не натискати" пропущено правильно
+    REPEAT: 'repeat'              // Повторне натискання на той самий стимул
+});
+
+// Версія формату serialize(); змінюється, якщо знімок стає несумісним
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Висновок calculateBioAge(). Записи зберігають код, текст — у каталогах перекладів (i18n.js).
+ */
+export const CONCLUSION = Object.freeze({
+    NORMAL: 'normal',           // Норма
+    ACCELERATED: 'accelerated', // Розвиток прискорений (БВ > ПВ)
+    DELAYED: 'delayed'          // Розвиток уповільнений (БВ < ПВ)
+});
+
+// Висновки, які зберігалися текстом до появи кодів
+const LEGACY_CONCLUSION = {
+    'Норма': CONCLUSION.NORMAL,
+    'Розвиток прискорений (БВ > ПВ)': CONCLUSION.ACCELERATED,
+    'Розвиток уповільнений (БВ < ПВ)': CONCLUSION.DELAYED
+};
+
+/**
+ * Режими тестування.
+ */
+export const TEST_MODE = Object.freeze({
+    SIMPLE: 'simple',   // Проста реакція: один стимул, одна відповідь
+    CHOICE: 'choice',   // Реакція вибору: N типів стимулів, кожен зі своєю відповіддю
+    GO_NOGO: 'go-nogo'  // Go/No-Go: частину стимулів (nogo: true) натискати не можна
+});
+
+/**
+ * Модальність стимулу. Результати та нормативи різних модальностей не змішуються.
+ */
+export const MODALITY = Object.freeze({
+    VISUAL: 'visual',       // Фігура на екрані; поява — кадр відмальовки (timing.requestFrame)
+    AUDITORY: 'auditory'    // Тон; поява — з аудіогодинника (timing.requestAudio)
+});
+
+// Єдиний тип стимулу простого режиму
+const SIMPLE_STIMULUS = { id: 'default', response: null };
+
+// Типи Go/No-Go, якщо config.stimulusTypes не задано
+const DEFAULT_GO_NOGO_STIMULI = [
+    { id: 'go', nogo: false },
+    { id: 'nogo', nogo: true }
+];
+
+/**
+ * Перцентиль відсортованої вибірки з лінійною інтерполяцією.
+ * @param {number[]} sorted
+ * @param {number} p - 0..100
+ */
+function percentile(sorted, p) {
+    const pos = (sorted.length - 1) * (p / 100);
+    const lower = Math.floor(pos);
+    const upper = Math.ceil(pos);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (pos - lower);
+}
+
+/**
+ * Обернена функція стандартного нормального розподілу (z-оцінка для ймовірності p).
+ * Раціональна апроксимація Acklam, похибка ~1e-9.
+ * @param {number} p - 0 < p < 1
+ */
+function inverseNormal(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Джерело часу та планувальник за замовчуванням.
+ * Глобальні функції викликаються "ліниво", щоб їх можна було підмінити (тести, симуляції).
+ */
+const DEFAULT_TIMING = {
+    // Монотонний годинник високої точності (та сама шкала, що й event.timeStamp)
+    now: () => (typeof performance !== 'undefined' ? performance.now() : Date.now()),
+    setTimeout: (callback, delay) => setTimeout(callback, delay),
+    clearTimeout: (id) => clearTimeout(id),
+    // Хук кадру відмальовки. Якщо його немає (Node), момент появи = момент виклику.
+    requestFrame: typeof requestAnimationFrame === 'function' ? (callback) => requestAnimationFrame(callback) : null,
+    cancelFrame: typeof cancelAnimationFrame === 'function' ? (id) => cancelAnimationFrame(id) : () => {},
+    // Хук слухового стимулу (див. audio.js). Без нього момент появи = момент виклику.
+    requestAudio: null,
+    cancelAudio: () => {},
+    // Джерело випадковості для пауз і порядку стимулів (у симуляціях — з фіксованим seed)
+    random: () => Math.random()
 };
 
-export class ReactionTestCore {
+export class ReactionTestCore extends Emitter {
     /**
      * @param {Object} config - Налаштування тесту
      * @param {number} [config.rounds=3] - Кількість серій (раундів) тестування
@@ -27,8 +174,33 @@ export class ReactionTestCore {
      * @param {number} [config.maxDelay=3000] - Максимальна пауза перед появою (мс)
      * @param {number} [config.minValidReactionTime=100] - Мінімальний час реакції (захист від випадкових кліків)
      * @param {number} [config.maxSpamClicks=3] - Макс. кількість кліків на один стимул (захист від "спаму")
+     * @param {'none'|'sd'|'iqr'} [config.outlierRule='none'] - Правило відсікання викидів у раунді
+     * @param {?number} [config.outlierThreshold] - Поріг правила: кількість SD (типово 2.5) або множник IQR (типово 1.5)
+     * @param {number} [config.minValidPerRound=1] - Мінімум реакцій (після відсікання), щоб раунд ввійшов у результат
+     * @param {'mean'|'median'} [config.scoringStatistic='mean'] - Статистика раунду, що йде в розрахунок біологічного віку
+     * @param {'simple'|'choice'} [config.mode='simple'] - Режим тестування (TEST_MODE)
+     * @param {Array<{id: string, response: string}>} [config.stimulusTypes] - Режим вибору: типи стимулів і очікувана відповідь.
+     *        Go/No-Go: типи з прапорцем nogo (true — не натискати).
+     *        Додаткові поля (колір, форма...) передаються в onStimulusShow без змін.
+     * @param {number} [config.noGoShare=0.25] - Go/No-Go: частка стимулів "не натискати" у раунді
+     * @param {'visual'|'auditory'} [config.modality='visual'] - Модальність стимулу (MODALITY); слухова — лише простий режим
+     * @param {number} [config.practiceStimuli=0] - Стимулів у тренувальному блоці перед першим раундом (0 — без тренування)
+     * @param {Object} [config.validityThresholds=VALIDITY_THRESHOLDS] - Пороги аналізу достовірності серії (validity.js)
+     * @param {Object<string, number>} [config.inputOffsets={}] - Затримка пристрою вводу, мс (див. calibration.js):
+     *        віднімається від часу події пристрою, переданого в registerInput()
+     * @param {Object} [timing] - Годинник і планувальник (для тестів/симуляцій)
+     * @param {function(): number} [timing.now] - Поточний час у мс (за замовчуванням performance.now)
+     * @param {function(Function, number): *} [timing.setTimeout]
+     * @param {function(*): void} [timing.clearTimeout]
+     * @param {?function(function(number)): *} [timing.requestFrame] - Виклик у кадрі відмальовки (requestAnimationFrame)
+     * @param {function(*): void} [timing.cancelFrame]
+     * @param {?function(function(number), Object): *} [timing.requestAudio] - Відтворює тон і передає момент його появи
+     * @param {function(*): void} [timing.cancelAudio]
+     * @param {function(): number} [timing.random] - Випадкове число в [0, 1) (за замовчуванням Math.random)
      */
-    constructor(config = {}) {
+    constructor(config = {}, timing = {}) {
+        super();
+
         this.config = {
             rounds: 3,
             stimuliCount: 30,
@@ -37,9 +209,22 @@ export class ReactionTestCore {
             maxDelay: 3000,
             minValidReactionTime: 100,
             maxSpamClicks: 3,
+            outlierRule: 'none',
+            outlierThreshold: null,
+            minValidPerRound: 1,
+            scoringStatistic: 'mean',
+            mode: TEST_MODE.SIMPLE,
+            stimulusTypes: [],
+            noGoShare: 0.25,
+            practiceStimuli: 0,
+            modality: MODALITY.VISUAL,
+            inputOffsets: {},
+            validityThresholds: VALIDITY_THRESHOLDS,
             ...config
         };
 
+        this.timing = { ...DEFAULT_TIMING, ...timing };
+
         // Внутрішній стан
         this.state = {
             isRunning: false,           // Чи активний процес тестування
@@ -50,29 +235,113 @@ export class ReactionTestCore {
             roundAverages: [],          // Середні значення завершених раундів
             allRounds: [],              // Зберігає повну деталізацію кожного раунду
 
+            trials: [],                 // Записи всіх проб поточного раунду (див. createTrial)
+            stimulusSequence: [],       // Типи стимулів раунду в порядку показу
+            currentTrial: null,         // Проба, що зараз триває (пауза + експозиція)
+            isPractice: false,          // Іде тренувальний блок (не входить у результат)
+            practice: null,             // Підсумок тренування (finishPractice)
+            interruptions: [],          // Перерви поточного раунду, включно з анульованими спробами (interruptRound)
+
             // Тимчасові змінні для одного стимулу
-            stimulusStartTime: 0,
+            plannedOnsetTime: 0,        // Коли стимул мав з'явитися за планом
+            stimulusStartTime: 0,       // Фактичний момент появи (кадр відмальовки)
             isStimulusVisible: false,
             clickCountForStimulus: 0,   // Лічильник кліків для поточного стимулу
             pendingReaction: null,      // Збережена реакція для поточного стимулу (якщо клік був під час експозиції)
 
-            timerId: null
+            timerId: null,
+            frameId: null
         };
-
-        // --- Події (Callbacks) для зовнішнього коду ---
-        this.onStimulusShow = (index, total) => {};     // Показати стимул
-        this.onStimulusHide = () => {};                 // Сховати стимул
-        this.onRoundComplete = (roundStats, isFinal) => {}; // Раунд завершено
-        this.onSpamDetected = () => {};                 // Виявлено порушення
     }
 
     /**
-     * Логування подій ядра з часовою міткою
+     * Логування подій ядра з часовою міткою (подія CORE_EVENT.LOG).
+     * У консоль потрапляє лише з підписаним ReactionTestCore.consoleLogger.
      * @private
      */
     log(message) {
-        const time = new Date().toISOString().split('T')[1].slice(0, -1);
-        console.log(`[Core ${time}] ${message}`);
+        this.emit(CORE_EVENT.LOG, { message, time: new Date() });
+    }
+
+    /**
+     * Підписує на CORE_EVENT.LOG вивід у консоль.
+     * @param {ReactionTestCore} core
+     * @returns {function(): void} Відписка
+     */
+    static consoleLogger(core) {
+        return core.on(CORE_EVENT.LOG, ({ message, time }) => {
+            console.log(`[Core ${time.toISOString().split('T')[1].slice(0, -1)}] ${message}`);
+        });
+    }
+
+    /**
+     * Спільні поля payload подій поточного стимулу.
+     * @private
+     */
+    eventContext() {
+        return { round: this.state.currentRound, index: this.state.currentStimulusIndex + 1, practice: this.state.isPractice };
+    }
+
+    /**
+     * Кількість стимулів у поточному блоці: тренування або звичайний раунд.
+     * @private
+     */
+    blockLength() {
+        return this.state.isPractice ? this.config.practiceStimuli : this.config.stimuliCount;
+    }
+
+    /**
+     * Оновлює налаштування між тестами (наприклад, режим, обраний на екрані входу).
+     * @param {Object} overrides - Ті самі ключі, що й у конструкторі
+     */
+    configure(overrides) {
+        if (this.state.isRoundActive) throw new Error('Cannot reconfigure during an active round');
+        this.config = { ...this.config, ...overrides };
+    }
+
+    /**
+     * Типи стимулів поточного режиму.
+     */
+    getStimulusTypes() {
+        if (this.config.modality === MODALITY.AUDITORY && this.config.mode !== TEST_MODE.SIMPLE) {
+            throw new Error('Auditory modality supports simple mode only');
+        }
+        if (this.config.mode === TEST_MODE.GO_NOGO) {
+            const types = this.config.stimulusTypes.length ? this.config.stimulusTypes : DEFAULT_GO_NOGO_STIMULI;
+            if (!types.some(t => t.nogo) || !types.some(t => !t.nogo)) throw new Error('Go/No-Go mode needs both go and no-go stimulus types');
+            return types;
+        }
+        if (this.config.mode !== TEST_MODE.CHOICE) return [SIMPLE_STIMULUS];
+        if (this.config.stimulusTypes.length < 2) throw new Error('Choice mode needs at least two stimulus types');
+        return this.config.stimulusTypes;
+    }
+
+    /**
+     * Збалансована випадкова послідовність типів на раунд: кожен тип з'являється
+     * однакову кількість разів (±1), порядок перемішано.
+     * Go/No-Go: рівно round(count · noGoShare) стимулів "не натискати".
+     * @param {number} [count] - Довжина послідовності (за замовчуванням — поточного блоку)
+     * @private
+     */
+    buildStimulusSequence(count = this.blockLength()) {
+        const types = this.getStimulusTypes();
+        let sequence;
+        if (this.config.mode === TEST_MODE.GO_NOGO) {
+            const goTypes = types.filter(t => !t.nogo);
+            const noGoTypes = types.filter(t => t.nogo);
+            const noGoCount = Math.round(count * this.config.noGoShare);
+            sequence = [
+                ...Array.from({ length: noGoCount }, (_, i) => noGoTypes[i % noGoTypes.length]),
+                ...Array.from({ length: count - noGoCount }, (_, i) => goTypes[i % goTypes.length])
+            ];
+        } else {
+            sequence = Array.from({ length: count }, (_, i) => types[i % types.length]);
+        }
+        for (let i = sequence.length - 1; i > 0; i--) {
+            const j = Math.floor(this.timing.random() * (i + 1));
+            [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
+        }
+        return sequence;
     }
 
     /**
@@ -94,13 +363,41 @@ export class ReactionTestCore {
         }
 
         this.state.currentRound++;
+        this.state.isPractice = false;
         this.log(`Starting Round ${this.state.currentRound} of ${this.config.rounds}`);
 
         this.state.currentStimulusIndex = 0;
         this.state.stimulusResults = [];
+        this.state.trials = [];
+        this.state.currentTrial = null;
+        this.state.interruptions = [];
+        this.state.stimulusSequence = this.buildStimulusSequence();
+        this.state.isRunning = true;
+        this.state.isRoundActive = true;
+
+        this.emit(CORE_EVENT.ROUND_START, { round: this.state.currentRound, totalRounds: this.config.rounds, retry: false, practice: false });
+        this.scheduleNextStimulus();
+    }
+
+    /**
+     * Тренувальний блок перед першим раундом (config.practiceStimuli стимулів).
+     * Ті самі правила і події, що й у раунді (round = 0, practice = true), але проби
+     * не потрапляють у roundAverages / getFinalResults: підсумок зберігається окремо в state.practice.
+     * Можна повторити, доки не почався перший раунд.
+     */
+    startPractice() {
+        if (this.config.practiceStimuli <= 0) throw new Error('Practice block is disabled (practiceStimuli = 0)');
+        if (this.state.currentRound > 0) throw new Error('Practice is only allowed before the first round');
+
+        this.log(`Starting practice block (${this.config.practiceStimuli} stimuli)`);
+        this.resetRoundState();
+        this.state.interruptions = [];
+        this.state.isPractice = true;
+        this.state.stimulusSequence = this.buildStimulusSequence();
         this.state.isRunning = true;
         this.state.isRoundActive = true;
 
+        this.emit(CORE_EVENT.ROUND_START, { round: 0, totalRounds: this.config.rounds, retry: false, practice: true });
         this.scheduleNextStimulus();
     }
 
@@ -112,17 +409,35 @@ export class ReactionTestCore {
         this.state.roundAverages = [];
         this.state.allRounds = [];
         this.state.currentRound = 0;
+        this.state.isPractice = false;
+        this.state.practice = null;
+        this.state.interruptions = [];
         this.resetRoundState();
     }
 
     resetRoundState() {
         this.state.stimulusResults = [];
+        this.state.trials = [];
+        this.state.currentTrial = null;
         this.state.currentStimulusIndex = 0;
         this.state.isRunning = false;
         this.state.isRoundActive = false;
         this.state.isStimulusVisible = false;
         this.state.pendingReaction = null;
-        clearTimeout(this.state.timerId);
+        this.clearTimers();
+    }
+
+    /**
+     * Скасовує заплановані таймер і кадр відмальовки.
+     * @private
+     */
+    clearTimers() {
+        this.timing.clearTimeout(this.state.timerId);
+        if (this.state.frameId !== null) {
+            if (this.config.modality === MODALITY.AUDITORY) this.timing.cancelAudio(this.state.frameId);
+            else this.timing.cancelFrame(this.state.frameId);
+            this.state.frameId = null;
+        }
     }
 
     /**
@@ -130,37 +445,110 @@ export class ReactionTestCore {
      * @private
      */
     scheduleNextStimulus() {
-        if (this.state.currentStimulusIndex >= this.config.stimuliCount) {
-            this.finishRound();
+        if (this.state.currentStimulusIndex >= this.blockLength()) {
+            if (this.state.isPractice) this.finishPractice();
+            else this.finishRound();
             return;
         }
 
-        const delay = Math.floor(Math.random() * (this.config.maxDelay - this.config.minDelay) + this.config.minDelay);
+        const delay = Math.floor(this.timing.random() * (this.config.maxDelay - this.config.minDelay) + this.config.minDelay);
         this.log(`Scheduling stimulus #${this.state.currentStimulusIndex + 1} in ${delay}ms`);
 
-        this.state.timerId = setTimeout(() => {
+        this.state.plannedOnsetTime = this.timing.now() + delay;
+        this.state.currentTrial = this.createTrial(delay);
+        this.emit(CORE_EVENT.STIMULUS_SCHEDULED, {
+            ...this.eventContext(),
+            total: this.blockLength(),
+            delay: delay,
+            stimulus: this.state.stimulusSequence[this.state.currentStimulusIndex]
+        });
+        this.state.timerId = this.timing.setTimeout(() => {
             this.showStimulus();
         }, delay);
     }
 
     /**
-     * Показує стимул і запускає таймер експозиції.
-     * Стимул буде видно рівно config.exposureTime мс.
+     * Створює запис проби. Заповнюється по ходу: пауза -> поява -> натискання -> кінець експозиції.
+     * @param {number} foreperiod - Випадкова пауза перед стимулом (мс)
+     * @private
+     */
+    createTrial(foreperiod) {
+        return {
+            index: this.state.currentStimulusIndex + 1,
+            foreperiod: foreperiod,
+            stimulusType: this.state.stimulusSequence[this.state.currentStimulusIndex].id,
+            nogo: Boolean(this.state.stimulusSequence[this.state.currentStimulusIndex].nogo),
+            plannedOnset: this.state.plannedOnsetTime,
+            onset: null,         // Фактичний момент появи (кадр відмальовки)
+            jitter: null,        // onset - plannedOnset
+            rt: null,            // Час першої валідної відповіді (для HIT і WRONG)
+            response: null,      // Режим вибору: дана відповідь
+            device: null,        // Пристрій зарахованої відповіді (keyboard / touch / mouse / gamepad)
+            eventTime: null,     // Власна мітка часу події зарахованої відповіді (до компенсації затримки)
+            inputOffset: 0,      // Віднята затримка пристрою, мс
+            outcome: null,       // TRIAL_OUTCOME
+            pressCount: 0,       // Усі натискання за пробу, включно з паузою
+            presses: []          // [{ offset, type, response, device }], offset — мс від появи (від'ємний — до появи)
+        };
+    }
+
+    /**
+     * Показує стимул і чекає кадру відмальовки, в якому він реально з'явиться.
      * @private
      */
     showStimulus() {
         this.state.isStimulusVisible = true;
-        this.state.stimulusStartTime = Date.now();
+        // Тимчасова мітка до кадру відмальовки; уточнюється у commitOnset()
+        this.state.stimulusStartTime = this.timing.now();
         this.state.clickCountForStimulus = 0; // Скидання лічильника спаму
         this.state.pendingReaction = null;    // Скидання попередньої реакції
 
         this.log(`Showing stimulus #${this.state.currentStimulusIndex + 1}`);
-        this.onStimulusShow(this.state.currentStimulusIndex + 1, this.config.stimuliCount);
+        this.emit(CORE_EVENT.STIMULUS_SHOW, {
+            ...this.eventContext(),
+            total: this.blockLength(),
+            stimulus: this.state.stimulusSequence[this.state.currentStimulusIndex]
+        });
+
+        const auditory = this.config.modality === MODALITY.AUDITORY;
+        if (auditory && this.timing.requestAudio) {
+            // Тон звучить з затримкою аудіовиводу — початок відліку дає аудіогодинник.
+            // frameId тримає id тону, доки він звучить, щоб його можна було обірвати (спам, скидання)
+            this.state.frameId = this.timing.requestAudio((onsetTime) => {
+                this.commitOnset(onsetTime);
+            }, this.state.stimulusSequence[this.state.currentStimulusIndex]);
+        } else if (!auditory && this.timing.requestFrame) {
+            // Стимул потрапить на екран лише в наступному кадрі — саме його час і є початком відліку
+            this.state.frameId = this.timing.requestFrame((frameTime) => {
+                this.state.frameId = null;
+                this.commitOnset(frameTime);
+            });
+        } else {
+            this.commitOnset(this.timing.now());
+        }
+    }
+
+    /**
+     * Фіксує фактичний момент появи стимулу та запускає таймер експозиції.
+     * Стимул буде видно рівно config.exposureTime мс від кадру появи.
+     * Тон заплановано на аудіогодиннику, тож його момент може бути ще попереду — тоді вікно відповіді
+     * відлічується від нього, а не від виклику, щоб затримка аудіовиводу не потрапила в час реакції.
+     * @param {number} onsetTime - Час кадру, у якому стимул відмальовано, або момент звучання тону
+     * @private
+     */
+    commitOnset(onsetTime) {
+        this.state.stimulusStartTime = onsetTime;
+        const jitter = onsetTime - this.state.plannedOnsetTime;
+        const trial = this.state.currentTrial;
+        trial.onset = onsetTime;
+        trial.jitter = jitter;
+        this.log(`Stimulus #${this.state.currentStimulusIndex + 1} painted (jitter ${jitter.toFixed(2)}ms)`);
+        this.emit(CORE_EVENT.STIMULUS_ONSET, { ...this.eventContext(), onset: onsetTime, jitter: jitter });
 
         // Таймер експозиції: стимул зникне ТІЛЬКИ коли цей таймер спрацює
-        this.state.timerId = setTimeout(() => {
+        this.state.timerId = this.timing.setTimeout(() => {
             this.finishExposure();
-        }, this.config.exposureTime);
+        }, this.config.exposureTime + Math.max(0, onsetTime - this.timing.now()));
     }
 
     /**
@@ -171,68 +559,196 @@ export class ReactionTestCore {
         this.log(`Exposure finished for stimulus #${this.state.currentStimulusIndex + 1}`);
 
         this.state.isStimulusVisible = false;
-        this.onStimulusHide();
+        this.emit(CORE_EVENT.STIMULUS_HIDE, this.eventContext());
+
+        const trial = this.state.currentTrial;
 
         // Перевіряємо, чи була реакція протягом експозиції
         if (this.state.pendingReaction !== null) {
-            this.log(`Result committed: ${this.state.pendingReaction}ms`);
-            this.state.stimulusResults.push(this.state.pendingReaction);
+            trial.rt = this.state.pendingReaction;
+            if (trial.nogo) {
+                // Помилка комісії: реакцію не пригнічено. Окремо від захисту від спаму
+                this.log(`Result: commission error (${this.state.pendingReaction}ms)`);
+                trial.outcome = TRIAL_OUTCOME.COMMISSION;
+            } else if (this.isCorrectResponse(trial)) {
+                this.log(`Result committed: ${this.state.pendingReaction}ms`);
+                this.state.stimulusResults.push(this.state.pendingReaction);
+                trial.outcome = TRIAL_OUTCOME.HIT;
+            } else {
+                // Невірна відповідь у режимі вибору: час записано, але в статистику RT не йде
+                this.log(`Result: wrong response '${trial.response}' (${this.state.pendingReaction}ms)`);
+                trial.outcome = TRIAL_OUTCOME.WRONG;
+            }
         } else {
-            this.log("Result: Miss (No reaction)");
-            // Можна додати null у результати, якщо потрібно рахувати пропуски:
-            // this.state.stimulusResults.push(null);
+            // Без зарахованої реакції проба отримує найсуттєвішу з помилок
+            const types = trial.presses.map(p => p.type);
+            if (types.includes(TRIAL_OUTCOME.TOO_FAST)) trial.outcome = TRIAL_OUTCOME.TOO_FAST;
+            else if (types.includes(TRIAL_OUTCOME.ANTICIPATION)) trial.outcome = TRIAL_OUTCOME.ANTICIPATION;
+            else trial.outcome = trial.nogo ? TRIAL_OUTCOME.CORRECT_REJECTION : TRIAL_OUTCOME.MISS;
+            this.log(`Result: ${trial.outcome} (No valid reaction)`);
         }
 
+        this.state.trials.push(trial);
+        this.state.currentTrial = null;
+        this.emit(CORE_EVENT.EXPOSURE_END, { ...this.eventContext(), trial });
+
         this.state.currentStimulusIndex++;
         this.scheduleNextStimulus();
     }
 
     /**
      * Обробляє вхід від користувача (клік/клавіша).
+     * @param {number} [timestamp] - Час події (event.timeStamp) на шкалі timing.now; за замовчуванням — поточний час
+     * @param {?string} [response] - Режим вибору: яку відповідь дано (клавіша / зона дотику)
+     * @param {?string} [device] - Пристрій вводу; його затримка з config.inputOffsets віднімається від timestamp
      * @returns {boolean} - true якщо вхід валідний (навіть якщо просто збережений), false якщо проігноровано
      */
-    registerInput() {
-        // Ігноруємо, якщо стимул не видно або раунд не активний
-        if (!this.state.isRoundActive || !this.state.isStimulusVisible) {
-            this.log("Input ignored: Stimulus not visible or round inactive");
-            return false;
+    registerInput(timestamp = this.timing.now(), response = null, device = null) {
+        // Ігноруємо, якщо раунд не активний
+        if (!this.state.isRoundActive || !this.state.currentTrial) {
+            this.log("Input ignored: Round inactive");
+            return this.rejectInput(INPUT_REJECTION.INACTIVE, null, response);
+        }
+
+        // Момент натискання = подія мінус затримка пристрою (дотик і клавіатура різняться на десятки мс)
+        const inputOffset = (device && this.config.inputOffsets[device]) || 0;
+        const time = timestamp - inputOffset;
+
+        const trial = this.state.currentTrial;
+        trial.pressCount++;
+
+        // Натискання під час паузи або до того, як тон прозвучав, — випередження (стимулу ще немає)
+        if (!this.state.isStimulusVisible || time < this.state.stimulusStartTime) {
+            this.recordPress(trial, time - trial.plannedOnset, TRIAL_OUTCOME.ANTICIPATION, response, device);
+            this.log("Input rejected: Anticipation (stimulus not visible)");
+            return this.rejectInput(INPUT_REJECTION.ANTICIPATION, time - trial.plannedOnset, response);
         }
 
         // 1. Захист від спаму
         this.state.clickCountForStimulus++;
         if (this.state.clickCountForStimulus > this.config.maxSpamClicks) {
             this.log("Spam detected! Stopping round.");
+            this.rejectInput(INPUT_REJECTION.SPAM, time - this.state.stimulusStartTime, response);
             this.handleSpam();
             return false;
         }
 
         // Якщо користувач вже успішно натиснув на цей стимул, ігноруємо повторні кліки
+        const reactionTime = time - this.state.stimulusStartTime;
+
         if (this.state.pendingReaction !== null) {
+            this.recordPress(trial, reactionTime, TRIAL_OUTCOME.REPEAT, response, device);
             this.log("Input ignored: Already reacted to this stimulus");
-            return false;
+            return this.rejectInput(INPUT_REJECTION.REPEAT, reactionTime, response);
         }
 
-        const reactionTime = Date.now() - this.state.stimulusStartTime;
-
         // 2. Фільтр надшвидких реакцій
         if (reactionTime < this.config.minValidReactionTime) {
+            this.recordPress(trial, reactionTime, TRIAL_OUTCOME.TOO_FAST, response, device);
             this.log(`Input ignored: Too fast (${reactionTime}ms)`);
-            return false;
+            return this.rejectInput(INPUT_REJECTION.TOO_FAST, reactionTime, response);
         }
 
+        // Перша валідна відповідь фіксується; правильність оцінюється в кінці експозиції
+        trial.response = response;
+        trial.device = device;
+        trial.eventTime = timestamp;
+        trial.inputOffset = inputOffset;
+        this.recordPress(trial, reactionTime, this.classifyResponse(trial), response, device);
+
         // ВАЖЛИВО: Ми не ховаємо стимул тут! Ми просто запам'ятовуємо час.
         // Стимул зникне тільки у finishExposure().
         this.state.pendingReaction = reactionTime;
         this.log(`Input accepted: ${reactionTime}ms (Waiting for exposure end)`);
+        this.emit(CORE_EVENT.INPUT_ACCEPTED, { ...this.eventContext(), rt: reactionTime, response, device });
 
         return true;
     }
 
+    /**
+     * Повідомляє про незараховане натискання.
+     * @returns {boolean} Завжди false — результат для registerInput()
+     * @private
+     */
+    rejectInput(reason, offset, response) {
+        this.emit(CORE_EVENT.INPUT_REJECTED, { ...this.eventContext(), reason, offset, response });
+        return false;
+    }
+
+    /**
+     * @private
+     */
+    recordPress(trial, offset, type, response, device = null) {
+        trial.presses.push({ offset, type, response, device });
+    }
+
+    /**
+     * Тип зарахованого натискання для запису в presses.
+     * @private
+     */
+    classifyResponse(trial) {
+        if (trial.nogo) return TRIAL_OUTCOME.COMMISSION;
+        return this.isCorrectResponse(trial) ? TRIAL_OUTCOME.HIT : TRIAL_OUTCOME.WRONG;
+    }
+
+    /**
+     * У простому режимі та Go/No-Go будь-яка відповідь правильна.
+     * @private
+     */
+    isCorrectResponse(trial) {
+        if (this.config.mode !== TEST_MODE.CHOICE) return true;
+        const expected = this.config.stimulusTypes.find(t => t.id === trial.stimulusType);
+        return expected.response === trial.response;
+    }
+
     handleSpam() {
         this.state.isRoundActive = false;
-        clearTimeout(this.state.timerId); // Зупиняємо таймер експозиції
-        this.onStimulusHide();
-        this.onSpamDetected();
+        this.clearTimers(); // Зупиняємо таймер експозиції
+        this.emit(CORE_EVENT.STIMULUS_HIDE, this.eventContext());
+        this.emit(CORE_EVENT.SPAM, this.eventContext());
+    }
+
+    /**
+     * Перериває раунд ззовні: вкладку сховано, вікно втратило фокус, вихід з повноекранного режиму.
+     * Спроба анулюється, як після спаму; продовження — retryCurrentRound().
+     * Перерва записується в state.interruptions, а після завершення раунду — в його деталізацію.
+     * @param {string} reason - Причина (визначає застосунок)
+     * @returns {boolean} false, якщо раунд не йде
+     */
+    interruptRound(reason) {
+        if (!this.state.isRoundActive) return false;
+
+        this.log(`Round interrupted: ${reason}`);
+        this.state.interruptions.push({ reason, stimulusIndex: this.state.currentStimulusIndex + 1, time: this.timing.now() });
+        this.state.isRoundActive = false;
+        this.state.isStimulusVisible = false;
+        this.clearTimers();
+        this.emit(CORE_EVENT.STIMULUS_HIDE, this.eventContext());
+        this.emit(CORE_EVENT.INTERRUPTED, { ...this.eventContext(), reason });
+        return true;
+    }
+
+    /**
+     * Підсумок тренування: проби, результати і статистика зарахованих реакцій.
+     * Зберігається в state.practice (і в getFinalResults().practice лише для довідки).
+     * @private
+     */
+    finishPractice() {
+        this.log("Practice block finished");
+        this.state.isRoundActive = false;
+        this.state.isPractice = false;
+
+        this.state.practice = {
+            stimuliCount: this.config.practiceStimuli,
+            raw: this.state.stimulusResults,
+            statistics: ReactionTestCore.describe(this.state.stimulusResults),
+            trials: this.state.trials,
+            outcomes: ReactionTestCore.countOutcomes(this.state.trials),
+            interruptions: this.state.interruptions
+        };
+        this.state.stimulusResults = [];
+        this.state.trials = [];
+        this.emit(CORE_EVENT.PRACTICE_COMPLETE, { practice: this.state.practice });
     }
 
     finishRound() {
@@ -241,87 +757,356 @@ export class ReactionTestCore {
 
         const stats = this.calculateRoundStats();
 
-        if (stats) {
-            this.state.roundAverages.push(stats.average);
-            this.state.allRounds.push(stats);
-        } else {
-            this.state.roundAverages.push(0);
-            // Пустий раунд
-            this.state.allRounds.push({
-                roundNumber: this.state.currentRound,
-                average: 0,
-                count: 0,
-                raw: []
-            });
-        }
+        // Виключений раунд (порожній або замало реакцій) не впливає на загальне середнє
+        this.state.roundAverages.push(stats.excluded ? null : stats.score);
+        this.state.allRounds.push(stats);
 
         const isFinalRound = this.state.currentRound >= this.config.rounds;
-        this.onRoundComplete(stats, isFinalRound);
+        this.emit(CORE_EVENT.ROUND_COMPLETE, { stats, isFinal: isFinalRound });
+        if (isFinalRound) {
+            this.emit(CORE_EVENT.TEST_COMPLETE, { results: this.getFinalResults() });
+        }
     }
 
+    /**
+     * Статистика поточного раунду.
+     * raw — усі зараховані реакції; statistics і score рахуються після відсікання викидів.
+     * score — значення обраної статистики (config.scoringStatistic), що йде в загальний результат.
+     */
     calculateRoundStats() {
         const validResults = this.state.stimulusResults;
-        if (!validResults.length) return null;
+        const { kept, outliers } = ReactionTestCore.trimOutliers(validResults, this.config.outlierRule, this.config.outlierThreshold);
+        const statistics = ReactionTestCore.describe(kept);
 
-        const sum = validResults.reduce((a, b) => a + b, 0);
-        const avg = sum / validResults.length;
+        const excluded = kept.length < Math.max(1, this.config.minValidPerRound);
+        if (excluded) {
+            this.log(`Round ${this.state.currentRound} excluded: ${kept.length} valid reactions (min ${this.config.minValidPerRound})`);
+        }
 
         return {
             roundNumber: this.state.currentRound,
-            average: Math.round(avg),
-            count: validResults.length,
-            raw: validResults
+            average: statistics ? Math.round(statistics.mean) : null,
+            score: statistics ? Math.round(statistics[this.config.scoringStatistic]) : null,
+            count: kept.length,
+            excluded: excluded,
+            statistics: statistics,
+            outliers: outliers,
+            raw: validResults,
+            trials: this.state.trials,
+            outcomes: ReactionTestCore.countOutcomes(this.state.trials),
+            byStimulus: this.config.mode === TEST_MODE.CHOICE ? ReactionTestCore.statsByStimulus(this.state.trials) : null,
+            goNoGo: this.config.mode === TEST_MODE.GO_NOGO ? ReactionTestCore.goNoGoStats(this.state.trials) : null,
+            // Вердикт достовірності з причинами (випередження, ритмічні натискання, пропуски поспіль)
+            validity: analyzeRound(this.state.trials, this.config.validityThresholds),
+            // Перерви (втрата фокусу тощо), після яких раунд проходили заново
+            interruptions: this.state.interruptions
         };
     }
 
+    /**
+     * Підсумок тесту. grandAverage — середнє значень score включених раундів;
+     * саме воно передається в calculateBioAge (див. scoring).
+     */
     getFinalResults() {
-        if (!this.state.roundAverages.length) return null;
+        if (!this.state.allRounds.length) return null;
 
-        const grandSum = this.state.roundAverages.reduce((a, b) => a + b, 0);
-        const grandAvg = grandSum / this.state.roundAverages.length;
+        const includedRounds = this.state.allRounds.filter(r => !r.excluded);
+        const grandAvg = includedRounds.length
+            ? includedRounds.reduce((sum, r) => sum + r.score, 0) / includedRounds.length
+            : null;
 
         this.log(`Test finished. Grand Average: ${grandAvg}`);
 
         return {
-            grandAverage: Math.round(grandAvg),
+            grandAverage: grandAvg === null ? null : Math.round(grandAvg),
             roundAverages: this.state.roundAverages,
-            roundsDetails: this.state.allRounds
+            roundsDetails: this.state.allRounds,
+            // Статистика всіх реакцій після відсікання викидів (по всіх включених раундах)
+            pooledStatistics: ReactionTestCore.describe(includedRounds.flatMap(r => r.raw.filter(rt => !r.outliers.includes(rt)))),
+            scoring: {
+                statistic: this.config.scoringStatistic,   // Яка статистика раунду пішла в grandAverage
+                outlierRule: this.config.outlierRule,
+                outlierThreshold: this.config.outlierThreshold,
+                minValidPerRound: this.config.minValidPerRound,
+                includedRounds: includedRounds.map(r => r.roundNumber),
+                excludedRounds: this.state.allRounds.filter(r => r.excluded).map(r => r.roundNumber)
+            },
+            mode: this.config.mode,
+            modality: this.config.modality,
+            // Компенсація затримки пристроїв вводу, з якою пройдено тест
+            inputOffsets: { ...this.config.inputOffsets },
+            // Найгірший вердикт достовірності серед серій (серії, збережені до аналізу, вважаються достовірними)
+            validity: worstVerdict(this.state.allRounds.map(r => r.validity?.verdict).filter(Boolean)),
+            outcomes: ReactionTestCore.countOutcomes(this.state.allRounds.flatMap(r => r.trials)),
+            byStimulus: this.config.mode === TEST_MODE.CHOICE
+                ? ReactionTestCore.statsByStimulus(includedRounds.flatMap(r => r.trials))
+                : null,
+            goNoGo: this.config.mode === TEST_MODE.GO_NOGO
+                ? ReactionTestCore.goNoGoStats(includedRounds.flatMap(r => r.trials))
+                : null,
+            // Тренування — лише для довідки, в жодну статистику вище не входить
+            practice: this.state.practice
         };
     }
 
+    /**
+     * Знімок стану для збереження між перезавантаженнями сторінки.
+     * Незавершений раунд не зберігається: після відновлення він почнеться спочатку.
+     * @returns {Object} Дані, придатні для JSON / IndexedDB
+     */
+    serialize() {
+        return JSON.parse(JSON.stringify({
+            version: SNAPSHOT_VERSION,
+            config: this.config,
+            completedRounds: this.state.allRounds.length,
+            roundAverages: this.state.roundAverages,
+            allRounds: this.state.allRounds,
+            practice: this.state.practice
+        }));
+    }
+
+    /**
+     * Відновлює стан зі знімка serialize(). Наступний startNextRound() почне перерваний раунд.
+     * @param {Object} snapshot
+     */
+    restore(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported session snapshot version: ${snapshot?.version}`);
+        }
+        if (this.state.isRoundActive) throw new Error('Cannot restore during an active round');
+
+        this.config = { ...this.config, ...snapshot.config };
+        this.resetFullTest();
+        this.state.roundAverages = snapshot.roundAverages;
+        this.state.allRounds = snapshot.allRounds;
+        this.state.practice = snapshot.practice ?? null;
+        this.state.currentRound = snapshot.completedRounds;
+        this.log(`Restored session: ${snapshot.completedRounds} of ${this.config.rounds} rounds completed`);
+    }
+
     /**
      * Resets the CURRENT round to 0 and starts it over.
      */
     retryCurrentRound() {
-        this.log(`Retrying Round ${this.state.currentRound}`);
+        this.log(this.state.isPractice ? 'Retrying practice block' : `Retrying Round ${this.state.currentRound}`);
         this.resetRoundState(); // Clears results/index for this round
+        this.state.stimulusSequence = this.buildStimulusSequence();
         this.state.isRunning = true;
         this.state.isRoundActive = true;
+        this.emit(CORE_EVENT.ROUND_START, { round: this.state.currentRound, totalRounds: this.config.rounds, retry: true, practice: this.state.isPractice });
         this.scheduleNextStimulus();
     }
 
     // --- STATIC HELPERS ---
 
-    static calculateBioAge(actualMs, age, gender) {
-        const tableAge = Math.min(Math.max(Math.floor(age), 7), 16);
-        const genderTable = BIO_AGE_NORMATIVE_TABLE[gender] || BIO_AGE_NORMATIVE_TABLE['male'];
-        const normMs = genderTable[tableAge];
+    /**
+     * Описова статистика вибірки часу реакції.
+     * @param {number[]} values
+     * @returns {?Object} null для порожньої вибірки
+     */
+    static describe(values) {
+        if (!values.length) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const n = sorted.length;
+        const mean = sorted.reduce((a, b) => a + b, 0) / n;
+        // Вибіркове SD (n - 1); для однієї реакції — 0
+        const sd = n > 1 ? Math.sqrt(sorted.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (n - 1)) : 0;
+        const round2 = (v) => Number(v.toFixed(2));
+
+        return {
+            n: n,
+            mean: round2(mean),
+            median: round2(percentile(sorted, 50)),
+            sd: round2(sd),
+            cv: round2(mean ? sd / mean : 0),
+            min: sorted[0],
+            max: sorted[n - 1],
+            percentiles: {
+                p10: round2(percentile(sorted, 10)),
+                p25: round2(percentile(sorted, 25)),
+                p75: round2(percentile(sorted, 75)),
+                p90: round2(percentile(sorted, 90))
+            }
+        };
+    }
+
+    /**
+     * Відсікає викиди за правилом 'sd' (|x - mean| > k·SD) або 'iqr' (поза [Q1 - k·IQR, Q3 + k·IQR]).
+     * @param {number[]} values
+     * @param {'none'|'sd'|'iqr'} rule
+     * @param {?number} [threshold] - k; за замовчуванням 2.5 для 'sd' та 1.5 для 'iqr'
+     * @returns {{kept: number[], outliers: number[]}}
+     */
+    static trimOutliers(values, rule, threshold) {
+        if (!rule || rule === 'none' || values.length < 3) return { kept: [...values], outliers: [] };
+
+        let lower;
+        let upper;
+        if (rule === 'sd') {
+            const { mean, sd } = ReactionTestCore.describe(values);
+            const k = threshold ?? 2.5;
+            lower = mean - k * sd;
+            upper = mean + k * sd;
+        } else if (rule === 'iqr') {
+            const sorted = [...values].sort((a, b) => a - b);
+            const q1 = percentile(sorted, 25);
+            const q3 = percentile(sorted, 75);
+            const k = threshold ?? 1.5;
+            lower = q1 - k * (q3 - q1);
+            upper = q3 + k * (q3 - q1);
+        } else {
+            throw new Error(`Unknown outlier rule: ${rule}`);
+        }
 
-        if (!normMs) return null;
+        return {
+            kept: values.filter(v => v >= lower && v <= upper),
+            outliers: values.filter(v => v < lower || v > upper)
+        };
+    }
+
+    /**
+     * Підсумок проб: кількість за кожним результатом, повторні натискання та частка помилок.
+     * @param {Array<Object>} trials - Записи проб
+     */
+    static countOutcomes(trials) {
+        const counts = {
+            total: trials.length, hit: 0, miss: 0, anticipation: 0, 'too-fast': 0, wrong: 0,
+            commission: 0, 'correct-rejection': 0, repeatPresses: 0
+        };
+        for (const trial of trials) {
+            counts[trial.outcome]++;
+            counts.repeatPresses += trial.presses.filter(p => p.type === TRIAL_OUTCOME.REPEAT).length;
+        }
+        const correct = counts.hit + counts['correct-rejection'];
+        counts.errorRate = trials.length ? Number(((trials.length - correct) / trials.length).toFixed(3)) : 0;
+        // Точність відповідей серед проб, де відповідь була (режим вибору)
+        const answered = counts.hit + counts.wrong;
+        counts.accuracy = answered ? Number((counts.hit / answered).toFixed(3)) : null;
+        return counts;
+    }
+
+    /**
+     * Go/No-Go: час реакції на go-стимули, частка пропусків (omission), частка помилок комісії
+     * та чутливість d′ = z(hit rate) − z(false alarm rate).
+     * Для d′ частки скориговано log-linear (+0.5 / +1), щоб 0 і 1 не давали нескінченності.
+     * @param {Array<Object>} trials
+     */
+    static goNoGoStats(trials) {
+        const goTrials = trials.filter(t => !t.nogo);
+        const noGoTrials = trials.filter(t => t.nogo);
+        const hits = goTrials.filter(t => t.outcome === TRIAL_OUTCOME.HIT).length;
+        const omissions = goTrials.filter(t => t.outcome === TRIAL_OUTCOME.MISS).length;
+        const commissions = noGoTrials.filter(t => t.outcome === TRIAL_OUTCOME.COMMISSION).length;
+        const rate = (count, n) => (n ? Number((count / n).toFixed(3)) : null);
+
+        const hitRate = (hits + 0.5) / (goTrials.length + 1);
+        const falseAlarmRate = (commissions + 0.5) / (noGoTrials.length + 1);
+
+        return {
+            goTrials: goTrials.length,
+            noGoTrials: noGoTrials.length,
+            goRT: ReactionTestCore.describe(goTrials.filter(t => t.outcome === TRIAL_OUTCOME.HIT).map(t => t.rt)),
+            omissionRate: rate(omissions, goTrials.length),
+            commissionRate: rate(commissions, noGoTrials.length),
+            commissionRT: ReactionTestCore.describe(noGoTrials.filter(t => t.outcome === TRIAL_OUTCOME.COMMISSION).map(t => t.rt)),
+            dPrime: goTrials.length && noGoTrials.length
+                ? Number((inverseNormal(hitRate) - inverseNormal(falseAlarmRate)).toFixed(2))
+                : null
+        };
+    }
+
+    /**
+     * Режим вибору: точність і статистика RT (лише правильні відповіді) для кожного типу стимулу.
+     * @param {Array<Object>} trials
+     */
+    static statsByStimulus(trials) {
+        const byType = {};
+        for (const trial of trials) {
+            (byType[trial.stimulusType] ||= []).push(trial);
+        }
+        return Object.fromEntries(Object.entries(byType).map(([type, typeTrials]) => [type, {
+            outcomes: ReactionTestCore.countOutcomes(typeTrials),
+            statistics: ReactionTestCore.describe(typeTrials.filter(t => t.outcome === TRIAL_OUTCOME.HIT).map(t => t.rt))
+        }]));
+    }
+
+    /**
+     * Розрахунок біологічного віку за нормативною таблицею.
+     * @param {number} actualMs - Середній час реакції
+     * @param {number} age - Хронологічний вік
+     * @param {string} gender - 'male' / 'female'
+     * @param {Object} [options]
+     * @param {string} [options.tableId] - Таблиця з реєстру (за замовчуванням — таблиця патенту)
+     * @param {string} [options.tableVersion] - Версія таблиці (за замовчуванням — поточна)
+     * @param {boolean} [options.interpolate=false] - Інтерполяція між цілими роками
+     * @param {string} [options.outOfRange='clamp'] - 'reject' | 'clamp' | 'extrapolate'
+     * @param {NormsRegistry} [options.registry] - Реєстр (за замовчуванням — спільний normsRegistry)
+     * @param {string} [options.modality='visual'] - Модальність тесту; має збігатися з модальністю таблиці
+     * @throws {RangeError} якщо вік поза таблицею при політиці 'reject'
+     * @throws {Error} якщо таблиця зібрана для іншої модальності.
+     *         Обидві мають code і params для тексту 'norms.error.<code>' (norms.js normsError)
+     */
+    static calculateBioAge(actualMs, age, gender, options = {}) {
+        const { tableId, tableVersion, interpolate = false, outOfRange = 'clamp', registry = normsRegistry, modality = MODALITY.VISUAL } = options;
+        const table = registry.get(tableId, tableVersion);
+        // Слухова реакція швидша за зорову — зорові нормативи дали б хибний біологічний вік
+        if (table.modality !== modality) {
+            throw normsError(Error, 'modality', { table: table.id }, `Norms table ${table.id} is for ${table.modality} stimuli, not ${modality}`);
+        }
+        const { normMs, tableAge, warnings } = NormsRegistry.lookup(table, age, gender, { interpolate, outOfRange });
 
         const tbr = actualMs / normMs;
         const bioAge = age / tbr;
 
-        let conclusion = "Норма";
-        if (tbr < 0.95) conclusion = "Розвиток прискорений (БВ > ПВ)";
-        if (tbr > 1.10) conclusion = "Розвиток уповільнений (БВ < ПВ)";
+        let conclusion = CONCLUSION.NORMAL;
+        if (tbr < 0.95) conclusion = CONCLUSION.ACCELERATED;
+        if (tbr > 1.10) conclusion = CONCLUSION.DELAYED;
 
         return {
             chronologicalAge: age,
             biologicalAge: bioAge.toFixed(2),
             tbr: tbr.toFixed(2),
             normMs: normMs,
-            conclusion: conclusion
+            conclusion: conclusion,   // CONCLUSION
+            // Звідки взято норматив — щоб запис можна було перерахувати при оновленні таблиці
+            norms: {
+                id: table.id,
+                version: table.version,
+                tableAge: tableAge,
+                interpolate: interpolate,
+                outOfRange: outOfRange
+            },
+            warnings: warnings
         };
     }
+
+    /**
+     * Код висновку збереженого запису: старі записи містять текст українською.
+     * @param {?string} conclusion - CONCLUSION або текст старого запису
+     * @returns {?string} CONCLUSION (невідомий текст повертається без змін)
+     */
+    static conclusionCode(conclusion) {
+        return LEGACY_CONCLUSION[conclusion] ?? conclusion ?? null;
+    }
+
+    /**
+     * Перераховує біологічний вік збереженого запису (наприклад, за новою версією таблиці).
+     * Без options використовує ті самі налаштування, що й при збереженні, зокрема ту саму таблицю тієї ж версії;
+     * іншу версію чи таблицю треба вказати явно (options.tableVersion / options.tableId).
+     * @param {Object} record - Запис з БД ({ user, results, bioAge })
+     * @throws {Error} якщо таблиці запису або її версії вже немає в реєстрі (підміна іншою дала б інший результат)
+     */
+    static rescore(record, options = {}) {
+        const previous = record.bioAge?.norms || {};
+        const sameTable = options.tableId === undefined || options.tableId === previous.id;
+        return ReactionTestCore.calculateBioAge(record.results.grandAverage, Number(record.user.age), record.user.gender, {
+            tableId: previous.id,
+            tableVersion: sameTable ? previous.version : undefined,
+            interpolate: previous.interpolate,
+            outOfRange: previous.outOfRange,
+            modality: record.results.modality,
+            ...options
+        });
+    }
 }
@@ -1,122 +1,739 @@
-import {ReactionTestCore} from './ReactionCore.js';
+import {ReactionTestCore, CORE_EVENT, MODALITY} from './ReactionCore.js';
 import { db } from './db.js';
+import { normsRegistry } from './norms.js';
+import { ageOnDate, participantKey } from './participants.js';
+import { createDump, parseDump, planImport, DumpError } from './importer.js';
+import { summaryRows, trialRows } from './exporter.js';
+import { toCSV, toXLSX } from './spreadsheet.js';
+import { renderReport } from './report.js';
+import { participantTimeline, detectChanges, changeText, normCurve, trendCharts } from './trend.js';
+import { PROTOCOL_FIELDS, BUILTIN_PRESETS, DEFAULT_PRESET_ID, SCORING_DEFAULTS, validateProtocol, protocolValues, coreProtocol } from './protocol.js';
+import { BATCH_STATUS, parseRoster, createBatch, nextEntryIndex, batchProgress, classSummary } from './roster.js';
+import { TonePlayer } from './audio.js';
+import { inputDevice, estimateOffsets } from './calibration.js';
+import { HISTORY_PAGE_SIZE, NO_CONCLUSION, emptyFilters, pageCount } from './history.js';
+import { MIN_PASSPHRASE_LENGTH, anonymize } from './privacy.js';
+import { LOCALES, translate, translateWarning, detectLocale, formatDate, formatNumber } from './i18n.js';
 
 // Налаштування (можна винести в окремий файл або json)
+// Параметри протоколу (серії, стимули, паузи, перерва, спам) — у protocol.js і на екрані налаштувань
+// Правила підрахунку (мінімальний час реакції, викиди, мінімум реакцій у серії) — SCORING_DEFAULTS у protocol.js
 const CONFIG = {
-    rounds: 3,
-    stimuliCount: 30,
-    exposureTime: 700,
-    minDelay: 750,
-    maxDelay: 1250,
-    minValidReactionTime: 100,
-    maxSpamClicks: 3,
-    breakDuration: 120,
+    ...SCORING_DEFAULTS,
+    mode: 'simple',            // 'simple' | 'choice' | 'go-nogo'
+    modality: 'visual',        // 'visual' | 'auditory' (слуховий тон — лише проста реакція)
+    // Режим вибору: тип стимулу -> відповідь. key — клавіша (KeyboardEvent.code),
+    // на сенсорному екрані відповіді — це вертикальні зони зліва направо в порядку появи тут.
+    // Назва типу — ключ 'stimulus.<id>' каталогу i18n
+    stimulusTypes: [
+        { id: 'red-square', response: 'left', key: 'KeyF', keyLabel: 'F', button: 4, buttonLabel: 'LB', shape: 'square', color: 'red' },
+        { id: 'blue-circle', response: 'right', key: 'KeyJ', keyLabel: 'J', button: 5, buttonLabel: 'RB', shape: 'circle', color: '#2563eb' },
+    ],
+    // Go/No-Go: на червоний квадрат тиснути, на синє коло — ні
+    goNoGoStimulusTypes: [
+        { id: 'go', nogo: false, shape: 'square', color: 'red' },
+        { id: 'nogo', nogo: true, shape: 'circle', color: '#2563eb' },
+    ],
+    noGoShare: 0.25,
+    // Нормативи: таблиця з реєстру (null -> таблиця патенту), інтерполяція та політика для віку поза таблицею
+    norms: { tableId: null, interpolate: false, outOfRange: 'clamp' },
+    // Нормативи слухової реакції: таблиця реєстру з modality: 'auditory'.
+    // null — таблиці немає, біологічний вік за слуховим тестом не рахується
+    auditoryNorms: null,
+    // Калібрування пристроїв вводу: прогін — стільки спалахів метронома з таким інтервалом (мс)
+    calibration: { beats: 24, interval: 700 },
+    fullscreen: true,          // Серія — у повноекранному режимі (кіоск); вихід з нього перериває серію
     debug: false,
 };
 
+// Скачування згенерованого файлу через тимчасове посилання
+const downloadFile = (content, fileName, type) => {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
+// Слухова проба: підказки про тон замість фігури (ключі 'practice.auditory.<outcome>')
+const AUDITORY_FEEDBACK = ['miss', 'anticipation', 'too-fast'];
+
+// Опції нормативів для модальності; null — нормативів немає
+const normsFor = (modality) => (modality === MODALITY.AUDITORY ? CONFIG.auditoryNorms : CONFIG.norms);
+
+// Поза Alpine: AudioContext не повинен потрапляти в реактивний Proxy
+const tonePlayer = new TonePlayer();
+
+// Нова версія застосунку (sw.js), що чекає на активацію; поза Alpine з тієї ж причини
+let waitingWorker = null;
+
+// Екрани між сесіями тестування, на яких можна перезавантажити застосунок для оновлення
+const UPDATE_SCREENS = ['login', 'history'];
+
+// Скільки часу після видалення з історії можна його скасувати, мс
+const UNDO_TIMEOUT = 10000;
+
+const DEFAULT_PROTOCOL = BUILTIN_PRESETS.find(p => p.id === DEFAULT_PRESET_ID);
+
+// Порожня форма учасника. age рахується з дати народження на день тестування
+const emptyUser = () => ({participantId: null, name: '', birthDate: '', gender: 'male', group: '', age: ''});
+
 export default function reactionApp() {
     return {
         // --- STATE (Реактивні дані) ---
         screen: 'login', // 'login', 'instruction', 'test', 'break', 'result'
-        history: [],
+        // Історія: сторінка з БД за фільтрами і сортуванням (history.js, db.queryResults)
+        historyFilters: emptyFilters(),
+        historySort: { field: 'date', direction: 'desc' },
+        historyPageIndex: 0,
+        historyPage: { records: [], total: 0, ids: [] },   // ids — усі знайдені, не лише на сторінці
+        historySelection: [],   // id вибраних записів; видалення та експорт діють на них
+        undoDeletion: null,     // { records, timer } — останнє видалення, яке ще можна скасувати
+        noConclusion: NO_CONCLUSION,
+        // Режим приватності (privacy.js, db.js): історія відкривається паролем; тестування — без нього
+        privacy: { enabled: false, locked: false },
+        passphrase: '',
+        passphraseConfirm: '',
+        minPassphraseLength: MIN_PASSPHRASE_LENGTH,
+        anonymizeExport: false, // Експорт для досліджень: коди учасників замість ПІБ
+        trend: null,         // { name, points, changes, charts } — динаміка учасника
+        batch: null,         // Черга тестування класу (roster.js), зберігається в БД між перезавантаженнями
+        batchLocked: false,  // Збережений список класу запечатано, а історія заблокована — він з'явиться після unlock
+        batchSummary: null,  // classSummary() пройдених учасників
+        importPreview: null, // { fileName, plan, includeConflicts } — план імпорту до підтвердження
 
         // Дані користувача
-        user: {name: '', age: '', gender: 'male'},
+        user: emptyUser(),
+        participants: [],
+        selectedParticipantId: '',   // '' — новий учасник
+        mode: CONFIG.mode,
+        modality: CONFIG.modality,
 
         // Стан тесту (для відображення)
         round: 1,
-        totalRounds: CONFIG.rounds,
+        totalRounds: DEFAULT_PROTOCOL.rounds,
         stimulusIndex: 0,
-        totalStimuli: CONFIG.stimuliCount,
+        totalStimuli: DEFAULT_PROTOCOL.stimuliCount,
         isStimulusVisible: false,
+        currentStimulus: null,
         timerDisplay: '00:00',
 
+        // Тренування перед першою серією
+        practicePending: false,   // Наступний запуск — тренування, а не серія
+        practiceResult: null,     // Підсумок тренування ядра (practice:complete)
+        practiceFeedback: null,   // { text, good } — підказка після проби
+
         // Результати
         results: null,
         bioAge: null,
+        scoringError: null, // { code, params } — чому біологічний вік не розраховано (вік поза таблицею при 'reject', невідома стать тощо)
+        lastRecord: null,   // Збережений запис поточної сесії (для звіту)
+        interruption: null, // Причина останнього переривання серії (екран 'interrupted')
 
         // Внутрішні посилання
         core: null,
         breakInterval: null,
 
+        // Протокол тестування: активний, пресети і форма екрана налаштувань
+        protocol: { ...DEFAULT_PROTOCOL },
+        presets: [...BUILTIN_PRESETS],
+        protocolFields: PROTOCOL_FIELDS,
+        settingsForm: null,   // { presetId, ...значення полів }
+        settingsErrors: [],
+
+        // Затримки пристроїв вводу (calibration.js): віднімаються ядром від часу натискання
+        inputOffsets: {},
+        calibration: null,    // { running, flash, beats, taps, result } — екран калібрування
+        calibrationBeats: CONFIG.calibration.beats,
+
+        // Оновлення застосунку: нова версія завантажена і чекає (sw.js)
+        updateReady: false,
+        updating: false,
+
+        // Мова інтерфейсу: до завантаження збереженої — з налаштувань браузера
+        locale: detectLocale(navigator.languages || []),
+        locales: LOCALES,
+
         debug: CONFIG.debug,
 
         // --- INIT ---
-        init() {
+        async init() {
             // Ініціалізуємо ядро з конфігом
-            this.core = new ReactionTestCore(CONFIG);
+            // Слуховий стимул відтворює tonePlayer; момент появи — з аудіогодинника
+            this.core = new ReactionTestCore({ ...CONFIG, ...coreProtocol(DEFAULT_PROTOCOL) }, {
+                requestAudio: (onOnset) => tonePlayer.play(onOnset),
+                cancelAudio: (id) => tonePlayer.stop(id)
+            });
 
             // --- ПІДПИСКА НА ПОДІЇ ЯДРА (Binding) ---
             // Коли ядро каже "покажи стимул" -> ми оновлюємо змінні Alpine
 
-            this.core.onStimulusShow = (index, total) => {
+            this.core.on(CORE_EVENT.STIMULUS_SHOW, ({ index, stimulus }) => {
                 this.stimulusIndex = index;
+                this.currentStimulus = stimulus;
                 this.isStimulusVisible = true;
-            };
+                this.practiceFeedback = null;
+            });
 
-            this.core.onStimulusHide = () => {
+            this.core.on(CORE_EVENT.STIMULUS_HIDE, () => {
                 this.isStimulusVisible = false;
-            };
+            });
 
-            this.core.onSpamDetected = () => {
+            // Підказки лише на тренуванні: видно під час паузи, зникають з появою стимулу
+            this.core.on(CORE_EVENT.INPUT_REJECTED, ({ practice, reason }) => {
+                if (practice && reason === 'anticipation') this.practiceFeedback = { text: this.practiceFeedbackText('anticipation'), good: false };
+            });
+
+            this.core.on(CORE_EVENT.EXPOSURE_END, ({ practice, trial }) => {
+                if (!practice) return;
+                this.practiceFeedback = trial.outcome === 'hit'
+                    ? { text: this.t('common.ms', { value: Math.round(trial.rt) }), good: true }
+                    : { text: this.practiceFeedbackText(trial.outcome), good: trial.outcome === 'correct-rejection' };
+            });
+
+            this.core.on(CORE_EVENT.PRACTICE_COMPLETE, ({ practice }) => {
+                this.practicePending = false;
+                this.practiceResult = practice;
+                this.practiceFeedback = null;
+                this.setupRoundView();
+            });
+
+            this.core.on(CORE_EVENT.SPAM, () => {
                 // Switch to a blocking screen. The Space bar won't work here
                 // because handleInput checks for the 'test' screen.
                 this.screen = 'spam-error';
-            };
+            });
 
-            this.core.onRoundComplete = async (stats, isFinal) => {
-                if (isFinal) {
-                    await this.finishTest();
-                } else {
-                    this.startBreak();
-                }
-            };
+            this.core.on(CORE_EVENT.INTERRUPTED, ({ reason }) => {
+                this.interruption = reason;
+                this.screen = 'interrupted';
+            });
+
+            this.core.on(CORE_EVENT.ROUND_COMPLETE, ({ isFinal }) => {
+                if (!isFinal) this.startBreak();
+            });
+
+            this.core.on(CORE_EVENT.TEST_COMPLETE, ({ results }) => this.finishTest(results));
+
+            // Лог ядра в консоль — лише в режимі налагодження
+            if (this.debug) ReactionTestCore.consoleLogger(this.core);
+
+            try {
+                this.setLocale((await db.getLocale()) || this.locale, { persist: false });
+            } catch (e) {
+                console.error("Не вдалося завантажити мову інтерфейсу:", e);
+            }
+            try {
+                await db.loadPrivacy();
+            } catch (e) {
+                console.error("Не вдалося завантажити налаштування приватності:", e);
+            }
+            this.syncPrivacy();
+            this.anonymizeExport = this.privacy.enabled;
+            await this.loadParticipants();
+            await this.loadPresets();
+            try {
+                const saved = await db.getProtocol();
+                if (saved) this.applyProtocol(saved);
+            } catch (e) {
+                console.error("Не вдалося завантажити протокол:", e);
+            }
+            try {
+                this.inputOffsets = (await db.getCalibration())?.offsets || {};
+            } catch (e) {
+                console.error("Не вдалося завантажити калібрування:", e);
+            }
+            await this.loadBatch();
+            this.watchGamepads();
+            this.watchIntegrity();
+            this.watchUpdates();
+            await this.offerResume();
         },
 
         // --- ACTIONS (Методи, що викликаються з HTML) ---
 
-        login() {
-            if (this.user.age < 7 || this.user.age > 16) {
-                if (!confirm("Методика розрахована на 7-16 років. Продовжити?")) return;
+        async login() {
+            const age = ageOnDate(this.user.birthDate);
+            if (age === null) {
+                alert(this.t('alert.checkBirthDate'));
+                return;
+            }
+            this.user.age = age;
+            if (this.modality === MODALITY.AUDITORY) this.mode = 'simple';
+
+            const norms = normsFor(this.modality);
+            const table = norms && normsRegistry.get(norms.tableId);
+            if (table && (this.user.age < table.minAge || this.user.age > table.maxAge)) {
+                if (norms.outOfRange === 'reject') {
+                    alert(this.t('alert.ageRange', { min: table.minAge, max: table.maxAge }));
+                    return;
+                }
+                if (!confirm(this.t('alert.ageRangeContinue', { min: table.minAge, max: table.maxAge }))) return;
             }
+
+            try {
+                this.user.participantId = await this.saveParticipant();
+            } catch (e) {
+                console.error("Помилка збереження учасника:", e);
+                alert(this.t('alert.participantSaveFailed'));
+                return;
+            }
+            // Перед учасником за пристроєм історія закривається
+            if (this.privacy.enabled) this.lockHistory();
+            this.core.configure({ ...coreProtocol(this.protocol), mode: this.mode, modality: this.modality,
+                stimulusTypes: this.stimulusTypes, inputOffsets: this.inputOffsets });
             this.core.resetFullTest(); // Скидаємо ядро
+            this.practicePending = this.protocol.practiceStimuli > 0;
+            this.practiceResult = null;
             this.setupRoundView();
+            this.persistSession();
         },
 
-        startRound() {
+        async startRound() {
+            // Звук дозволено лише після дії користувача — вмикаємо його кліком "Готовий!".
+            // Серія починається, лише коли аудіогодинник іде: інакше тон не прозвучить
+            if (this.modality === MODALITY.AUDITORY && !(await tonePlayer.unlock())) {
+                alert(this.t('alert.audioBlocked'));
+                return;
+            }
+            this.enterFullscreen();
             this.screen = 'test';
-            this.core.startNextRound();
+            this.practiceFeedback = null;
+            if (this.practicePending) this.core.startPractice();
+            else this.core.startNextRound();
+        },
+
+        // Ще одне тренування (до першої серії)
+        repeatPractice() {
+            this.practicePending = true;
+            this.startRound();
         },
 
-        handleInput() {
+        handleInput(event) {
+            if (this.screen === 'calibration') {
+                this.calibrationTap(event);
+                return;
+            }
             if (this.screen === 'test') {
-                // Передаємо клік у ядро. Воно саме вирішить, чи це валідний клік, чи спам.
-                this.core.registerInput();
+                const response = this.resolveResponse(event);
+                if (response === undefined) return; // Не клавіша відповіді
+
+                // Передаємо клік у ядро разом з часом події (та сама шкала, що й performance.now)
+                // і пристроєм — ядро віднімає його затримку. Ядро саме вирішить, чи це валідний клік, чи спам.
+                this.core.registerInput(event?.timeStamp, response, inputDevice(event));
             }
         },
 
+        // --- КАЛІБРУВАННЯ ПРИСТРОЇВ ВВОДУ ---
+
+        openCalibration() {
+            this.calibration = { running: false, flash: false, beats: [], taps: [], result: null };
+            this.screen = 'calibration';
+        },
+
+        /**
+         * Прогін метронома: спалахи з інтервалом CONFIG.calibration.interval.
+         * Момент такту — кадр, у якому спалах з'явився на екрані (як і для стимулу тесту).
+         * Після прогону затримки перераховуються за всіма прогонами.
+         */
+        startMetronome() {
+            const { beats, interval } = CONFIG.calibration;
+            const calibration = this.calibration;
+            calibration.running = true;
+            let count = 0;
+            const beat = () => {
+                requestAnimationFrame((frameTime) => {
+                    calibration.flash = true;
+                    calibration.beats.push(frameTime);
+                    setTimeout(() => { calibration.flash = false; }, 100);
+                });
+                if (++count < beats) {
+                    setTimeout(beat, interval);
+                } else {
+                    // Останнє натискання може прийти трохи після такту
+                    setTimeout(() => {
+                        calibration.running = false;
+                        calibration.result = estimateOffsets(calibration.taps, calibration.beats, { interval });
+                    }, interval);
+                }
+            };
+            setTimeout(beat, interval);
+        },
+
+        calibrationTap(event) {
+            if (!this.calibration?.running || event.repeat) return;
+            if (event.type === 'keydown' && event.code !== 'Space') return;
+            const device = inputDevice(event);
+            if (device) this.calibration.taps.push({ device, timestamp: event.timeStamp });
+        },
+
+        async saveCalibration() {
+            const { offsets, devices } = this.calibration.result;
+            this.inputOffsets = offsets;
+            try {
+                await db.saveCalibration(JSON.parse(JSON.stringify({ offsets, devices, date: new Date() })));
+            } catch (e) {
+                console.error("Помилка збереження калібрування:", e);
+                alert(this.t('alert.calibrationSaveFailed'));
+                return;
+            }
+            this.calibration = null;
+            this.goHome();
+        },
+
+        /**
+         * Під час серії учасник має бачити лише тест: якщо вкладку сховано, вікно втратило фокус
+         * або закрито повноекранний режим, серію перервано (core.interruptRound) і пропонується пройти її заново.
+         * Поза екраном тесту (перерва, результат) події ігноруються — ядро не має активного раунду.
+         */
+        watchIntegrity() {
+            const interrupt = (reason) => {
+                if (this.screen === 'test') this.core.interruptRound(reason);
+            };
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) interrupt('hidden');
+            });
+            window.addEventListener('blur', () => interrupt('blur'));
+            document.addEventListener('fullscreenchange', () => {
+                if (!document.fullscreenElement) interrupt('fullscreen-exit');
+            });
+        },
+
+        /**
+         * Офлайн-кеш і оновлення (sw.js). Нова версія встановлюється у фоні й чекає;
+         * застосовується лише кнопкою між сесіями (applyUpdate). Якщо її застосувала інша вкладка,
+         * ця працює далі на вже завантаженому коді — перезавантажується лише та, що просила оновлення.
+         */
+        watchUpdates() {
+            if (!('serviceWorker' in navigator)) return;
+            const track = (worker) => {
+                if (!worker) return;
+                const check = () => {
+                    // Без controller це перше встановлення, а не оновлення
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        waitingWorker = worker;
+                        this.updateReady = true;
+                    }
+                };
+                check();
+                worker.addEventListener('statechange', check);
+            };
+            navigator.serviceWorker.register('sw.js')
+                .then((registration) => {
+                    track(registration.waiting);
+                    track(registration.installing);
+                    registration.addEventListener('updatefound', () => track(registration.installing));
+                })
+                .catch(e => console.error("Не вдалося зареєструвати service worker:", e));
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (this.updating) location.reload();
+            });
+        },
+
+        get canUpdate() {
+            return this.updateReady && UPDATE_SCREENS.includes(this.screen);
+        },
+
+        applyUpdate() {
+            if (!waitingWorker || !this.canUpdate) return;
+            this.updating = true;
+            waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        },
+
+        // Викликається з обробника кліку: браузер дозволяє повноекранний режим лише після дії користувача
+        enterFullscreen() {
+            if (!CONFIG.fullscreen || document.fullscreenElement || !document.documentElement.requestFullscreen) return;
+            document.documentElement.requestFullscreen().catch(e => console.error("Повноекранний режим недоступний:", e));
+        },
+
+        exitFullscreen() {
+            if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+        },
+
+        /**
+         * Геймпад не генерує DOM-подій натискання — опитуємо кнопки в кожному кадрі, поки він підключений.
+         * Натискання передається в handleInput як { type: 'gamepad', timeStamp, button };
+         * gamepad.timestamp — момент оновлення стану, на шкалі performance.now.
+         */
+        watchGamepads() {
+            if (typeof navigator.getGamepads !== 'function') return;
+            const previous = new Map(); // індекс геймпада -> натиснуті кнопки в попередньому кадрі
+            let polling = false;
+            const poll = () => {
+                const pads = [...navigator.getGamepads()].filter(Boolean);
+                for (const pad of pads) {
+                    const before = previous.get(pad.index) || [];
+                    pad.buttons.forEach((button, i) => {
+                        if (button.pressed && !before[i]) this.handleInput({ type: 'gamepad', timeStamp: pad.timestamp, button: i });
+                    });
+                    previous.set(pad.index, pad.buttons.map(b => b.pressed));
+                }
+                polling = pads.length > 0;
+                if (polling) requestAnimationFrame(poll);
+            };
+            window.addEventListener('gamepadconnected', () => {
+                if (polling) return;
+                polling = true;
+                requestAnimationFrame(poll);
+            });
+        },
+
         skipBreak() {
             clearInterval(this.breakInterval);
             this.setupRoundView();
+            this.persistSession();
         },
 
         restart() {
             this.screen = 'login';
-            this.user = {name: '', age: '', gender: 'male'};
+            this.user = emptyUser();
+            this.selectedParticipantId = '';
+            this.loadParticipants();
+        },
+
+        // Заповнює форму даними обраного учасника (або очищає для нового)
+        selectParticipant() {
+            const participant = this.participants.find(p => String(p.id) === String(this.selectedParticipantId));
+            this.user = participant
+                ? {...emptyUser(), participantId: participant.id, name: participant.name, birthDate: participant.birthDate || '',
+                    gender: participant.gender, group: participant.group || ''}
+                : emptyUser();
+        },
+
+        // Вік на сьогодні для підказки у формі
+        get currentAge() {
+            return ageOnDate(this.user.birthDate);
+        },
+
+        // Мова інтерфейсу; persist: false — під час завантаження збереженої
+        async setLocale(locale, { persist = true } = {}) {
+            this.locale = LOCALES.some(l => l.id === locale) ? locale : this.locale;
+            document.documentElement.lang = this.locale;
+            document.title = this.t('app.title');
+            if (!persist) return;
+            try {
+                await db.saveLocale(this.locale);
+            } catch (e) {
+                console.error("Не вдалося зберегти мову інтерфейсу:", e);
+            }
+        },
+
+        // --- I18N (для шаблонів index.html) ---
+
+        t(key, params) {
+            return translate(this.locale, key, params);
+        },
+
+        // Попередження нормативів (bioAge.warnings)
+        warningText(warning) {
+            return translateWarning(this.locale, warning);
+        },
+
+        // Чому біологічний вік не розраховано — мовою інтерфейсу
+        scoringErrorText() {
+            return this.scoringError ? this.t(`norms.error.${this.scoringError.code}`, this.scoringError.params) : '';
+        },
+
+        /**
+         * Перелік проблем з кодами (розбір списку класу, дампу) для alert: перші 10 і скільки ще.
+         * @param {string} prefix - Префікс ключів, наприклад 'roster.error'
+         * @param {Array<{code: string, params: Object}>} problems
+         * @returns {string}
+         */
+        problemList(prefix, problems) {
+            const lines = problems.slice(0, 10).map(p => this.t(`${prefix}.${p.code}`, p.params));
+            if (problems.length > 10) lines.push(this.t('common.more', { count: problems.length - 10 }));
+            return lines.join('\n');
+        },
+
+        formatDate(value, options) {
+            return formatDate(value, this.locale, options);
+        },
+
+        formatNumber(value, digits) {
+            return formatNumber(value, this.locale, digits);
+        },
+
+        // Назви вбудованих пресетів — з каталогу, власних — як їх збережено
+        presetName(preset) {
+            return BUILTIN_PRESETS.some(p => p.id === preset.id) ? this.t(`preset.${preset.id}`) : preset.name;
+        },
+
+        changeText(change) {
+            return changeText(change, this.locale);
+        },
+
+        // Графіки динаміки перебудовуються при зміні мови
+        get trendChartsSvg() {
+            return this.trend ? trendCharts(this.trend.points, this.trend.norm, this.trend.changes, this.locale) : { rt: '', bioAge: null };
         },
 
         // --- PRIVATE HELPERS ---
 
+        // Підказка тренування за результатом проби (TRIAL_OUTCOME)
+        practiceFeedbackText(outcome) {
+            const auditory = this.modality === MODALITY.AUDITORY && AUDITORY_FEEDBACK.includes(outcome);
+            return this.t(auditory ? `practice.auditory.${outcome}` : `practice.${outcome}`);
+        },
+
+        // Параметри тону з активного протоколу
+        configureTone() {
+            tonePlayer.configure({
+                frequency: this.protocol.toneFrequency,
+                duration: this.protocol.toneDuration,
+                volume: this.protocol.toneVolume
+            });
+        },
+
+        /**
+         * Типи стимулів обраної методики (для інструкції, відображення та клавіш).
+         */
+        get stimulusTypes() {
+            if (this.mode === 'choice') return CONFIG.stimulusTypes;
+            if (this.mode === 'go-nogo') return CONFIG.goNoGoStimulusTypes;
+            return [];
+        },
+
+        /**
+         * Яку відповідь означає подія: null у простому режимі, id відповіді в режимі вибору,
+         * undefined — якщо подія не є відповіддю (інша клавіша).
+         */
+        resolveResponse(event) {
+            if (event?.type === 'keydown') {
+                if (this.mode !== 'choice') return event.code === 'Space' ? null : undefined;
+                const type = this.stimulusTypes.find(t => t.key === event.code);
+                return type ? type.response : undefined;
+            }
+
+            if (this.mode !== 'choice') return null;
+
+            if (event?.type === 'gamepad') {
+                const type = this.stimulusTypes.find(t => t.button === event.button);
+                return type ? type.response : undefined;
+            }
+
+            // Дотик і клік: екран поділено на вертикальні зони за кількістю відповідей
+            const responses = [...new Set(this.stimulusTypes.map(t => t.response))];
+            const point = event?.type === 'mousedown' ? event : event?.changedTouches?.[0];
+            if (!point) return undefined;
+            const zone = Math.min(Math.floor(point.clientX / window.innerWidth * responses.length), responses.length - 1);
+            return responses[zone];
+        },
+
+        async loadParticipants() {
+            // Заблоковане сховище: ПІБ не прочитати, список порожній
+            if (this.privacy.locked) {
+                this.participants = [];
+                return;
+            }
+            try {
+                const participants = await db.getParticipants();
+                this.participants = participants.sort((a, b) => a.name.localeCompare(b.name, 'uk'));
+            } catch (e) {
+                console.error("Не вдалося завантажити учасників:", e);
+            }
+        },
+
+        /**
+         * Створює або оновлює учасника з форми. Учасник з тим самим ПІБ, статтю
+         * і датою народження використовується повторно, а не дублюється.
+         * @returns {Promise<number>} id учасника
+         */
+        async saveParticipant() {
+            const {name, birthDate, gender, group} = this.user;
+            const person = {name: name.trim(), birthDate, gender, group: group.trim()};
+
+            const existingId = this.user.participantId ?? (await db.findParticipant(person))?.id;
+            // Заблоковане сховище: відомого учасника не прочитати і не оновити
+            if (existingId && this.privacy.locked) return existingId;
+            const existing = existingId ? await db.getParticipant(existingId) : null;
+            return db.saveParticipant(existing ? {...existing, ...person} : person);
+        },
+
+        /**
+         * Зберігає сесію після кожної серії: завершені серії ядра, учасника та екран, з якого продовжити.
+         * Помилка збереження не зупиняє тест.
+         */
+        async persistSession(extra = {}) {
+            try {
+                await db.saveSession(JSON.parse(JSON.stringify({
+                    user: this.user,
+                    mode: this.mode,
+                    modality: this.modality,
+                    protocol: this.protocol,
+                    core: this.core.serialize(),
+                    breakEndsAt: null,
+                    ...extra
+                })));
+            } catch (e) {
+                console.error("Помилка збереження сесії:", e);
+            }
+        },
+
+        /**
+         * Після перезавантаження пропонує продовжити незавершену сесію:
+         * з перерви (якщо вона ще триває) або з початку перерваної серії.
+         */
+        async offerResume() {
+            let session;
+            try {
+                session = await db.getSession();
+            } catch (e) {
+                console.error("Не вдалося прочитати сесію:", e);
+                return;
+            }
+            if (!session) return;
+
+            const done = session.core.completedRounds;
+            const total = session.core.config.rounds;
+            if (!confirm(this.t('alert.resume', { name: session.user.name, done, total }))) {
+                await db.clearSession();
+                if (this.batch && this.batch.current !== null) await this.setBatchStatus(this.batch.current, BATCH_STATUS.RETRY);
+                return;
+            }
+
+            try {
+                this.core.restore(session.core);
+            } catch (e) {
+                console.error("Не вдалося відновити сесію:", e);
+                alert(this.t('alert.resumeFailed'));
+                await db.clearSession();
+                return;
+            }
+            this.user = session.user;
+            this.mode = session.mode;
+            this.modality = session.modality || MODALITY.VISUAL;
+            this.practicePending = false; // Після перезавантаження тренування не повторюємо
+            if (session.protocol) this.applyProtocol(session.protocol);
+
+            // Усі серії пройдено, але результат не встиг зберегтися — зберігаємо зараз
+            if (done >= total) {
+                await this.finishTest();
+                return;
+            }
+
+            const remaining = session.breakEndsAt ? Math.round((session.breakEndsAt - Date.now()) / 1000) : 0;
+            if (remaining > 0) {
+                this.startBreak(remaining);
+            } else {
+                this.setupRoundView();
+            }
+        },
+
         setupRoundView() {
             // Синхронізуємо номер раунду з ядром (+1 для відображення)
             this.round = this.core.state.currentRound + 1;
             this.screen = 'instruction';
         },
 
-        startBreak() {
+        startBreak(seconds = this.protocol.breakDuration) {
             this.screen = 'break';
-            let seconds = CONFIG.breakDuration;
             this.updateTimerStr(seconds);
+            this.persistSession({ breakEndsAt: Date.now() + seconds * 1000 });
 
             this.breakInterval = setInterval(() => {
                 seconds--;
@@ -133,48 +750,261 @@ export default function reactionApp() {
             this.timerDisplay = `${m}:${s}`;
         },
 
-        async finishTest() {
-            const rawResults = this.core.getFinalResults();
+        async finishTest(rawResults = this.core.getFinalResults()) {
+            this.exitFullscreen();
 
-            // Використовуємо статичну чисту функцію ядра для розрахунку
-            this.bioAge = ReactionTestCore.calculateBioAge(
-                rawResults.grandAverage,
-                Number(this.user.age),
-                this.user.gender
-            );
+            // Використовуємо статичну чисту функцію ядра для розрахунку.
+            // Якщо всі серії виключено (замало реакцій), біологічний вік не рахується.
+            // Нормативи патенту — для простої зорової реакції, тому режим вибору їх не використовує,
+            // а слуховий тест — лише за наявності слухових нормативів.
+            const norms = normsFor(rawResults.modality);
+            const canScore = rawResults.grandAverage !== null && rawResults.mode === 'simple' && norms;
+            // Помилка розрахунку не повинна загубити результат: він зберігається і показується без біологічного віку
+            this.scoringError = null;
+            try {
+                this.bioAge = !canScore ? null : ReactionTestCore.calculateBioAge(
+                    rawResults.grandAverage,
+                    Number(this.user.age),
+                    this.user.gender,
+                    { ...norms, modality: rawResults.modality }
+                );
+            } catch (e) {
+                console.error("Помилка розрахунку біологічного віку:", e);
+                this.bioAge = null;
+                // Коди мають лише помилки нормативів (norms.js normsError); решта — без подробиць
+                this.scoringError = e.params ? { code: e.code, params: e.params } : { code: 'unknown', params: {} };
+            }
 
             this.results = rawResults;
             // Ми створюємо "глибоку копію" даних, щоб прибрати Proxy від Alpine.js
             // Це робить дані "чистими" для IndexedDB
             const cleanRecord = JSON.parse(JSON.stringify({
+                participantId: this.user.participantId,
                 user: this.user,
                 results: this.results,
                 bioAge: this.bioAge,
+                // Повний протокол: назва пресета, тривалість перерви і конфіг ядра, з яким пройдено тест
+                protocol: { id: this.protocol.id, name: this.protocol.name, breakDuration: this.protocol.breakDuration, ...this.core.config },
                 date: new Date() // Дату краще генерувати тут або в db.js
             }));
 
+            this.lastRecord = cleanRecord;
             try {
-                await db.save(cleanRecord);
+                cleanRecord.id = await db.save(cleanRecord);
+                await db.clearSession();
+                if (this.batch && this.batch.current !== null) {
+                    this.batch.entries[this.batch.current].recordId = cleanRecord.id;
+                    await this.setBatchStatus(this.batch.current, BATCH_STATUS.DONE);
+                }
                 console.log("Результат успішно збережено!");
             } catch (e) {
                 console.error("Помилка збереження:", e);
-                alert("Не вдалося зберегти результат в історію.");
+                alert(this.t('alert.resultSaveFailed'));
             }
 
             this.screen = 'result';
         },
 
         async showHistory() {
-            const data = await db.getAll();
-            this.history = data.reverse(); // Нові зверху
+            if (!this.privacy.locked) await this.loadHistory();
             this.screen = 'history';
         },
 
-        async deleteRecord(id) {
-            if(confirm('Видалити?')) {
-                await db.delete(id);
-                await this.showHistory(); // Оновити список
+        // --- РЕЖИМ ПРИВАТНОСТІ ---
+
+        syncPrivacy() {
+            this.privacy = { enabled: db.isPrivate(), locked: db.isLocked() };
+        },
+
+        async unlockHistory() {
+            try {
+                await db.unlock(this.passphrase);
+            } catch (e) {
+                console.error("Не вдалося розблокувати історію:", e);
+                alert(this.t('alert.wrongPassphrase'));
+                return;
+            } finally {
+                this.passphrase = '';
+            }
+            this.syncPrivacy();
+            await this.loadParticipants();
+            await this.loadHistory();
+            if (this.batchLocked) await this.loadBatch();
+        },
+
+        // Ключ забувається; з пам'яті прибирається все розпечатане, зокрема записи для скасування видалення
+        lockHistory() {
+            db.lock();
+            this.syncPrivacy();
+            this.participants = [];
+            this.selectedParticipantId = '';
+            this.historyPage = { records: [], total: 0, ids: [] };
+            this.historySelection = [];
+            clearTimeout(this.undoDeletion?.timer);
+            this.undoDeletion = null;
+            this.trend = null;
+        },
+
+        async enablePrivacy() {
+            if (this.passphrase.length < MIN_PASSPHRASE_LENGTH) {
+                alert(this.t('alert.passphraseShort', { min: MIN_PASSPHRASE_LENGTH }));
+                return;
+            }
+            if (this.passphrase !== this.passphraseConfirm) {
+                alert(this.t('alert.passphraseMismatch'));
+                return;
+            }
+            if (!confirm(this.t('alert.enablePrivacy'))) return;
+
+            try {
+                await db.enablePrivacy(this.passphrase);
+            } catch (e) {
+                console.error("Не вдалося увімкнути режим приватності:", e);
+                alert(this.t('alert.privacyFailed'));
+                return;
+            } finally {
+                this.passphrase = '';
+                this.passphraseConfirm = '';
+            }
+            this.syncPrivacy();
+            this.anonymizeExport = true;
+            await this.loadHistory();
+        },
+
+        async disablePrivacy() {
+            if (!confirm(this.t('alert.disablePrivacy'))) return;
+            try {
+                await db.disablePrivacy();
+            } catch (e) {
+                console.error("Не вдалося вимкнути режим приватності:", e);
+                alert(this.t('alert.privacyFailed'));
+                return;
+            }
+            this.syncPrivacy();
+            await this.loadHistory();
+        },
+
+        // Поточна сторінка історії; вибір зберігається лише для записів, що й далі знайдені
+        async loadHistory() {
+            const query = { filters: this.historyFilters, sort: this.historySort, limit: HISTORY_PAGE_SIZE };
+            let page = await db.queryResults({ ...query, offset: this.historyPageIndex * HISTORY_PAGE_SIZE });
+            // Після видалення чи звуження фільтрів сторінки могло стати менше
+            if (!page.records.length && this.historyPageIndex > 0) {
+                this.historyPageIndex = pageCount(page.total) - 1;
+                page = await db.queryResults({ ...query, offset: this.historyPageIndex * HISTORY_PAGE_SIZE });
             }
+            this.historyPage = page;
+            const found = new Set(page.ids);
+            this.historySelection = this.historySelection.filter(id => found.has(id));
+        },
+
+        // Нові фільтри — з першої сторінки
+        async filterHistory() {
+            this.historyPageIndex = 0;
+            await this.loadHistory();
+        },
+
+        async resetHistoryFilters() {
+            this.historyFilters = emptyFilters();
+            await this.filterHistory();
+        },
+
+        // Повторний клік по тій самій колонці змінює напрямок; дата і числа — спершу за спаданням, ПІБ — за абеткою
+        async sortHistory(field) {
+            this.historySort = this.historySort.field === field
+                ? { field, direction: this.historySort.direction === 'asc' ? 'desc' : 'asc' }
+                : { field, direction: field === 'name' ? 'asc' : 'desc' };
+            await this.filterHistory();
+        },
+
+        sortMark(field) {
+            if (this.historySort.field !== field) return '';
+            return this.historySort.direction === 'asc' ? ' ▲' : ' ▼';
+        },
+
+        get historyPages() {
+            return pageCount(this.historyPage.total);
+        },
+
+        async goToHistoryPage(index) {
+            this.historyPageIndex = Math.min(Math.max(index, 0), this.historyPages - 1);
+            await this.loadHistory();
+        },
+
+        toggleSelection(id) {
+            this.historySelection = this.historySelection.includes(id)
+                ? this.historySelection.filter(x => x !== id)
+                : [...this.historySelection, id];
+        },
+
+        get pageSelected() {
+            return this.historyPage.records.length > 0 && this.historyPage.records.every(r => this.historySelection.includes(r.id));
+        },
+
+        togglePageSelection() {
+            const pageIds = this.historyPage.records.map(r => r.id);
+            this.historySelection = this.pageSelected
+                ? this.historySelection.filter(id => !pageIds.includes(id))
+                : [...new Set([...this.historySelection, ...pageIds])];
+        },
+
+        selectAllFound() {
+            this.historySelection = [...this.historyPage.ids];
+        },
+
+        clearSelection() {
+            this.historySelection = [];
+        },
+
+        // Записи для експорту: вибрані або, якщо нічого не вибрано, усі знайдені за фільтрами
+        async historyRecords() {
+            return db.getByIds(this.historySelection.length ? this.historySelection : this.historyPage.ids);
+        },
+
+        // Записи з учасниками для експорту; для досліджень — анонімізовані (privacy.js)
+        async exportSet() {
+            const results = await this.historyRecords();
+            const participantIds = new Set(results.map(r => r.participantId));
+            const participants = (await db.getParticipants()).filter(p => participantIds.has(p.id));
+            return this.anonymizeExport ? anonymize(participants, results) : { participants, results };
+        },
+
+        deleteRecord(id) {
+            return this.deleteRecords([id]);
+        },
+
+        deleteSelected() {
+            return this.deleteRecords(this.historySelection);
+        },
+
+        // Без підтвердження: видалення можна скасувати протягом UNDO_TIMEOUT
+        async deleteRecords(ids) {
+            if (!ids.length) return;
+            try {
+                const records = await db.getByIds(ids);
+                await db.deleteMany(ids);
+                clearTimeout(this.undoDeletion?.timer);
+                this.undoDeletion = { records, timer: setTimeout(() => { this.undoDeletion = null; }, UNDO_TIMEOUT) };
+            } catch (e) {
+                console.error("Помилка видалення:", e);
+                alert(this.t('alert.deleteFailed'));
+            }
+            await this.loadHistory();
+        },
+
+        async undoDelete() {
+            if (!this.undoDeletion) return;
+            const { records, timer } = this.undoDeletion;
+            clearTimeout(timer);
+            this.undoDeletion = null;
+            try {
+                // Дата стає рядком, але db.restore приводить її назад до Date (withSearchFields)
+                await db.restore(JSON.parse(JSON.stringify(records)));
+            } catch (e) {
+                console.error("Помилка відновлення записів:", e);
+                alert(this.t('alert.undoFailed'));
+            }
+            await this.loadHistory();
         },
 
         // Додайте кнопку "Назад" для історії
@@ -183,47 +1013,361 @@ export default function reactionApp() {
         },
 
         retryRound() {
+            this.enterFullscreen();
             this.screen = 'test';
             this.core.retryCurrentRound();
         },
 
-        quitTest() {
+        async quitTest() {
             if (this.screen === 'login') return;
-            if (confirm("Вийти з тестування?")) {
+            if (confirm(this.t('alert.quitTest'))) {
+                clearInterval(this.breakInterval);
+                this.exitFullscreen();
                 this.core.resetFullTest();
-                this.restart();
+                db.clearSession().catch(e => console.error("Помилка видалення сесії:", e));
+                // У пакетному режимі учасник лишається в черзі як пропущений
+                if (this.batch && this.batch.current !== null) {
+                    try {
+                        await this.setBatchStatus(this.batch.current, BATCH_STATUS.SKIPPED);
+                        await this.openBatch();
+                    } catch (e) {
+                        // Черга лишається в пам'яті — повертаємося до неї без підсумку
+                        console.error("Не вдалося відкрити чергу класу:", e);
+                        this.batchSummary = null;
+                        this.screen = 'batch';
+                    }
+                } else {
+                    this.restart();
+                }
             }
         },
 
-        async exportData() {
-            // 1. Отримуємо всі дані з БД
-            const data = await db.getAll();
+        // --- НАЛАШТУВАННЯ ПРОТОКОЛУ ---
 
-            if (!data || data.length === 0) {
-                alert("Немає даних для експорту.");
+        async loadPresets() {
+            try {
+                const saved = await db.getPresets();
+                this.presets = [...BUILTIN_PRESETS, ...saved.sort((a, b) => a.name.localeCompare(b.name, 'uk'))];
+            } catch (e) {
+                console.error("Не вдалося завантажити пресети:", e);
+            }
+        },
+
+        // Робить протокол активним для наступних тестів (без збереження в БД)
+        applyProtocol(protocol) {
+            this.protocol = { id: protocol.id ?? null, name: protocol.name, ...protocolValues(protocol) };
+            this.totalRounds = this.protocol.rounds;
+            this.totalStimuli = this.protocol.stimuliCount;
+            this.configureTone();
+        },
+
+        openSettings() {
+            this.settingsForm = { presetId: this.protocol.id === null ? '' : String(this.protocol.id), ...protocolValues(this.protocol) };
+            this.settingsErrors = [];
+            this.screen = 'settings';
+        },
+
+        get selectedPreset() {
+            return this.presets.find(p => String(p.id) === this.settingsForm?.presetId) || null;
+        },
+
+        // Вибір пресета заповнює форму його значеннями
+        choosePreset() {
+            if (this.selectedPreset) Object.assign(this.settingsForm, protocolValues(this.selectedPreset));
+            this.settingsErrors = [];
+        },
+
+        validateSettings() {
+            this.settingsErrors = validateProtocol(this.settingsForm, { minValidPerRound: CONFIG.minValidPerRound, locale: this.locale });
+            return this.settingsErrors.length === 0;
+        },
+
+        async applySettings() {
+            if (!this.validateSettings()) return;
+
+            const values = protocolValues(this.settingsForm);
+            const preset = this.selectedPreset;
+            // Змінені значення пресета — це вже власний протокол, а не пресет
+            const matchesPreset = preset && PROTOCOL_FIELDS.every(({ key }) => preset[key] === values[key]);
+            const customName = preset ? this.t('settings.customBasedOn', { name: this.presetName(preset) }) : this.t('settings.customName');
+            this.applyProtocol(matchesPreset ? preset : { id: null, name: customName, ...values });
+
+            try {
+                await db.saveProtocol(JSON.parse(JSON.stringify(this.protocol)));
+            } catch (e) {
+                console.error("Помилка збереження протоколу:", e);
+                alert(this.t('alert.protocolNotSaved'));
+            }
+            this.screen = 'login';
+        },
+
+        async savePreset() {
+            if (!this.validateSettings()) return;
+            const name = prompt(this.t('alert.presetName'), this.selectedPreset && !this.selectedPreset.builtin ? this.selectedPreset.name : '')?.trim();
+            if (!name) return;
+            if (BUILTIN_PRESETS.some(p => p.name === name)) {
+                alert(this.t('alert.presetNameBuiltin'));
+                return;
+            }
+
+            // Та сама назва — оновлюємо пресет, а не створюємо дубль
+            const existing = this.presets.find(p => !p.builtin && p.name === name);
+            try {
+                const id = await db.savePreset({ ...(existing || {}), name, ...protocolValues(this.settingsForm) });
+                await this.loadPresets();
+                this.settingsForm.presetId = String(id);
+            } catch (e) {
+                console.error("Помилка збереження пресета:", e);
+                alert(this.t('alert.presetSaveFailed'));
+            }
+        },
+
+        async deletePreset() {
+            const preset = this.selectedPreset;
+            if (!preset || preset.builtin || !confirm(this.t('alert.deletePreset', { name: preset.name }))) return;
+            try {
+                await db.deletePreset(preset.id);
+                await this.loadPresets();
+                this.settingsForm.presetId = DEFAULT_PRESET_ID;
+                this.choosePreset();
+            } catch (e) {
+                console.error("Помилка видалення пресета:", e);
+                alert(this.t('alert.presetDeleteFailed'));
+            }
+        },
+
+        // --- ПАКЕТНЕ ТЕСТУВАННЯ КЛАСУ ---
+
+        async loadRoster(event) {
+            const file = event.target.files[0];
+            event.target.value = ''; // Щоб той самий файл можна було вибрати повторно
+            if (!file) return;
+
+            const { people, errors } = parseRoster(await file.text());
+            if (!people.length) {
+                alert(this.t('alert.rosterEmpty', { errors: this.problemList('roster.error', errors) }));
                 return;
             }
+            if (errors.length && !confirm(this.t('alert.rosterPartial', { errors: this.problemList('roster.error', errors), count: people.length }))) return;
+            const unfinished = this.batchLocked || (this.batch && nextEntryIndex(this.batch) >= 0);
+            if (unfinished && !confirm(this.t('alert.rosterReplace'))) return;
+            this.batchLocked = false;
+
+            this.batch = createBatch(people, file.name.replace(/\.[^.]+$/, ''));
+            await this.persistBatch();
+            await this.openBatch();
+        },
+
+        // Список класу з БД; запечатаний при заблокованій історії лишається в БД до unlock
+        async loadBatch() {
+            try {
+                this.batchLocked = await db.hasLockedBatch();
+                if (!this.batchLocked) this.batch = (await db.getBatch()) || null;
+            } catch (e) {
+                console.error("Не вдалося завантажити список класу:", e);
+            }
+        },
+
+        async persistBatch() {
+            try {
+                await db.saveBatch(JSON.parse(JSON.stringify(this.batch)));
+            } catch (e) {
+                console.error("Помилка збереження списку класу:", e);
+            }
+        },
+
+        async setBatchStatus(index, status) {
+            this.batch.entries[index].status = status;
+            if (this.batch.current === index) this.batch.current = null;
+            await this.persistBatch();
+        },
+
+        get batchProgress() {
+            return this.batch ? batchProgress(this.batch) : null;
+        },
+
+        // Екран черги з підсумком по вже пройдених учасниках
+        async openBatch() {
+            const ids = new Set(this.batch.entries.map(e => e.recordId).filter(id => id !== null));
+            // Підсумок класу читає історію — при заблокованому сховищі його немає
+            const records = ids.size && !this.privacy.locked ? (await db.getAll()).filter(r => ids.has(r.id)) : [];
+            this.batchSummary = records.length ? classSummary(records, this.modality) : null;
+            this.screen = 'batch';
+        },
+
+        async startBatchEntry(index) {
+            const entry = this.batch.entries[index];
+            this.batch.current = index;
+            entry.attempts++;
+            this.user = { ...emptyUser(), ...entry.person };
+            this.selectedParticipantId = '';
+            await this.persistBatch();
+
+            await this.login();
+            // login() міг зупинитися (вік поза нормативами тощо) — учасник лишається в черзі
+            if (this.screen !== 'instruction') {
+                this.batch.current = null;
+                await this.persistBatch();
+                this.screen = 'batch';
+            }
+        },
+
+        // Один клік: наступний учасник черги або підсумок, якщо всі пройдені
+        async nextParticipant() {
+            const index = nextEntryIndex(this.batch);
+            if (index < 0) {
+                await this.openBatch();
+                return;
+            }
+            await this.startBatchEntry(index);
+        },
 
-            // 2. Перетворюємо в красивий JSON рядок
-            const jsonString = JSON.stringify(data, null, 2);
+        // Після спаму: не змушуємо учня повторювати одразу, а ставимо в кінець черги
+        async deferParticipant() {
+            this.exitFullscreen();
+            this.core.resetFullTest();
+            db.clearSession().catch(e => console.error("Помилка видалення сесії:", e));
+            await this.setBatchStatus(this.batch.current, BATCH_STATUS.RETRY);
+            await this.openBatch();
+        },
+
+        async closeBatch() {
+            if (!confirm(this.t('alert.closeBatch'))) return;
+            await db.clearBatch();
+            this.batch = null;
+            this.batchSummary = null;
+            this.restart();
+        },
 
-            // 3. Створюємо "віртуальний файл" (Blob)
-            const blob = new Blob([jsonString], { type: "application/json" });
+        async exportData() {
+            // 1. Отримуємо вибрані або всі знайдені записи історії разом з їхніми учасниками
+            const { participants, results } = await this.exportSet();
 
-            // 4. Створюємо посилання для скачування
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
+            if (results.length === 0) {
+                alert(this.t('alert.nothingToExport'));
+                return;
+            }
 
-            // Генеруємо ім'я файлу з датою: "reaction_dump_2023-10-27.json"
+            // 2. Перетворюємо в красивий JSON рядок. Поля пошуку (record.search) похідні — не експортуються
+            const jsonString = JSON.stringify(createDump(participants, results.map(({ search, ...record }) => record)), null, 2);
+
+            // 3. Генеруємо ім'я файлу з датою: "reaction_dump_2023-10-27.json" і скачуємо
             const dateStr = new Date().toISOString().split('T').join('-');
-            a.href = url;
-            a.download = `reaction_dump_${dateStr}.json`;
-
-            // 5. Клікаємо програмно і прибираємо сміття
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            downloadFile(jsonString, `reaction_${this.anonymizeExport ? 'anon_' : ''}dump_${dateStr}.json`, "application/json");
+        },
+
+        // Динаміка учасника: усі його сесії простої реакції з кривою норми для статі
+        async showTrend(rec) {
+            // Динаміка — це історія: при заблокованому сховищі спершу пароль
+            if (this.privacy.locked) {
+                await this.showHistory();
+                return;
+            }
+            const records = rec.participantId != null
+                ? await db.getByParticipant(rec.participantId)
+                : (await db.getAll()).filter(r => participantKey(r.user) === participantKey(rec.user));
+
+            // Динаміка в модальності обраного запису: зорові й слухові сесії не порівнюються
+            const modality = rec.results?.modality || MODALITY.VISUAL;
+            const points = participantTimeline(records, modality);
+            const changes = detectChanges(points);
+            // Таблиця (і версія), за якою рахувався цей запис; якщо її вже немає в реєстрі — поточна
+            const norms = normsFor(modality);
+            let table = null;
+            try {
+                table = rec.bioAge?.norms
+                    ? normsRegistry.get(rec.bioAge.norms.id, rec.bioAge.norms.version)
+                    : normsRegistry.get(norms?.tableId);
+            } catch (e) {
+                table = norms && normsRegistry.get(norms.tableId);
+            }
+
+            this.trend = {
+                name: rec.user.name,
+                modality,
+                points,
+                changes,
+                norm: table && table.modality === modality ? normCurve(table, rec.user.gender) : []
+            };
+            this.screen = 'trend';
+        },
+
+        // Друкований звіт у новому вікні; PDF — через "Зберегти як PDF" у діалозі друку
+        openReport(record) {
+            const win = window.open('', '_blank');
+            if (!win) {
+                alert(this.t('alert.popupBlocked'));
+                return;
+            }
+            win.document.write(renderReport(JSON.parse(JSON.stringify(record)), { locale: this.locale }));
+            win.document.close();
+        },
+
+        /**
+         * Експорт вибраних (або всіх знайдених) записів історії у таблицю.
+         * @param {'summary'|'trials'} layout - Один рядок на сесію або на стимул
+         * @param {'csv'|'xlsx'} format
+         */
+        async exportTable(layout, format) {
+            const { results: records } = await this.exportSet();
+            if (!records.length) {
+                alert(this.t('alert.nothingToExport'));
+                return;
+            }
+
+            const rows = layout === 'trials' ? trialRows(records, this.locale) : summaryRows(records, this.locale);
+            const dateStr = new Date().toISOString().slice(0, 10);
+            const baseName = `reaction_${this.anonymizeExport ? 'anon_' : ''}${layout}_${dateStr}`;
+
+            if (format === 'xlsx') {
+                downloadFile(toXLSX(rows, this.t(`export.sheet.${layout}`)), `${baseName}.xlsx`,
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            } else {
+                downloadFile(toCSV(rows), `${baseName}.csv`, 'text/csv;charset=utf-8');
+            }
+        },
+
+        /**
+         * Читає вибраний файл дампу і показує план імпорту (нічого не записує).
+         */
+        async previewImport(event) {
+            const file = event.target.files[0];
+            event.target.value = ''; // Дозволяє вибрати той самий файл ще раз
+            if (!file) return;
+
+            try {
+                const dump = parseDump(await file.text());
+                const local = { participants: await db.getParticipants(), results: await db.getAll() };
+                this.importPreview = { fileName: file.name, plan: planImport(dump, local), includeConflicts: false };
+            } catch (e) {
+                console.error("Помилка імпорту:", e);
+                const message = e instanceof DumpError ? this.problemList('import.error', e.problems) : e.message;
+                alert(this.t('alert.importReadFailed', { message }));
+            }
+        },
+
+        cancelImport() {
+            this.importPreview = null;
+        },
+
+        /**
+         * Записує план імпорту в БД однією транзакцією: нових учасників і результати з їхніми id.
+         */
+        async commitImport() {
+            const { plan, includeConflicts } = this.importPreview;
+            const entries = includeConflicts ? [...plan.added, ...plan.conflicts] : plan.added;
+
+            try {
+                const participants = plan.newParticipants.filter(({ key }) => entries.some(e => e.participantKey === key));
+                await db.importEntries(participants, entries);
+                alert(this.t('alert.imported', { count: entries.length }));
+            } catch (e) {
+                console.error("Помилка імпорту:", e);
+                alert(this.t('alert.importFailed'));
+            }
+
+            this.importPreview = null;
+            await this.showHistory();
         },
     };
 }
\ No newline at end of file
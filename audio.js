@@ -0,0 +1,117 @@
+/**
+ * AUDIO MODULE
+ *
+ * Слуховий стимул: тон Web Audio заданої частоти, тривалості та гучності.
+ * Момент появи береться з аудіогодинника (AudioContext) і переводиться на шкалу performance.now,
+ * тобто ту саму, що й event.timeStamp натискань. Підключається до ядра через timing.requestAudio / cancelAudio.
+ */
+
+// Плавний фронт і спад (мс), щоб тон не клацав
+const RAMP_MS = 5;
+
+/**
+ * Момент, коли тон реально прозвучить, на шкалі performance.now.
+ * @param {{contextTime: number, performanceTime: number}} stamp - AudioContext.getOutputTimestamp():
+ *        який момент аудіогодинника звучить у динаміку в момент performanceTime
+ * @param {number} startAt - Час старту тону на аудіогодиннику (с)
+ * @param {number} [outputLatency=0] - Затримка виводу (с), якщо stamp її не враховує
+ * @returns {number} мс
+ */
+export function audioOnsetTime(stamp, startAt, outputLatency = 0) {
+    return stamp.performanceTime + (startAt - stamp.contextTime + outputLatency) * 1000;
+}
+
+export class TonePlayer {
+    /**
+     * @param {Object} [tone]
+     * @param {number} [tone.frequency=1000] - Гц
+     * @param {number} [tone.duration=100] - мс
+     * @param {number} [tone.volume=50] - Гучність, %
+     */
+    constructor(tone = {}) {
+        this.context = null;
+        this.nextId = 0;
+        this.playing = new Map(); // id -> OscillatorNode
+        this.pending = new Set(); // id тонів, що чекають відновлення AudioContext
+        this.configure(tone);
+    }
+
+    configure({ frequency = 1000, duration = 100, volume = 50 } = {}) {
+        this.tone = { frequency, duration, volume };
+    }
+
+    /**
+     * Створює / відновлює AudioContext. Браузер дозволяє звук лише після дії користувача,
+     * тому викликається з обробника кліку ("Готовий!").
+     * @returns {Promise<boolean>} true, коли аудіогодинник іде; false, якщо браузер не дозволив звук
+     */
+    unlock() {
+        if (!this.context) this.context = new AudioContext({ latencyHint: 'interactive' });
+        if (this.context.state === 'running') return Promise.resolve(true);
+        return this.context.resume()
+            .then(() => this.context.state === 'running')
+            .catch(e => {
+                console.error("Не вдалося увімкнути звук:", e);
+                return false;
+            });
+    }
+
+    /**
+     * Відтворює тон якнайшвидше і повідомляє момент його появи.
+     * Поки AudioContext призупинено, його годинник стоїть — тон планується лише після відновлення,
+     * інакше момент появи був би хибним.
+     * @param {function(number): void} onOnset - Отримує час появи (мс, шкала performance.now)
+     * @returns {number} id для stop()
+     */
+    play(onOnset) {
+        const id = ++this.nextId;
+        if (this.context?.state === 'running') {
+            this.start(id, onOnset);
+            return id;
+        }
+        this.pending.add(id);
+        this.unlock().then(running => {
+            // Тон скасовано (stop) до відновлення контексту
+            if (!this.pending.delete(id)) return;
+            if (running) this.start(id, onOnset);
+        });
+        return id;
+    }
+
+    /** @private */
+    start(id, onOnset) {
+        const ctx = this.context;
+        const { frequency, duration, volume } = this.tone;
+
+        const startAt = ctx.currentTime;
+        const endAt = startAt + duration / 1000;
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0, startAt);
+        gain.gain.linearRampToValueAtTime(volume / 100, startAt + RAMP_MS / 1000);
+        gain.gain.setValueAtTime(volume / 100, Math.max(startAt + RAMP_MS / 1000, endAt - RAMP_MS / 1000));
+        gain.gain.linearRampToValueAtTime(0, endAt);
+        oscillator.connect(gain).connect(ctx.destination);
+        oscillator.onended = () => this.playing.delete(id);
+        oscillator.start(startAt);
+        oscillator.stop(endAt);
+        this.playing.set(id, oscillator);
+
+        // getOutputTimestamp вже враховує затримку виводу; без нього (старі браузери) додаємо її вручну
+        if (typeof ctx.getOutputTimestamp === 'function') {
+            onOnset(audioOnsetTime(ctx.getOutputTimestamp(), startAt));
+        } else {
+            const stamp = { contextTime: ctx.currentTime, performanceTime: performance.now() };
+            onOnset(audioOnsetTime(stamp, startAt, (ctx.outputLatency || 0) + (ctx.baseLatency || 0)));
+        }
+    }
+
+    stop(id) {
+        this.pending.delete(id);
+        const oscillator = this.playing.get(id);
+        if (!oscillator) return;
+        oscillator.stop();
+        this.playing.delete(id);
+    }
+}
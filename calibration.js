@@ -0,0 +1,86 @@
+/**
+ * CALIBRATION MODULE
+ *
+ * Пристрої вводу і оцінка їхньої затримки. Затримки клавіатури, сенсорного екрана, миші та геймпада
+ * різняться на десятки мілісекунд — порівнянно з різницею норм сусідніх вікових груп.
+ *
+ * Калібрування — натискання в такт метроному (спалах на екрані) кожним пристроєм.
+ * Людина випереджає або запізнюється відносно такту однаково незалежно від пристрою,
+ * тож різниця медіанних асинхроній між пристроями — це різниця їхніх затримок.
+ * Затримка рахується відносно клавіатури (REFERENCE_DEVICE), якою зібрано нормативи;
+ * абсолютну затримку без апаратного вимірювання оцінити неможливо.
+ */
+import { ReactionTestCore } from './ReactionCore.js';
+
+export const INPUT_DEVICE = Object.freeze({
+    KEYBOARD: 'keyboard',
+    TOUCH: 'touch',
+    MOUSE: 'mouse',
+    GAMEPAD: 'gamepad'
+});
+
+// Пристрій, відносно якого рахуються затримки (затримка = 0)
+export const REFERENCE_DEVICE = INPUT_DEVICE.KEYBOARD;
+
+/**
+ * Пристрій, з якого надійшла подія. Геймпад не має DOM-подій — app.js передає { type: 'gamepad' } з опитування.
+ * @param {Object} event - KeyboardEvent / TouchEvent / PointerEvent / MouseEvent / { type: 'gamepad' }
+ * @returns {?string} INPUT_DEVICE або null, якщо пристрій невідомий
+ */
+export function inputDevice(event) {
+    const type = event?.type || '';
+    if (type.startsWith('key')) return INPUT_DEVICE.KEYBOARD;
+    if (type.startsWith('touch')) return INPUT_DEVICE.TOUCH;
+    if (type.startsWith('pointer')) return event.pointerType === 'mouse' ? INPUT_DEVICE.MOUSE : INPUT_DEVICE.TOUCH;
+    if (type.startsWith('mouse')) return INPUT_DEVICE.MOUSE;
+    if (type === 'gamepad') return INPUT_DEVICE.GAMEPAD;
+    return null;
+}
+
+/**
+ * Асинхронії натискань відносно найближчого такту.
+ * Натискання на відстані пів інтервалу і більше від будь-якого такту відкидаються (пропущений або зайвий такт).
+ * @param {Array<{device: string, timestamp: number}>} taps
+ * @param {number[]} beats - Моменти тактів (на тій самій шкалі, що й timestamp)
+ * @param {number} interval - Інтервал метронома, мс
+ * @returns {Object<string, number[]>} device -> асинхронії, мс (від'ємні — натискання до такту)
+ */
+export function tapAsynchronies(taps, beats, interval) {
+    const byDevice = {};
+    for (const { device, timestamp } of taps) {
+        if (!device || !beats.length) continue;
+        const nearest = beats.reduce((best, beat) => (Math.abs(timestamp - beat) < Math.abs(timestamp - best) ? beat : best));
+        const asynchrony = timestamp - nearest;
+        if (Math.abs(asynchrony) >= interval / 2) continue;
+        (byDevice[device] ||= []).push(asynchrony);
+    }
+    return byDevice;
+}
+
+/**
+ * Затримки пристроїв відносно опорного за результатами калібрування.
+ * @param {Array<{device: string, timestamp: number}>} taps
+ * @param {number[]} beats
+ * @param {Object} options
+ * @param {number} options.interval - Інтервал метронома, мс
+ * @param {string} [options.reference=REFERENCE_DEVICE]
+ * @param {number} [options.minTaps=8] - Менше натискань — затримка пристрою не оцінюється
+ * @returns {{devices: Object<string, {count: number, median: number, sd: number}>, offsets: Object<string, number>}}
+ *          offsets — мс для config.inputOffsets ядра; порожній, якщо опорний пристрій не відкалібровано
+ */
+export function estimateOffsets(taps, beats, { interval, reference = REFERENCE_DEVICE, minTaps = 8 }) {
+    const devices = {};
+    for (const [device, values] of Object.entries(tapAsynchronies(taps, beats, interval))) {
+        if (values.length < minTaps) continue;
+        const { median, sd } = ReactionTestCore.describe(values);
+        devices[device] = { count: values.length, median, sd };
+    }
+
+    const offsets = {};
+    if (devices[reference]) {
+        for (const [device, { median }] of Object.entries(devices)) {
+            offsets[device] = Math.round(median - devices[reference].median);
+        }
+    }
+    return { devices, offsets };
+}
@@ -1,19 +1,413 @@
+import { participantKey } from './participants.js';
+import { remapRecord } from './importer.js';
+import { HISTORY_SORT_FIELDS, HISTORY_PAGE_SIZE, withSearchFields, matchesFilters, sortRange, queryRecords } from './history.js';
+import {
+    participantCode, createVault, unlockVault, importPublicKey, sealRecord, openRecord, sealParticipant, openParticipant,
+    sealSession, openSession, sealBatch, openBatch
+} from './privacy.js';
+
 const DB_NAME = 'BioAgeDB';
+const DB_VERSION = 6;
+
+// Міграції за версіями: кожен крок виконується лише для баз, старіших за нього
+const upgrade = (database, oldVersion, tx) => {
+    if (oldVersion < 1) database.createObjectStore('results', { keyPath: 'id', autoIncrement: true });
+    // v2: незавершена сесія тестування (один запис з id 'current')
+    if (oldVersion < 2) database.createObjectStore('sessions', { keyPath: 'id' });
+    // v3: реєстр учасників; результати посилаються на учасника через participantId
+    if (oldVersion < 3) {
+        const participants = database.createObjectStore('participants', { keyPath: 'id', autoIncrement: true });
+        participants.createIndex('name', 'name');
+        participants.createIndex('birthDate', 'birthDate');
+        participants.createIndex('group', 'group');
+        participants.createIndex('key', 'key', { unique: true });
+        const results = tx.objectStore('results');
+        results.createIndex('participantId', 'participantId');
+        if (oldVersion >= 1) migrateParticipants(results, participants);
+    }
+    // v4: власні пресети протоколу (вбудовані — у protocol.js)
+    if (oldVersion < 4) {
+        const presets = database.createObjectStore('presets', { keyPath: 'id', autoIncrement: true });
+        presets.createIndex('name', 'name', { unique: true });
+    }
+    // v5: індекси історії за нормалізованими полями record.search (history.js).
+    // Бази, старші за v3, отримують поля в migrateParticipants — той самий курсор, щоб оновлення не перетиралися
+    if (oldVersion < 5) {
+        const results = tx.objectStore('results');
+        for (const field of HISTORY_SORT_FIELDS) {
+            results.createIndex(field, field === 'date' ? 'date' : `search.${field}`);
+        }
+        if (oldVersion >= 3) addSearchFields(results);
+    }
+    // v6: коди учасників для псевдонімізації (privacy.js). Учасники з migrateParticipants отримують код одразу
+    if (oldVersion < 6 && oldVersion >= 3) {
+        tx.objectStore('participants').openCursor().onsuccess = e => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            if (!cursor.value.code) cursor.update({ ...cursor.value, code: participantCode() });
+            cursor.continue();
+        };
+    }
+};
+
+const addSearchFields = (results) => {
+    results.openCursor().onsuccess = e => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        cursor.update(withSearchFields(cursor.value));
+        cursor.continue();
+    };
+};
+
+// Групує старі результати (учасник був лише текстом у user) в учасників за ПІБ і статтю
+const migrateParticipants = (results, participants) => {
+    const ids = new Map();
+    results.openCursor().onsuccess = e => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        const record = cursor.value;
+        const person = { name: (record.user?.name || '').trim(), gender: record.user?.gender || 'male', birthDate: null };
+        const key = participantKey(person);
 
-const run = (mode, callback) => new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, 1);
-    req.onupgradeneeded = e => e.target.result.createObjectStore('results', { keyPath: 'id', autoIncrement: true });
-    req.onsuccess = e => {
-        const tx = e.target.result.transaction('results', mode);
-        const req = callback(tx.objectStore('results'));
-        req.onsuccess = () => resolve(req.result);
-        req.onerror = () => reject(req.error);
+        const link = id => {
+            cursor.update(withSearchFields({ ...record, participantId: id }));
+            cursor.continue();
+        };
+        if (ids.has(key)) {
+            link(ids.get(key));
+        } else {
+            participants.add({ ...person, group: '', key, code: participantCode(), createdAt: new Date() }).onsuccess = ev => {
+                ids.set(key, ev.target.result);
+                link(ev.target.result);
+            };
+        }
     };
+};
+
+const open = () => new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = e => upgrade(e.target.result, e.oldVersion, e.target.transaction);
+    req.onsuccess = e => resolve(e.target.result);
     req.onerror = () => reject(req.error);
 });
 
+// Один запит: результат — результат запиту
+const run = (storeName, mode, callback) => open().then(database => new Promise((resolve, reject) => {
+    const req = callback(database.transaction(storeName, mode).objectStore(storeName));
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+}));
+
+// Кілька запитів в одній транзакції: callback наповнює output, результат — після завершення транзакції
+const transact = (storeName, mode, callback) => open().then(database => new Promise((resolve, reject) => {
+    const tx = database.transaction(storeName, mode);
+    const output = [];
+    callback(tx.objectStore(storeName), output);
+    tx.oncomplete = () => resolve(output);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+}));
+
+// Кілька сховищ в одній транзакції запису: усе або нічого
+const rewrite = (storeNames, callback) => open().then(database => new Promise((resolve, reject) => {
+    const tx = database.transaction(storeNames, 'readwrite');
+    callback(tx);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+}));
+
+// Режим приватності (privacy.js): ключі живуть лише в пам'яті вкладки; privateKey === null — сховище заблоковане.
+// participants — розпечатані учасники, поки сховище відкрите (скидається при зміні реєстру)
+const privacy = { vault: null, publicKey: null, privateKey: null, participants: null };
+
+const isSealed = () => privacy.vault !== null;
+
+const requireKey = () => {
+    if (!privacy.privateKey) throw new Error('Сховище заблоковане: потрібен пароль');
+};
+
+const openStoredParticipant = async (participant) => {
+    if (!participant.sealed) return participant;
+    const person = await openParticipant(privacy.privateKey, participant);
+    return { ...person, key: participantKey(person) };
+};
+
+const openedParticipants = async () => {
+    if (!privacy.participants) {
+        requireKey();
+        const stored = await run('participants', 'readonly', store => store.getAll());
+        privacy.participants = await Promise.all(stored.map(openStoredParticipant));
+    }
+    return privacy.participants;
+};
+
+// Записи у звичайному вигляді: запечатані розпечатуються, ПІБ — з реєстру учасників
+const openResults = async (records) => {
+    if (!records.some(r => r.sealed)) return records;
+    requireKey();
+    const byId = new Map((await openedParticipants()).map(p => [p.id, p]));
+    return Promise.all(records.map(async record => (record.sealed
+        ? withSearchFields(await openRecord(privacy.privateKey, record, byId.get(record.participantId)))
+        : record)));
+};
+
+// Код учасника читається без пароля: він зберігається відкритим
+const participantCodeOf = async (participantId) => (participantId != null
+    ? (await run('participants', 'readonly', store => store.get(participantId)))?.code ?? null
+    : null);
+
+// Запис результату у сховище: запечатаний з кодом учасника (код відкритий — пароль не потрібен) або з полями пошуку
+const storedResult = async (record) => {
+    if (!isSealed()) return withSearchFields(record);
+    return sealRecord(privacy.publicKey, record, await participantCodeOf(record.participantId));
+};
+
+// Сесія і список класу в сховищі sessions: у режимі приватності — запечатані (privacy.js)
+const storedSession = async (session) => (isSealed()
+    ? sealSession(privacy.publicKey, session, await participantCodeOf(session.user?.participantId))
+    : session);
+
+const storedBatch = (batch) => (isSealed() ? sealBatch(privacy.publicKey, batch) : batch);
+
+const openStoredBatch = (batch) => {
+    if (!batch?.sealed) return batch;
+    requireKey();
+    return openBatch(privacy.privateKey, batch);
+};
+
+const storedParticipant = (participant) => (isSealed()
+    ? sealParticipant(privacy.publicKey, participant)
+    : { ...participant, key: participantKey(participant) });
+
+// При заблокованому сховищі findParticipant не бачить ПІБ, тож повторний учасник стає новим.
+// Після розблокування такі дублікати зливаються з першим учасником з тим самим participantKey
+const mergeParticipants = async () => {
+    const kept = new Map();
+    const duplicates = new Map(); // id дубліката -> учасник, що лишається
+    for (const participant of [...await openedParticipants()].sort((a, b) => a.id - b.id)) {
+        if (kept.has(participant.key)) duplicates.set(participant.id, kept.get(participant.key));
+        else kept.set(participant.key, participant);
+    }
+    if (!duplicates.size) return;
+
+    const stored = await run('results', 'readonly', store => store.getAll());
+    const relinked = await Promise.all(stored.filter(r => duplicates.has(r.participantId)).map(async envelope => {
+        const target = duplicates.get(envelope.participantId);
+        const record = await openRecord(privacy.privateKey, envelope, target);
+        return sealRecord(privacy.publicKey, { ...record, participantId: target.id, user: { ...record.user, participantId: target.id } }, target.code);
+    }));
+    await rewrite(['participants', 'results'], tx => {
+        duplicates.forEach((_, id) => tx.objectStore('participants').delete(id));
+        relinked.forEach(record => tx.objectStore('results').put(record));
+    });
+    privacy.participants = null;
+};
+
+const keyRange = (bounds) => {
+    if (!bounds) return null;
+    if (bounds.lower !== null && bounds.upper !== null) return IDBKeyRange.bound(bounds.lower, bounds.upper, false, bounds.upperOpen);
+    return bounds.lower !== null ? IDBKeyRange.lowerBound(bounds.lower) : IDBKeyRange.upperBound(bounds.upper, bounds.upperOpen);
+};
+
 export const db = {
-    save: (data) => run('readwrite', store => store.add({ date: new Date(), ...data })),
-    getAll: () => run('readonly', store => store.getAll()),
-    delete: (id) => run('readwrite', store => store.delete(id))
-};
\ No newline at end of file
+    // Запис можливий і при заблокованому сховищі; читання запечатаних записів — лише після unlock()
+    save: async (data) => {
+        const record = await storedResult({ date: new Date(), ...data });
+        return run('results', 'readwrite', store => store.add(record));
+    },
+    getAll: () => run('results', 'readonly', store => store.getAll()).then(openResults),
+    getByParticipant: (participantId) => run('results', 'readonly', store => store.index('participantId').getAll(participantId)).then(openResults),
+
+    // Записи за id у тому ж порядку (відсутні пропускаються)
+    getByIds: (ids) => transact('results', 'readonly', (store, output) => {
+        ids.forEach((id, i) => { store.get(id).onsuccess = e => { output[i] = e.target.result; }; });
+    }).then(records => openResults(records.filter(Boolean))),
+    deleteMany: (ids) => transact('results', 'readwrite', store => ids.forEach(id => store.delete(id))),
+    // Скасування видалення: записи повертаються з тими самими id
+    restore: async (records) => {
+        const stored = await Promise.all(records.map(storedResult));
+        return transact('results', 'readwrite', store => stored.forEach(record => store.put(record)));
+    },
+
+    /**
+     * Сторінка історії: курсор по індексу поля сортування, фільтри (history.js) — на льоту.
+     * @param {Object} [query]
+     * @param {{field: string, direction: 'asc'|'desc'}} [query.sort] - field — HISTORY_SORT_FIELDS
+     * @param {Object} [query.filters] - emptyFilters()
+     * @param {number} [query.offset=0]
+     * @param {number} [query.limit=HISTORY_PAGE_SIZE]
+     * @returns {Promise<{records: Array<Object>, total: number, ids: number[]}>} ids — усі знайдені (для вибору і експорту)
+     */
+    queryResults: ({ sort = { field: 'date', direction: 'desc' }, filters = {}, offset = 0, limit = HISTORY_PAGE_SIZE } = {}) => (isSealed()
+        // Запечатані записи не мають індексів полів: розпечатуються всі, сторінка — в пам'яті
+        ? db.getAll().then(records => queryRecords(records, { sort, filters, offset, limit }))
+        : transact('results', 'readonly', (store, output) => {
+            const page = { records: [], total: 0, ids: [] };
+            output.push(page);
+            const range = keyRange(sortRange(sort.field, filters));
+            store.index(sort.field).openCursor(range, sort.direction === 'asc' ? 'next' : 'prev').onsuccess = e => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                if (matchesFilters(cursor.value, filters)) {
+                    if (page.total >= offset && page.records.length < limit) page.records.push(cursor.value);
+                    page.total++;
+                    page.ids.push(cursor.primaryKey);
+                }
+                cursor.continue();
+            };
+        }).then(([page]) => page)),
+
+    // Учасники: key (participantKey) унікальний, тож повторне тестування не створює дубль
+    // У режимі приватності учасники запечатані: відкриті лише id, код і дата створення
+    getParticipants: () => (isSealed() ? openedParticipants() : run('participants', 'readonly', store => store.getAll())),
+    getParticipant: (id) => (isSealed()
+        ? openedParticipants().then(participants => participants.find(p => p.id === id))
+        : run('participants', 'readonly', store => store.get(id))),
+    saveParticipant: async (participant) => {
+        const stored = await storedParticipant({ createdAt: new Date(), ...participant, code: participant.code || participantCode() });
+        privacy.participants = null;
+        return run('participants', 'readwrite', store => store.put(stored));
+    },
+    /**
+     * Імпорт резервної копії (importer.js planImport) однією транзакцією: нові учасники і записи додаються всі або жоден.
+     * @param {Array<{key: string, person: Object}>} newParticipants - Лише ті, на кого посилаються entries
+     * @param {Array<Object>} entries - Елементи plan.added / plan.conflicts
+     * @returns {Promise<void>}
+     */
+    importEntries: async (newParticipants, entries) => {
+        // Запечатування — до транзакції: вона не доживає до кінця await crypto.subtle
+        const people = newParticipants.map(({ key, person }) => ({ key, person: { createdAt: new Date(), ...person, code: person.code || participantCode() } }));
+        const codes = new Map(people.map(({ key, person }) => [key, person.code]));
+        const storedPeople = await Promise.all(people.map(({ person }) => storedParticipant(person)));
+        // id нових учасників з'являються лише в транзакції: їхні записи доповнюються при додаванні
+        const records = await Promise.all(entries.map(async entry => {
+            const record = remapRecord(entry, new Map());
+            if (!isSealed()) return withSearchFields(record);
+            const code = entry.localParticipantId != null ? await participantCodeOf(entry.localParticipantId) : codes.get(entry.participantKey);
+            return sealRecord(privacy.publicKey, record, code ?? null);
+        }));
+        const linked = (record, participantId) => (record.sealed
+            ? { ...record, participantId }
+            : { ...record, participantId, user: { ...record.user, participantId } });
+
+        await rewrite(['participants', 'results'], tx => {
+            const ids = new Map();
+            const addResults = () => entries.forEach((entry, i) => {
+                tx.objectStore('results').add(linked(records[i], entry.localParticipantId ?? ids.get(entry.participantKey)));
+            });
+            let pending = storedPeople.length;
+            if (!pending) addResults();
+            storedPeople.forEach((person, i) => {
+                tx.objectStore('participants').add(person).onsuccess = e => {
+                    ids.set(people[i].key, e.target.result);
+                    if (--pending === 0) addResults();
+                };
+            });
+        });
+        privacy.participants = null;
+    },
+    // Заблоковане сховище: учасника не знайти (злиття — після unlock)
+    findParticipant: (person) => {
+        if (!isSealed()) return run('participants', 'readonly', store => store.index('key').get(participantKey(person)));
+        if (!privacy.privateKey) return Promise.resolve(undefined);
+        return openedParticipants().then(participants => participants.find(p => p.key === participantKey(person)));
+    },
+
+    // Сесія, що триває: перезаписується після кожної серії, видаляється після завершення.
+    // Запечатану сесію можна продовжити і без пароля — замість ПІБ буде код учасника
+    saveSession: async (session) => {
+        const stored = await storedSession(session);
+        return run('sessions', 'readwrite', store => store.put({ ...stored, id: 'current', savedAt: new Date() }));
+    },
+    getSession: async () => {
+        const session = await run('sessions', 'readonly', store => store.get('current'));
+        return session?.sealed ? openSession(privacy.privateKey, session) : session;
+    },
+    clearSession: () => run('sessions', 'readwrite', store => store.delete('current')),
+
+    // Пресети протоколу: назва унікальна
+    getPresets: () => run('presets', 'readonly', store => store.getAll()),
+    savePreset: (preset) => run('presets', 'readwrite', store => store.put({ createdAt: new Date(), ...preset })),
+    deletePreset: (id) => run('presets', 'readwrite', store => store.delete(id)),
+
+    // Активний протокол (обраний пресет або власні значення)
+    saveProtocol: (protocol) => run('sessions', 'readwrite', store => store.put({ id: 'protocol', protocol, savedAt: new Date() })),
+    getProtocol: () => run('sessions', 'readonly', store => store.get('protocol')).then(entry => entry?.protocol ?? null),
+
+    // Останнє калібрування пристроїв вводу ({ offsets, devices, date })
+    saveCalibration: (calibration) => run('sessions', 'readwrite', store => store.put({ id: 'calibration', calibration })),
+    getCalibration: () => run('sessions', 'readonly', store => store.get('calibration')).then(entry => entry?.calibration ?? null),
+
+    // Мова інтерфейсу (i18n.js LOCALES)
+    saveLocale: (locale) => run('sessions', 'readwrite', store => store.put({ id: 'locale', locale })),
+    getLocale: () => run('sessions', 'readonly', store => store.get('locale')).then(entry => entry?.locale ?? null),
+
+    // Режим приватності (privacy.js). Налаштування сховища — окремий запис у sessions
+    loadPrivacy: async () => {
+        const entry = await run('sessions', 'readonly', store => store.get('privacy'));
+        Object.assign(privacy, { vault: entry?.vault ?? null, privateKey: null, participants: null });
+        privacy.publicKey = privacy.vault && await importPublicKey(privacy.vault);
+        return isSealed();
+    },
+    isPrivate: () => isSealed(),
+    isLocked: () => isSealed() && !privacy.privateKey,
+    unlock: async (passphrase) => {
+        privacy.privateKey = (await unlockVault(privacy.vault, passphrase)).privateKey;
+        privacy.participants = null;
+        await mergeParticipants();
+    },
+    lock: () => {
+        privacy.privateKey = null;
+        privacy.participants = null;
+    },
+    // Запечатує всі наявні записи, учасників, сесію і список класу однією транзакцією разом зі збереженням сховища
+    enablePrivacy: async (passphrase) => {
+        const { vault, keys } = await createVault(passphrase);
+        const participants = (await run('participants', 'readonly', store => store.getAll()))
+            .map(p => ({ ...p, code: p.code || participantCode() }));
+        const codes = new Map(participants.map(p => [p.id, p.code]));
+        const results = await run('results', 'readonly', store => store.getAll());
+        const sealedParticipants = await Promise.all(participants.map(p => sealParticipant(keys.publicKey, p)));
+        const sealedResults = await Promise.all(results.map(r => sealRecord(keys.publicKey, r, codes.get(r.participantId) ?? null)));
+        const session = await run('sessions', 'readonly', store => store.get('current'));
+        const batch = await run('sessions', 'readonly', store => store.get('batch'));
+        const sealedSession = session && await sealSession(keys.publicKey, session, codes.get(session.user?.participantId) ?? null);
+        const sealedBatch = batch && await sealBatch(keys.publicKey, batch);
+        await rewrite(['participants', 'results', 'sessions'], tx => {
+            sealedParticipants.forEach(p => tx.objectStore('participants').put(p));
+            sealedResults.forEach(r => tx.objectStore('results').put(r));
+            if (sealedSession) tx.objectStore('sessions').put(sealedSession);
+            if (sealedBatch) tx.objectStore('sessions').put(sealedBatch);
+            tx.objectStore('sessions').put({ id: 'privacy', vault });
+        });
+        Object.assign(privacy, { vault, ...keys, participants: null });
+    },
+    // Зворотне: розпечатує все і видаляє сховище. Лише для розблокованого сховища
+    disablePrivacy: async () => {
+        const participants = await openedParticipants();
+        const results = await db.getAll();
+        const session = await db.getSession();
+        const batch = await db.getBatch();
+        await rewrite(['participants', 'results', 'sessions'], tx => {
+            participants.forEach(p => tx.objectStore('participants').put(p));
+            results.forEach(r => tx.objectStore('results').put(r));
+            if (session) tx.objectStore('sessions').put(session);
+            if (batch) tx.objectStore('sessions').put(batch);
+            tx.objectStore('sessions').delete('privacy');
+        });
+        Object.assign(privacy, { vault: null, publicKey: null, privateKey: null, participants: null });
+    },
+
+    // Черга пакетного тестування класу — окремий запис у тому ж сховищі.
+    // Запечатаний список читається лише після unlock(); зберігати його можна і при заблокованому сховищі
+    saveBatch: async (batch) => {
+        const stored = await storedBatch(batch);
+        return run('sessions', 'readwrite', store => store.put({ ...stored, id: 'batch', savedAt: new Date() }));
+    },
+    getBatch: () => run('sessions', 'readonly', store => store.get('batch')).then(openStoredBatch),
+    // Є список класу, який не прочитати без пароля
+    hasLockedBatch: () => run('sessions', 'readonly', store => store.get('batch'))
+        .then(batch => Boolean(batch?.sealed) && !privacy.privateKey),
+    clearBatch: () => run('sessions', 'readwrite', store => store.delete('batch'))
+};
@@ -0,0 +1,87 @@
+/**
+ * EVENT EMITTER
+ *
+ * Мінімальний емітер подій без залежностей від DOM.
+ * Слухач '*' отримує всі події: (type, payload).
+ * Помилка одного слухача не зупиняє інших і не ламає логіку, що викликала emit().
+ * Це стосується і асинхронних слухачів: відхилений проміс логується, а не губиться.
+ */
+export class Emitter {
+    constructor() {
+        this.listeners = new Map();
+        // once(): оригінальний слухач -> обгортка, щоб off(type, listener) знімав і одноразову підписку
+        this.onceWrappers = new Map();
+    }
+
+    /**
+     * Підписка на подію.
+     * @param {string} type - Назва події або '*' для всіх
+     * @param {Function} listener
+     * @returns {function(): void} Функція відписки
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Відписка. Без listener — знімає всіх слухачів події.
+     */
+    off(type, listener) {
+        if (!listener) {
+            this.listeners.delete(type);
+            this.onceWrappers.delete(type);
+            return;
+        }
+        const set = this.listeners.get(type);
+        if (!set) return;
+        set.delete(listener);
+        const wrapper = this.onceWrappers.get(type)?.get(listener);
+        if (wrapper) {
+            set.delete(wrapper);
+            this.onceWrappers.get(type).delete(listener);
+        }
+    }
+
+    /**
+     * Одноразова підписка: слухач знімається після першого виклику.
+     */
+    once(type, listener) {
+        const wrapper = (...args) => {
+            this.off(type, listener);
+            return listener(...args);
+        };
+        if (!this.onceWrappers.has(type)) this.onceWrappers.set(type, new Map());
+        this.onceWrappers.get(type).set(listener, wrapper);
+        this.on(type, wrapper);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * @param {string} type
+     * @param {Object} [payload]
+     */
+    emit(type, payload = {}) {
+        // Копія множини: слухачі можуть відписуватись під час обходу
+        for (const listener of [...(this.listeners.get(type) || [])]) {
+            this.invoke(listener, type, [payload]);
+        }
+        for (const listener of [...(this.listeners.get('*') || [])]) {
+            this.invoke(listener, type, [type, payload]);
+        }
+    }
+
+    /**
+     * @private
+     */
+    invoke(listener, type, args) {
+        const fail = (e) => console.error(`Listener for '${type}' failed:`, e);
+        try {
+            const result = listener(...args);
+            if (typeof result?.then === 'function') result.then(null, fail);
+        } catch (e) {
+            fail(e);
+        }
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * EXPORT LAYOUTS
+ *
+ * Перетворення збережених записів у табличні макети для CSV / XLSX:
+ * - summary: один рядок на сесію тестування;
+ * - trials: один рядок на стимул (довгий формат для статистичних пакетів).
+ * Заголовки, стать і висновок — мовою інтерфейсу; коди методики, результату проби тощо лишаються кодами.
+ */
+import { ReactionTestCore } from './ReactionCore.js';
+import { translate, DEFAULT_LOCALE } from './i18n.js';
+
+// Ч / Ж (M / F); невідоме значення — як є
+const genderLabel = (locale, gender) => (['male', 'female'].includes(gender) ? translate(locale, `gender.short.${gender}`) : gender);
+
+// Дата в локальному часі у форматі, який Excel розпізнає як дату: 2025-01-10 09:00
+const formatDate = (date) => {
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+// Часи з performance.now() — дробові (253.29999995): у таблиці — до сотих мс
+const toMs = (value) => (typeof value === 'number' ? Number(value.toFixed(2)) : null);
+
+/**
+ * Один рядок на сесію. Кількість колонок "Серія N" — за найдовшим записом.
+ * @param {Array<Object>} records - Записи з БД
+ * @param {string} [locale=DEFAULT_LOCALE]
+ * @returns {Array<Array<*>>}
+ */
+export function summaryRows(records, locale = DEFAULT_LOCALE) {
+    const t = (key, params) => translate(locale, key, params);
+    const maxRounds = Math.max(0, ...records.map(r => r.results?.roundAverages?.length || 0));
+    const header = [
+        'ID', t('common.date'), t('common.name'), t('common.birthDate'), t('export.group'), t('common.age'), t('common.gender'),
+        t('export.method'), t('export.modality'), t('export.protocol'),
+        ...Array.from({ length: maxRounds }, (_, i) => t('export.roundMs', { round: i + 1 })),
+        t('export.meanMs'), t('export.normMs'), t('export.bioAge'), t('export.tbr'), t('export.conclusion'), t('export.validity')
+    ];
+
+    const rows = records.map(record => {
+        const { user = {}, results = {}, bioAge } = record;
+        const rounds = results.roundAverages || [];
+        return [
+            record.id ?? null,
+            formatDate(record.date),
+            user.name,
+            user.birthDate || null,
+            user.group || null,
+            toNumber(user.age),
+            genderLabel(locale, user.gender),
+            results.mode || 'simple',
+            results.modality || 'visual',
+            record.protocol?.name || null,
+            ...Array.from({ length: maxRounds }, (_, i) => toNumber(rounds[i])),
+            toNumber(results.grandAverage),
+            toNumber(bioAge?.normMs),
+            toNumber(bioAge?.biologicalAge),
+            toNumber(bioAge?.tbr),
+            bioAge?.conclusion ? t(`conclusion.${ReactionTestCore.conclusionCode(bioAge.conclusion)}`) : null,
+            results.validity || null
+        ];
+    });
+
+    return [header, ...rows];
+}
+
+/**
+ * Один рядок на стимул. Для записів з деталізацією проб — усі проби з результатом;
+ * для старих записів (лише raw) — тільки зараховані реакції.
+ * @param {Array<Object>} records
+ * @param {string} [locale=DEFAULT_LOCALE]
+ * @returns {Array<Array<*>>}
+ */
+export function trialRows(records, locale = DEFAULT_LOCALE) {
+    const t = (key) => translate(locale, key);
+    const header = [
+        'ID', t('common.date'), t('common.name'), t('common.age'), t('common.gender'), t('export.round'), t('export.stimulus'),
+        t('export.stimulusType'), t('export.foreperiod'), t('export.outcome'), t('export.rt'), t('export.presses'),
+        t('export.jitter'), t('export.device'), t('export.inputOffset')
+    ];
+    const rows = [];
+
+    for (const record of records) {
+        const { user = {} } = record;
+        const base = [record.id ?? null, formatDate(record.date), user.name, toNumber(user.age), genderLabel(locale, user.gender)];
+
+        for (const round of record.results?.roundsDetails || []) {
+            if (round.trials) {
+                for (const trial of round.trials) {
+                    rows.push([
+                        ...base, round.roundNumber, trial.index, trial.stimulusType ?? null,
+                        toMs(trial.foreperiod), trial.outcome, toMs(trial.rt), trial.pressCount, toMs(trial.jitter),
+                        trial.device ?? null, trial.device ? toMs(trial.inputOffset) : null
+                    ]);
+                }
+            } else {
+                (round.raw || []).forEach((rt, i) => {
+                    rows.push([...base, round.roundNumber, i + 1, null, null, 'hit', toMs(rt), null, null, null, null]);
+                });
+            }
+        }
+    }
+
+    return [header, ...rows];
+}
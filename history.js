@@ -0,0 +1,137 @@
+/**
+ * HISTORY MODULE
+ *
+ * Пошук, фільтри, сортування і сторінки історії тестувань.
+ * Кожен запис зберігає нормалізовані поля record.search, за якими побудовані індекси IndexedDB (db.js):
+ * сторінка читається курсором по індексу поля сортування, фільтри перевіряються на льоту,
+ * тож у пам'яті лишається лише поточна сторінка, а не вся історія.
+ */
+import { ReactionTestCore } from './ReactionCore.js';
+
+// Поля сортування; назва індексу в db.js збігається з назвою поля
+export const HISTORY_SORT_FIELDS = Object.freeze(['date', 'name', 'age', 'grandAverage', 'bioAge']);
+
+export const HISTORY_PAGE_SIZE = 25;
+
+// Фільтр "без висновку" (біологічний вік не розраховано)
+export const NO_CONCLUSION = 'none';
+
+// Порожнє числове значення: -Infinity — коректний ключ IndexedDB, тож запис не випадає з сортування
+const MISSING = -Infinity;
+
+const toNumber = (value) => (value === null || value === undefined || value === '' || !Number.isFinite(Number(value)) ? MISSING : Number(value));
+
+/**
+ * Нормалізовані поля запису для індексів і фільтрів.
+ * @param {Object} record - Запис з БД
+ * @returns {{text: string, name: string, age: number, gender: string, grandAverage: number, bioAge: number, conclusion: string}}
+ *          text — ПІБ і клас для пошуку; числа без значення — -Infinity; conclusion — код CONCLUSION або NO_CONCLUSION
+ */
+export function searchFields(record) {
+    const { user = {}, results = {}, bioAge } = record;
+    const name = (user.name || '').trim().toLowerCase();
+    return {
+        text: `${name} ${(user.group || '').trim().toLowerCase()}`.trim(),
+        name,
+        age: toNumber(user.age),
+        gender: user.gender || '',
+        grandAverage: toNumber(results.grandAverage),
+        bioAge: toNumber(bioAge?.biologicalAge),
+        conclusion: ReactionTestCore.conclusionCode(bioAge?.conclusion) || NO_CONCLUSION
+    };
+}
+
+/**
+ * Запис з оновленими полями пошуку — перед кожним записом у сховище results.
+ * Дата приводиться до Date: у записах з дампу (importer.js) це рядок, а індекс 'date' сортує Date і рядки окремо.
+ * @param {Object} record
+ * @returns {Object}
+ */
+export function withSearchFields(record) {
+    return { ...record, date: new Date(record.date), search: searchFields(record) };
+}
+
+/**
+ * Порожні фільтри (значення як у полях форми: '' — фільтр не задано).
+ * @returns {{query: string, ageMin: string, ageMax: string, gender: string, dateFrom: string, dateTo: string, conclusion: string}}
+ */
+export function emptyFilters() {
+    return { query: '', ageMin: '', ageMax: '', gender: '', dateFrom: '', dateTo: '', conclusion: '' };
+}
+
+const isSet = (value) => value !== '' && value !== null && value !== undefined;
+
+// Межі дати тестування: dateFrom / dateTo — 'YYYY-MM-DD' (поле type="date"), обидва дні включно, місцевий час.
+// upper не входить у діапазон (upperOpen)
+const dateBounds = ({ dateFrom, dateTo }) => {
+    const upper = dateTo ? new Date(`${dateTo}T00:00:00`) : null;
+    if (upper) upper.setDate(upper.getDate() + 1);
+    return { lower: dateFrom ? new Date(`${dateFrom}T00:00:00`) : null, upper, upperOpen: true };
+};
+
+// Вік у записі дробовий (ageOnDate), фільтр — у повних роках: "до 11" включає 11.9
+const ageBounds = ({ ageMin, ageMax }) => ({
+    lower: isSet(ageMin) ? Number(ageMin) : null,
+    upper: isSet(ageMax) ? Number(ageMax) + 1 : null,
+    upperOpen: true
+});
+
+const within = (value, { lower, upper }) => (lower === null || value >= lower) && (upper === null || value < upper);
+
+/**
+ * Чи відповідає запис фільтрам. Записи без record.search (до міграції) нормалізуються на льоту.
+ * @param {Object} record
+ * @param {Object} filters - emptyFilters() з заповненими полями
+ * @returns {boolean}
+ */
+export function matchesFilters(record, filters) {
+    const search = record.search || searchFields(record);
+    const query = (filters.query || '').trim().toLowerCase();
+    if (query && !search.text.includes(query)) return false;
+    if (filters.gender && search.gender !== filters.gender) return false;
+    if (filters.conclusion && search.conclusion !== filters.conclusion) return false;
+
+    const ages = ageBounds(filters);
+    if ((ages.lower !== null || ages.upper !== null) && (search.age === MISSING || !within(search.age, ages))) return false;
+    return within(new Date(record.date), dateBounds(filters));
+}
+
+/**
+ * Межі діапазону ключів для курсора по індексу сортування: фільтр за тим самим полем
+ * звужує обхід індексу, а не перевіряється для кожного запису.
+ * @param {string} field - HISTORY_SORT_FIELDS
+ * @param {Object} filters
+ * @returns {?{lower: ?(number|Date), upper: ?(number|Date), upperOpen: boolean}} null — обходити весь індекс
+ */
+export function sortRange(field, filters) {
+    const bounds = field === 'date' ? dateBounds(filters) : field === 'age' ? ageBounds(filters) : null;
+    return bounds && (bounds.lower !== null || bounds.upper !== null) ? bounds : null;
+}
+
+/**
+ * Сторінка історії з масиву в пам'яті — для запечатаних записів (privacy.js), для яких немає індексів полів.
+ * Порядок той самий, що в курсора db.queryResults: за значенням поля, за рівності — за id.
+ * @param {Array<Object>} records - Розпечатані записи
+ * @param {{sort?: {field: string, direction: 'asc'|'desc'}, filters?: Object, offset?: number, limit?: number}} [query]
+ * @returns {{records: Array<Object>, total: number, ids: number[]}}
+ */
+export function queryRecords(records, { sort = { field: 'date', direction: 'desc' }, filters = {}, offset = 0, limit = HISTORY_PAGE_SIZE } = {}) {
+    const sign = sort.direction === 'asc' ? 1 : -1;
+    const keyOf = (record) => (sort.field === 'date' ? new Date(record.date).getTime() : (record.search || searchFields(record))[sort.field]);
+    const found = records
+        .filter(record => matchesFilters(record, filters))
+        .map(record => ({ record, key: keyOf(record) }))
+        .sort((a, b) => sign * ((a.key > b.key) - (a.key < b.key) || a.record.id - b.record.id))
+        .map(({ record }) => record);
+    return { records: found.slice(offset, offset + limit), total: found.length, ids: found.map(r => r.id) };
+}
+
+/**
+ * Кількість сторінок (щонайменше одна, навіть для порожнього результату).
+ * @param {number} total
+ * @param {number} [pageSize=HISTORY_PAGE_SIZE]
+ * @returns {number}
+ */
+export function pageCount(total, pageSize = HISTORY_PAGE_SIZE) {
+    return Math.max(1, Math.ceil(total / pageSize));
+}
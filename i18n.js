@@ -0,0 +1,885 @@
+/**
+ * I18N MODULE
+ *
+ * Каталоги перекладів інтерфейсу (українська, англійська) і форматування дат та чисел за локаллю.
+ * Ключі пласкі, з крапкою як роздільником; параметри підставляються у {фігурних дужках}.
+ * Записи в БД зберігають коди (висновок, причини, статуси), а текст обирається тут під час показу.
+ */
+
+export const LOCALES = Object.freeze([
+    { id: 'uk', label: 'Українська', tag: 'uk-UA' },
+    { id: 'en', label: 'English', tag: 'en-GB' }
+]);
+
+export const DEFAULT_LOCALE = 'uk';
+
+const uk = {
+    'app.title': 'Визначення біологічного віку',
+    'app.language': 'Мова',
+    'app.updateReady': 'Доступна нова версія застосунку.',
+    'app.update': '↻ Оновити',
+
+    'common.back': '↩ Назад',
+    'common.home': '↩ На головну',
+    'common.cancel': '↩ Скасувати',
+    'common.save': '💾 Зберегти',
+    'common.date': 'Дата',
+    'common.name': 'ПІБ',
+    'common.birthDate': 'Дата народження',
+    'common.age': 'Вік',
+    'common.gender': 'Стать',
+    'common.actions': 'Дії',
+    'common.countOf': '{count} з {total}',
+    'common.ms': '{value} мс',
+    'common.years': '{value} р.',
+    'common.retryRound': 'Перепройти серію',
+    'common.defer': 'Повторити пізніше (наступний учасник)',
+    'common.more': '… ще {count}',
+
+    'gender.male': 'Чоловіча',
+    'gender.female': 'Жіноча',
+    'gender.short.male': 'Ч',
+    'gender.short.female': 'Ж',
+
+    'mode.simple': 'Проста реакція',
+    'mode.choice': 'Реакція вибору',
+    'mode.go-nogo': 'Go/No-Go (гальмування)',
+    'modality.visual': 'Зоровий (фігура на екрані)',
+    'modality.auditory': 'Слуховий (звуковий сигнал, лише проста реакція)',
+
+    'login.participant': 'Учасник',
+    'login.newParticipant': '➕ Новий учасник',
+    'login.namePlaceholder': 'Іваненко Іван',
+    'login.currentAge': '(вік: {age})',
+    'login.group': 'Клас / група',
+    'login.mode': 'Методика',
+    'login.modality': 'Стимул',
+    'login.start': '❯❯❯❯ Почати',
+    'login.history': '📜 Історія',
+    'login.privacyLocked': "🔒 Історію заблоковано: список учасників прихований. Повторного учасника буде об'єднано з наявним після розблокування.",
+    'login.protocol': 'Протокол:',
+    'login.protocolSize': '({rounds} × {stimuli} стимулів)',
+    'login.settings': '⚙️ Налаштування',
+    'login.inputLatency': 'Затримка пристроїв вводу:',
+    'login.notCalibrated': 'не калібровано',
+    'login.calibrate': '🎯 Калібрування',
+    'login.continueBatch': '👥 Продовжити клас ({done} з {total})',
+    'login.batchLocked': 'Список класу зашифровано: щоб продовжити його, розблокуйте історію.',
+    'login.roster': '📋 Список класу (CSV)',
+
+    'settings.title': 'Налаштування протоколу',
+    'settings.preset': 'Пресет',
+    'settings.custom': '— Власні значення —',
+    'settings.customName': 'Власний',
+    'settings.customBasedOn': 'Власний (на основі «{name}»)',
+    'settings.apply': '✔ Застосувати',
+    'settings.savePreset': '💾 Зберегти як пресет',
+    'settings.deletePreset': '🗑 Видалити пресет',
+    'preset.patent-126671': 'Патент 126671 (стандарт)',
+    'preset.quick-screening': 'Швидкий скринінг',
+    'protocol.rounds': 'Кількість серій',
+    'protocol.stimuliCount': 'Стимулів у серії',
+    'protocol.exposureTime': 'Експозиція стимулу, мс',
+    'protocol.minDelay': 'Мінімальна пауза, мс',
+    'protocol.maxDelay': 'Максимальна пауза, мс',
+    'protocol.breakDuration': 'Перерва між серіями, с',
+    'protocol.maxSpamClicks': 'Поріг спаму (натискань на стимул)',
+    'protocol.practiceStimuli': 'Тренувальних стимулів (0 — без тренування)',
+    'protocol.toneFrequency': 'Частота тону, Гц',
+    'protocol.toneDuration': 'Тривалість тону, мс',
+    'protocol.toneVolume': 'Гучність тону, %',
+    'protocol.error.integer': '{field}: потрібне ціле число',
+    'protocol.error.range': '{field}: від {min} до {max}',
+    'protocol.error.delayRange': 'Максимальна пауза не може бути меншою за мінімальну',
+    'protocol.error.minStimuli': 'Стимулів у серії має бути не менше {min}, інакше серії не зараховуватимуться',
+
+    'calibration.title': 'Калібрування пристроїв вводу',
+    'calibration.howTo': 'Натискайте рівно в такт спалахам: ПРОБІЛ, дотик до кола, клік мишею по колу або кнопку геймпада.',
+    'calibration.reference': 'Один прогін — один пристрій. Спершу клавіатура: затримка інших рахується відносно неї.',
+    'calibration.beat': 'Такт {beat} з {total}',
+    'calibration.device': 'Пристрій',
+    'calibration.taps': 'Натискань',
+    'calibration.asynchrony': 'Асинхронія (медіана), мс',
+    'calibration.offset': 'Затримка, мс',
+    'calibration.needKeyboard': 'Потрібен прогін з клавіатурою і щонайменше 8 натискань у такт.',
+    'calibration.run': '▶ Прогін',
+    'calibration.reset': '↻ Почати заново',
+    'device.keyboard': 'Клавіатура',
+    'device.touch': 'Сенсорний екран',
+    'device.mouse': 'Миша',
+    'device.gamepad': 'Геймпад',
+
+    'instruction.practice': 'Тренування',
+    'instruction.round': 'Серія {round} з {total}',
+    'instruction.practiceNote': 'Кілька пробних стимулів, щоб зрозуміти завдання. Вони не впливають на результат.',
+    'instruction.practiceDone': 'Тренування завершено',
+    'instruction.practiceHits': 'Зараховано реакцій:',
+    'instruction.practiceMean': 'Середній час:',
+    'instruction.repeatPractice': '↻ Ще раз потренуватися',
+    'instruction.auditory': 'Надягніть навушники. Лунатимуть короткі звукові сигнали.',
+    'instruction.auditoryPress': 'Тисніть ПРОБІЛ, щойно почуєте сигнал.',
+    'instruction.simple': "На екрані з'являтимуться червоні квадрати.",
+    'instruction.simplePress': 'Тисніть ПРОБІЛ якнайшвидше.',
+    'instruction.choice': "На екрані з'являтимуться різні фігури. Для кожної — своя клавіша:",
+    'instruction.choiceAlternatives': '(або дотик у {side} частині екрана, кнопка {button} геймпада)',
+    'instruction.side.left': 'лівій',
+    'instruction.side.right': 'правій',
+    'instruction.choicePress': 'Тисніть якнайшвидше, але правильно.',
+    'instruction.nogo': 'НЕ натискайте',
+    'instruction.go': 'тисніть ПРОБІЛ якнайшвидше',
+    'instruction.ready': 'Готовий!',
+    'stimulus.red-square': 'Червоний квадрат',
+    'stimulus.blue-circle': 'Синє коло',
+    'stimulus.go': 'Червоний квадрат',
+    'stimulus.nogo': 'Синє коло',
+
+    'test.listen': '🎧 Слухайте',
+    'test.stimulus': 'Стимул:',
+    'practice.miss': 'Пропущено — тисніть, щойно побачите фігуру',
+    'practice.anticipation': 'Зарано! Дочекайтеся фігури',
+    'practice.too-fast': 'Зарано! Дочекайтеся фігури',
+    'practice.wrong': 'Не та клавіша',
+    'practice.commission': 'Цю фігуру натискати не треба',
+    'practice.correct-rejection': 'Правильно, не натискали',
+    'practice.auditory.miss': 'Пропущено — тисніть, щойно почуєте звук',
+    'practice.auditory.anticipation': 'Зарано! Дочекайтеся звуку',
+    'practice.auditory.too-fast': 'Зарано! Дочекайтеся звуку',
+
+    'spam.title': 'Помилка!',
+    'spam.tooOften': 'Ви натискаєте занадто часто або без команди.',
+    'spam.annulled': 'Результати цієї серії анульовано.',
+    'spam.careful': 'Будь ласка, будьте уважніші.',
+    'interrupted.title': 'Серію перервано',
+    'interrupted.annulled': 'Результати цієї серії анульовано. Не перемикайтеся з тесту до кінця серії.',
+    'interruption.hidden': 'Вкладку перемкнено або екран заблоковано',
+    'interruption.blur': 'Вікно втратило фокус',
+    'interruption.fullscreen-exit': 'Вихід з повноекранного режиму',
+    'break.title': 'Перерва',
+    'break.rest': 'Відпочиньте перед наступною серією.',
+    'break.skip': 'Пропустити',
+
+    'result.title': 'Результати',
+    'result.participant': 'Учасник:',
+    'result.ageGender': 'Вік / Стать:',
+    'result.round': 'Серія {round}:',
+    'result.excluded': 'виключено',
+    'result.interrupted': 'Серію переривали: {reasons}',
+    'result.meanOfMedians': 'Середнє медіан:',
+    'result.mean': 'Середнє:',
+    'result.dispersion': 'Медіана / SD / CV:',
+    'result.accuracy': 'Точність відповідей:',
+    'result.stimulusAccuracy': '{rt} / точність {accuracy}%',
+    'result.goRt': 'Час реакції (Go):',
+    'result.goNoGoErrors': 'Пропуски / Помилки комісії:',
+    'result.errors': 'Пропуски / Випередження / Надшвидкі:',
+    'result.errorsValue': '{miss} / {anticipation} / {tooFast} (помилок {errorRate}%)',
+    'result.norm': 'Норма:',
+    'result.bioAge': 'Біологічний вік:',
+    'result.norms': 'Нормативи:',
+    'result.conclusion': 'Висновок:',
+    'result.tooFew': 'Замало зарахованих реакцій для розрахунку біологічного віку.',
+    'result.noAuditoryNorms': 'Нормативів для слухової реакції немає — біологічний вік не розраховано.',
+    'result.scoringFailed': 'Біологічний вік не розраховано: {message}',
+    'result.report': '🖨 Звіт для друку',
+    'result.newParticipant': 'Новий учасник',
+    'result.nextParticipant': 'Наступний учасник ❯',
+    'result.classList': '👥 Список класу',
+
+    'conclusion.normal': 'Норма',
+    'conclusion.accelerated': 'Розвиток прискорений (БВ > ПВ)',
+    'conclusion.delayed': 'Розвиток уповільнений (БВ < ПВ)',
+
+    'validity.valid': '✔ достовірна',
+    'validity.questionable': '⚠ сумнівна',
+    'validity.invalid': '✖ недостовірна',
+    'validity.reason.anticipation': 'Натискання до появи стимулу: {count} з {total} проб',
+    'validity.reason.rhythm': 'Натискання надто регулярні: розкид інтервалів {pressCv}% проти {onsetCv}% у стимулів',
+    'validity.reason.miss-run': 'Пропущено стимулів поспіль: {count}',
+
+    'batch.title': 'Клас: {name}',
+    'batch.unnamed': 'без назви',
+    'batch.progress': 'Пройдено {done} з {total}, пропущено {skipped}, повторити {retry}',
+    'batch.next': '▶ Наступний учасник',
+    'batch.number': '№',
+    'batch.status': 'Статус',
+    'batch.start': 'Почати ▶',
+    'batch.skip': 'Пропустити',
+    'batch.summary': 'Підсумок по класу',
+    'batch.summaryAuditory': 'Підсумок по класу (слухова реакція)',
+    'batch.tested': 'Пройшли тест / з біологічним віком:',
+    'batch.rt': 'Час реакції (середнє / медіана):',
+    'batch.bioAge': 'Біологічний вік (середнє / медіана):',
+    'batch.close': 'Завершити клас',
+    'batchStatus.pending': 'Очікує',
+    'batchStatus.done': 'Пройдено',
+    'batchStatus.skipped': 'Пропущено',
+    'batchStatus.retry': 'Повторити',
+
+    'trend.title': 'Динаміка: {name}',
+    'trend.auditory': ' (слухова реакція)',
+    'trend.needTwo': 'Для порівняння потрібно щонайменше дві сесії простої реакції.',
+    'trend.changes': 'Помітні зміни',
+    'trend.rt': 'Час реакції (мс)',
+    'trend.bioAge': 'Біологічний вік',
+    'trend.tbr': 'ТБР',
+    'trend.backToHistory': '↩ До історії',
+    'trend.change.rt-slower': 'Час реакції збільшився на {percent}% ({from} → {to} мс)',
+    'trend.change.rt-faster': 'Час реакції зменшився на {percent}% ({from} → {to} мс)',
+    'trend.change.conclusion': 'Висновок змінився: «{from}» → «{to}»',
+    'trend.change.age-gap-up': 'Різниця біологічного і паспортного віку зросла на {years} р.',
+    'trend.change.age-gap-down': 'Різниця біологічного і паспортного віку зменшилася на {years} р.',
+    'chart.rtTitle': 'Динаміка часу реакції',
+    'chart.bioAgeTitle': 'Динаміка біологічного віку',
+    'chart.ms': 'мс',
+    'chart.years': 'років',
+    'chart.norm': 'Норма',
+    'chart.meanRt': 'Середній час реакції',
+    'chart.bioAge': 'Біологічний вік',
+    'chart.bioAgeEqualsAge': 'БВ = ПВ',
+    'chart.ageAxis': 'Хронологічний вік, років',
+    'chart.rtPoint': '{date}: {rt} мс',
+    'chart.bioAgePoint': '{date}: БВ {bioAge}, ТБР {tbr}',
+
+    'history.title': 'Історія тестувань',
+    'history.search': '🔍 Пошук за ПІБ або класом',
+    'history.name': "Ім'я",
+    'history.rt': 'Середній Час Реакції (мс)',
+    'history.bioAge': 'Біологічний Вік',
+    'history.trend': 'Динаміка 📈',
+    'history.report': 'Звіт 🖨',
+    'history.delete': 'Видалити ✕',
+    'history.empty': 'Історія порожня',
+    'history.export': '⬇️ Експорт у файл',
+    'history.import': '⬆️ Імпорт з файлу',
+    'history.csvSessions': '📄 CSV: сесії',
+    'history.csvTrials': '📄 CSV: стимули',
+    'history.xlsxSessions': '📊 Excel: сесії',
+    'history.xlsxTrials': '📊 Excel: стимули',
+    'history.ageFrom': 'Вік від',
+    'history.ageTo': 'Вік до',
+    'history.dateFrom': 'Дата від',
+    'history.dateTo': 'Дата до',
+    'history.anyGender': 'Будь-яка стать',
+    'history.anyConclusion': 'Будь-який висновок',
+    'history.noConclusion': 'Без висновку',
+    'history.resetFilters': 'Скинути фільтри',
+    'history.selectPage': 'Вибрати всі на сторінці',
+    'history.found': 'Знайдено записів: {count}',
+    'history.selected': 'Вибрано: {count}',
+    'history.selectAll': 'Вибрати всі знайдені',
+    'history.clearSelection': 'Зняти вибір',
+    'history.deleteSelected': 'Видалити вибрані ✕',
+    'history.deleted': 'Видалено записів: {count}.',
+    'history.undo': '↶ Скасувати',
+    'history.page': 'Сторінка {page} з {pages}',
+    'history.prevPage': '← Попередня',
+    'history.nextPage': 'Наступна →',
+    'history.exportScope': 'Експорт: вибрані записи або, якщо нічого не вибрано, усі знайдені.',
+    'privacy.title': '🔐 Режим приватності',
+    'privacy.description': 'Результати зберігаються з кодами учасників замість ПІБ і шифруються. Тестувати можна без пароля, переглядати історію — лише з ним. Забутий пароль не відновлюється: без нього записи не прочитати.',
+    'privacy.passphrase': 'Пароль (щонайменше {min} символів)',
+    'privacy.passphraseConfirm': 'Пароль ще раз',
+    'privacy.enable': 'Увімкнути режим приватності',
+    'privacy.enabled': 'Режим приватності увімкнено: записи зашифровано, учасники зберігаються під кодами.',
+    'privacy.lock': '🔒 Заблокувати історію',
+    'privacy.disable': 'Вимкнути режим приватності',
+    'privacy.locked': '🔒 Історію заблоковано. Введіть пароль, щоб переглянути результати.',
+    'privacy.passphraseUnlock': 'Пароль',
+    'privacy.unlock': 'Розблокувати',
+    'privacy.anonymizeExport': 'Анонімізований експорт для досліджень (коди замість ПІБ, без дати народження і класу; вік у повних роках, дата — до місяця)',
+    'import.title': 'Імпорт: {file}',
+    'import.added': 'Буде додано:',
+    'import.skipped': 'Пропущено (дублікати):',
+    'import.conflicts': 'Конфлікти (той самий учасник і час, інші результати):',
+    'import.newParticipants': 'Нових учасників:',
+    'import.includeConflicts': 'Додати конфліктні записи як окремі',
+    'import.commit': 'Імпортувати',
+    'import.cancel': 'Скасувати',
+    'import.error.json': 'Файл не є коректним JSON: {message}',
+    'import.error.version': 'Версія дампу {version} новіша за підтримувану ({supported})',
+    'import.error.format': 'Невідомий формат файлу: очікується експорт BioAge',
+    'import.error.record-type': "Запис #{index}: не об'єкт",
+    'import.error.record-user': 'Запис #{index}: немає даних учасника',
+    'import.error.record-results': 'Запис #{index}: немає результатів',
+    'import.error.record-date': 'Запис #{index}: некоректна дата',
+    'import.error.participant': 'Учасник #{index}: немає id або ПІБ',
+
+    'roster.error.no-name': 'Рядок {line}: немає ПІБ',
+    'roster.error.birth-date': 'Рядок {line}: некоректна дата народження "{value}"',
+    'roster.error.gender': 'Рядок {line}: невідома стать "{value}"',
+    'roster.error.duplicate': 'Рядок {line}: {name} уже є у списку',
+
+    'norms.warning.clamped': 'Вік {age} поза межами нормативів ({minAge}-{maxAge}): застосовано норму для {tableAge} р.',
+    'norms.warning.extrapolated': 'Вік {age} поза межами нормативів ({minAge}-{maxAge}): норму екстрапольовано.',
+    'norms.error.out-of-range': 'вік {age} поза межами нормативів ({minAge}-{maxAge}).',
+    'norms.error.gender': 'таблиця нормативів «{table}» не містить значень для статі учасника.',
+    'norms.error.modality': 'таблиця нормативів «{table}» складена для іншого типу стимулу.',
+    'norms.error.table': 'таблиці нормативів «{table}» немає.',
+    'norms.error.version': 'версії {version} таблиці нормативів «{table}» немає.',
+    'norms.error.unknown': 'помилка розрахунку.',
+
+    'export.group': 'Клас / група',
+    'export.method': 'Методика',
+    'export.modality': 'Модальність',
+    'export.protocol': 'Протокол',
+    'export.roundMs': 'Серія {round} (мс)',
+    'export.meanMs': 'Середнє (мс)',
+    'export.normMs': 'Норма (мс)',
+    'export.bioAge': 'Біологічний вік',
+    'export.tbr': 'ТБР',
+    'export.conclusion': 'Висновок',
+    'export.validity': 'Достовірність',
+    'export.round': 'Серія',
+    'export.stimulus': 'Стимул',
+    'export.stimulusType': 'Тип стимулу',
+    'export.foreperiod': 'Пауза (мс)',
+    'export.outcome': 'Результат',
+    'export.rt': 'Час реакції (мс)',
+    'export.presses': 'Натискань',
+    'export.jitter': 'Джитер появи (мс)',
+    'export.device': 'Пристрій',
+    'export.inputOffset': 'Компенсація затримки (мс)',
+    'export.sheet.summary': 'Сесії',
+    'export.sheet.trials': 'Стимули',
+
+    'report.documentTitle': 'Звіт — {name}',
+    'report.title': 'Звіт про тестування швидкості реакції',
+    'report.generated': 'Сформовано {date}',
+    'report.participant': 'Учасник',
+    'report.group': 'Клас / група',
+    'report.testDate': 'Дата тестування',
+    'report.method': 'Методика',
+    'report.method.simple': 'Проста зорово-моторна реакція',
+    'report.method.choice': 'Реакція вибору',
+    'report.method.go-nogo': 'Go/No-Go',
+    'report.method.auditory': 'Проста слухо-моторна реакція',
+    'report.protocol': 'Протокол',
+    'report.protocolValue': '{name}: {rounds} × {stimuli} стимулів, пауза {minDelay}–{maxDelay} мс, експозиція {exposure} мс',
+    'report.rounds': 'Серії',
+    'report.round': 'Серія',
+    'report.result': 'Результат',
+    'report.reactions': 'Реакцій',
+    'report.median': 'Медіана',
+    'report.sd': 'SD',
+    'report.validity': 'Достовірність',
+    'report.roundNote': 'Серія {round}: {message}',
+    'report.interrupted': 'серію переривали ({count}) і проходили заново',
+    'report.summary': 'Підсумок',
+    'report.meanOfMedians': 'Середнє медіан серій',
+    'report.mean': 'Середній час реакції',
+    'report.norm': 'Норма для віку',
+    'report.bioAge': 'Біологічний вік',
+    'report.tbr': 'ТБР (темп біологічного розвитку)',
+    'report.conclusion': 'Висновок',
+    'report.noBioAge': 'Біологічний вік не розраховано (замало зарахованих реакцій або методика без нормативів).',
+    'report.histogram': 'Розподіл часу реакції',
+    'report.noReactions': 'Немає зарахованих реакцій.',
+    'report.axisRt': 'Час реакції, мс',
+    'report.markerMean': 'середнє',
+    'report.markerNorm': 'норма',
+    'report.norms': 'Нормативи: {id} v{version}. ',
+    'report.disclaimer': 'Результат є скринінговим і не замінює консультацію лікаря.',
+    'report.print': '🖨 Друк / зберегти PDF',
+
+    'alert.checkBirthDate': 'Перевірте дату народження.',
+    'alert.ageRange': 'Методика розрахована на {min}-{max} років.',
+    'alert.ageRangeContinue': 'Методика розрахована на {min}-{max} років. Продовжити?',
+    'alert.participantSaveFailed': 'Не вдалося зберегти учасника. Можливо, такий учасник уже є у списку.',
+    'alert.calibrationSaveFailed': 'Не вдалося зберегти калібрування.',
+    'alert.audioBlocked': 'Браузер не дозволив відтворити звук. Перевірте дозвіл на звук для сайту і натисніть «Готовий!» ще раз.',
+    'alert.resume': 'Знайдено незавершене тестування ({name}, завершено серій: {done} з {total}). Продовжити?',
+    'alert.resumeFailed': 'Не вдалося відновити незавершене тестування.',
+    'alert.resultSaveFailed': 'Не вдалося зберегти результат в історію.',
+    'alert.deleteFailed': 'Не вдалося видалити записи.',
+    'alert.undoFailed': 'Не вдалося відновити видалені записи.',
+    'alert.wrongPassphrase': 'Невірний пароль.',
+    'alert.passphraseShort': 'Пароль має містити щонайменше {min} символів.',
+    'alert.passphraseMismatch': 'Паролі не збігаються.',
+    'alert.enablePrivacy': 'Усі записи буде зашифровано. Якщо пароль забути, їх не можна буде прочитати. Продовжити?',
+    'alert.disablePrivacy': 'Розшифрувати всі записи і зберігати ПІБ у відкритому вигляді?',
+    'alert.privacyFailed': 'Не вдалося змінити режим приватності. Записи залишилися без змін.',
+    'alert.quitTest': 'Вийти з тестування?',
+    'alert.protocolNotSaved': 'Протокол застосовано, але не збережено: після перезавантаження буде попередній.',
+    'alert.presetName': 'Назва пресета:',
+    'alert.presetNameBuiltin': 'Ця назва зайнята вбудованим пресетом.',
+    'alert.presetSaveFailed': 'Не вдалося зберегти пресет.',
+    'alert.presetDeleteFailed': 'Не вдалося видалити пресет.',
+    'alert.deletePreset': 'Видалити пресет «{name}»?',
+    'alert.rosterEmpty': 'У файлі не знайдено жодного учня.\n{errors}',
+    'alert.rosterPartial': 'Частину рядків пропущено:\n{errors}\n\nПродовжити з {count} учнями?',
+    'alert.rosterReplace': 'Попередній список класу ще не пройдено. Замінити його?',
+    'alert.closeBatch': 'Завершити роботу зі списком класу? Результати залишаться в історії.',
+    'alert.nothingToExport': 'Немає даних для експорту.',
+    'alert.popupBlocked': 'Браузер заблокував нове вікно. Дозвольте спливаючі вікна для цього сайту.',
+    'alert.importReadFailed': 'Не вдалося прочитати файл:\n{message}',
+    'alert.imported': 'Імпортовано записів: {count}.',
+    'alert.importFailed': 'Імпорт перервано через помилку запису. Жодного запису не додано.'
+};
+
+const en = {
+    'app.title': 'Biological age assessment',
+    'app.language': 'Language',
+    'app.updateReady': 'A new version of the app is available.',
+    'app.update': '↻ Update',
+
+    'common.back': '↩ Back',
+    'common.home': '↩ Home',
+    'common.cancel': '↩ Cancel',
+    'common.save': '💾 Save',
+    'common.date': 'Date',
+    'common.name': 'Full name',
+    'common.birthDate': 'Date of birth',
+    'common.age': 'Age',
+    'common.gender': 'Sex',
+    'common.actions': 'Actions',
+    'common.countOf': '{count} of {total}',
+    'common.ms': '{value} ms',
+    'common.years': '{value} y',
+    'common.retryRound': 'Repeat the round',
+    'common.defer': 'Retry later (next participant)',
+    'common.more': '… {count} more',
+
+    'gender.male': 'Male',
+    'gender.female': 'Female',
+    'gender.short.male': 'M',
+    'gender.short.female': 'F',
+
+    'mode.simple': 'Simple reaction',
+    'mode.choice': 'Choice reaction',
+    'mode.go-nogo': 'Go/No-Go (inhibition)',
+    'modality.visual': 'Visual (shape on screen)',
+    'modality.auditory': 'Auditory (tone, simple reaction only)',
+
+    'login.participant': 'Participant',
+    'login.newParticipant': '➕ New participant',
+    'login.namePlaceholder': 'Jane Smith',
+    'login.currentAge': '(age: {age})',
+    'login.group': 'Class / group',
+    'login.mode': 'Method',
+    'login.modality': 'Stimulus',
+    'login.start': '❯❯❯❯ Start',
+    'login.history': '📜 History',
+    'login.privacyLocked': '🔒 The history is locked: the participant list is hidden. A returning participant is merged with the existing one after unlocking.',
+    'login.protocol': 'Protocol:',
+    'login.protocolSize': '({rounds} × {stimuli} stimuli)',
+    'login.settings': '⚙️ Settings',
+    'login.inputLatency': 'Input device latency:',
+    'login.notCalibrated': 'not calibrated',
+    'login.calibrate': '🎯 Calibration',
+    'login.continueBatch': '👥 Continue class ({done} of {total})',
+    'login.batchLocked': 'The class list is encrypted: unlock the history to continue it.',
+    'login.roster': '📋 Class roster (CSV)',
+
+    'settings.title': 'Protocol settings',
+    'settings.preset': 'Preset',
+    'settings.custom': '— Custom values —',
+    'settings.customName': 'Custom',
+    'settings.customBasedOn': 'Custom (based on “{name}”)',
+    'settings.apply': '✔ Apply',
+    'settings.savePreset': '💾 Save as preset',
+    'settings.deletePreset': '🗑 Delete preset',
+    'preset.patent-126671': 'Patent 126671 (standard)',
+    'preset.quick-screening': 'Quick screening',
+    'protocol.rounds': 'Rounds',
+    'protocol.stimuliCount': 'Stimuli per round',
+    'protocol.exposureTime': 'Stimulus exposure, ms',
+    'protocol.minDelay': 'Minimum foreperiod, ms',
+    'protocol.maxDelay': 'Maximum foreperiod, ms',
+    'protocol.breakDuration': 'Break between rounds, s',
+    'protocol.maxSpamClicks': 'Spam threshold (presses per stimulus)',
+    'protocol.practiceStimuli': 'Practice stimuli (0 — no practice)',
+    'protocol.toneFrequency': 'Tone frequency, Hz',
+    'protocol.toneDuration': 'Tone duration, ms',
+    'protocol.toneVolume': 'Tone volume, %',
+    'protocol.error.integer': '{field}: a whole number is required',
+    'protocol.error.range': '{field}: from {min} to {max}',
+    'protocol.error.delayRange': 'The maximum foreperiod cannot be shorter than the minimum',
+    'protocol.error.minStimuli': 'A round needs at least {min} stimuli, otherwise rounds will not be counted',
+
+    'calibration.title': 'Input device calibration',
+    'calibration.howTo': 'Press exactly in time with the flashes: SPACE, a tap on the circle, a mouse click on the circle or a gamepad button.',
+    'calibration.reference': 'One run per device. Start with the keyboard: other devices are measured relative to it.',
+    'calibration.beat': 'Beat {beat} of {total}',
+    'calibration.device': 'Device',
+    'calibration.taps': 'Presses',
+    'calibration.asynchrony': 'Asynchrony (median), ms',
+    'calibration.offset': 'Latency, ms',
+    'calibration.needKeyboard': 'A keyboard run with at least 8 on-beat presses is required.',
+    'calibration.run': '▶ Run',
+    'calibration.reset': '↻ Start over',
+    'device.keyboard': 'Keyboard',
+    'device.touch': 'Touchscreen',
+    'device.mouse': 'Mouse',
+    'device.gamepad': 'Gamepad',
+
+    'instruction.practice': 'Practice',
+    'instruction.round': 'Round {round} of {total}',
+    'instruction.practiceNote': 'A few trial stimuli to learn the task. They do not affect the result.',
+    'instruction.practiceDone': 'Practice finished',
+    'instruction.practiceHits': 'Reactions counted:',
+    'instruction.practiceMean': 'Mean time:',
+    'instruction.repeatPractice': '↻ Practice again',
+    'instruction.auditory': 'Put on headphones. You will hear short beeps.',
+    'instruction.auditoryPress': 'Press SPACE as soon as you hear a beep.',
+    'instruction.simple': 'Red squares will appear on the screen.',
+    'instruction.simplePress': 'Press SPACE as fast as you can.',
+    'instruction.choice': 'Different shapes will appear on the screen. Each has its own key:',
+    'instruction.choiceAlternatives': '(or tap the {side} side of the screen, gamepad button {button})',
+    'instruction.side.left': 'left',
+    'instruction.side.right': 'right',
+    'instruction.choicePress': 'Press as fast as you can, but correctly.',
+    'instruction.nogo': 'do NOT press',
+    'instruction.go': 'press SPACE as fast as you can',
+    'instruction.ready': 'Ready!',
+    'stimulus.red-square': 'Red square',
+    'stimulus.blue-circle': 'Blue circle',
+    'stimulus.go': 'Red square',
+    'stimulus.nogo': 'Blue circle',
+
+    'test.listen': '🎧 Listen',
+    'test.stimulus': 'Stimulus:',
+    'practice.miss': 'Missed — press as soon as you see the shape',
+    'practice.anticipation': 'Too early! Wait for the shape',
+    'practice.too-fast': 'Too early! Wait for the shape',
+    'practice.wrong': 'Wrong key',
+    'practice.commission': 'Do not press for this shape',
+    'practice.correct-rejection': 'Correct, no press',
+    'practice.auditory.miss': 'Missed — press as soon as you hear the beep',
+    'practice.auditory.anticipation': 'Too early! Wait for the beep',
+    'practice.auditory.too-fast': 'Too early! Wait for the beep',
+
+    'spam.title': 'Error!',
+    'spam.tooOften': 'You are pressing too often or without a stimulus.',
+    'spam.annulled': 'The results of this round have been discarded.',
+    'spam.careful': 'Please pay more attention.',
+    'interrupted.title': 'Round interrupted',
+    'interrupted.annulled': 'The results of this round have been discarded. Stay on the test until the round ends.',
+    'interruption.hidden': 'Tab switched or screen locked',
+    'interruption.blur': 'Window lost focus',
+    'interruption.fullscreen-exit': 'Full screen mode exited',
+    'break.title': 'Break',
+    'break.rest': 'Rest before the next round.',
+    'break.skip': 'Skip',
+
+    'result.title': 'Results',
+    'result.participant': 'Participant:',
+    'result.ageGender': 'Age / Sex:',
+    'result.round': 'Round {round}:',
+    'result.excluded': 'excluded',
+    'result.interrupted': 'Round was interrupted: {reasons}',
+    'result.meanOfMedians': 'Mean of medians:',
+    'result.mean': 'Mean:',
+    'result.dispersion': 'Median / SD / CV:',
+    'result.accuracy': 'Response accuracy:',
+    'result.stimulusAccuracy': '{rt} / accuracy {accuracy}%',
+    'result.goRt': 'Reaction time (Go):',
+    'result.goNoGoErrors': 'Omissions / Commission errors:',
+    'result.errors': 'Misses / Anticipations / Too fast:',
+    'result.errorsValue': '{miss} / {anticipation} / {tooFast} ({errorRate}% errors)',
+    'result.norm': 'Norm:',
+    'result.bioAge': 'Biological age:',
+    'result.norms': 'Norms:',
+    'result.conclusion': 'Conclusion:',
+    'result.tooFew': 'Too few valid reactions to calculate biological age.',
+    'result.noAuditoryNorms': 'There are no norms for auditory reaction — biological age was not calculated.',
+    'result.scoringFailed': 'Biological age was not calculated: {message}',
+    'result.report': '🖨 Printable report',
+    'result.newParticipant': 'New participant',
+    'result.nextParticipant': 'Next participant ❯',
+    'result.classList': '👥 Class list',
+
+    'conclusion.normal': 'Normal',
+    'conclusion.accelerated': 'Accelerated development (BA > CA)',
+    'conclusion.delayed': 'Delayed development (BA < CA)',
+
+    'validity.valid': '✔ valid',
+    'validity.questionable': '⚠ questionable',
+    'validity.invalid': '✖ invalid',
+    'validity.reason.anticipation': 'Presses before the stimulus: {count} of {total} trials',
+    'validity.reason.rhythm': 'Presses too regular: interval spread {pressCv}% vs {onsetCv}% for stimuli',
+    'validity.reason.miss-run': 'Stimuli missed in a row: {count}',
+
+    'batch.title': 'Class: {name}',
+    'batch.unnamed': 'untitled',
+    'batch.progress': 'Done {done} of {total}, skipped {skipped}, to retry {retry}',
+    'batch.next': '▶ Next participant',
+    'batch.number': 'No.',
+    'batch.status': 'Status',
+    'batch.start': 'Start ▶',
+    'batch.skip': 'Skip',
+    'batch.summary': 'Class summary',
+    'batch.summaryAuditory': 'Class summary (auditory reaction)',
+    'batch.tested': 'Tested / with biological age:',
+    'batch.rt': 'Reaction time (mean / median):',
+    'batch.bioAge': 'Biological age (mean / median):',
+    'batch.close': 'Finish class',
+    'batchStatus.pending': 'Pending',
+    'batchStatus.done': 'Done',
+    'batchStatus.skipped': 'Skipped',
+    'batchStatus.retry': 'Retry',
+
+    'trend.title': 'Trend: {name}',
+    'trend.auditory': ' (auditory reaction)',
+    'trend.needTwo': 'At least two simple reaction sessions are needed for comparison.',
+    'trend.changes': 'Notable changes',
+    'trend.rt': 'Reaction time (ms)',
+    'trend.bioAge': 'Biological age',
+    'trend.tbr': 'BDR',
+    'trend.backToHistory': '↩ Back to history',
+    'trend.change.rt-slower': 'Reaction time increased by {percent}% ({from} → {to} ms)',
+    'trend.change.rt-faster': 'Reaction time decreased by {percent}% ({from} → {to} ms)',
+    'trend.change.conclusion': 'Conclusion changed: “{from}” → “{to}”',
+    'trend.change.age-gap-up': 'Gap between biological and chronological age grew by {years} y',
+    'trend.change.age-gap-down': 'Gap between biological and chronological age shrank by {years} y',
+    'chart.rtTitle': 'Reaction time trend',
+    'chart.bioAgeTitle': 'Biological age trend',
+    'chart.ms': 'ms',
+    'chart.years': 'years',
+    'chart.norm': 'Norm',
+    'chart.meanRt': 'Mean reaction time',
+    'chart.bioAge': 'Biological age',
+    'chart.bioAgeEqualsAge': 'BA = CA',
+    'chart.ageAxis': 'Chronological age, years',
+    'chart.rtPoint': '{date}: {rt} ms',
+    'chart.bioAgePoint': '{date}: BA {bioAge}, BDR {tbr}',
+
+    'history.title': 'Test history',
+    'history.search': '🔍 Search by name or class',
+    'history.name': 'Name',
+    'history.rt': 'Mean reaction time (ms)',
+    'history.bioAge': 'Biological age',
+    'history.trend': 'Trend 📈',
+    'history.report': 'Report 🖨',
+    'history.delete': 'Delete ✕',
+    'history.empty': 'History is empty',
+    'history.export': '⬇️ Export to file',
+    'history.import': '⬆️ Import from file',
+    'history.csvSessions': '📄 CSV: sessions',
+    'history.csvTrials': '📄 CSV: stimuli',
+    'history.xlsxSessions': '📊 Excel: sessions',
+    'history.xlsxTrials': '📊 Excel: stimuli',
+    'history.ageFrom': 'Age from',
+    'history.ageTo': 'Age to',
+    'history.dateFrom': 'Date from',
+    'history.dateTo': 'Date to',
+    'history.anyGender': 'Any sex',
+    'history.anyConclusion': 'Any conclusion',
+    'history.noConclusion': 'No conclusion',
+    'history.resetFilters': 'Reset filters',
+    'history.selectPage': 'Select all on this page',
+    'history.found': 'Records found: {count}',
+    'history.selected': 'Selected: {count}',
+    'history.selectAll': 'Select all found',
+    'history.clearSelection': 'Clear selection',
+    'history.deleteSelected': 'Delete selected ✕',
+    'history.deleted': 'Records deleted: {count}.',
+    'history.undo': '↶ Undo',
+    'history.page': 'Page {page} of {pages}',
+    'history.prevPage': '← Previous',
+    'history.nextPage': 'Next →',
+    'history.exportScope': 'Export: the selected records or, if none are selected, all records found.',
+    'privacy.title': '🔐 Privacy mode',
+    'privacy.description': 'Results are stored with participant codes instead of names and are encrypted. Testing works without the passphrase; viewing the history requires it. A forgotten passphrase cannot be recovered: without it the records cannot be read.',
+    'privacy.passphrase': 'Passphrase (at least {min} characters)',
+    'privacy.passphraseConfirm': 'Repeat the passphrase',
+    'privacy.enable': 'Enable privacy mode',
+    'privacy.enabled': 'Privacy mode is on: records are encrypted and participants are stored under codes.',
+    'privacy.lock': '🔒 Lock history',
+    'privacy.disable': 'Disable privacy mode',
+    'privacy.locked': '🔒 The history is locked. Enter the passphrase to view the results.',
+    'privacy.passphraseUnlock': 'Passphrase',
+    'privacy.unlock': 'Unlock',
+    'privacy.anonymizeExport': 'Anonymized export for research (codes instead of names, no date of birth or class; age in whole years, date to the month)',
+    'import.title': 'Import: {file}',
+    'import.added': 'To be added:',
+    'import.skipped': 'Skipped (duplicates):',
+    'import.conflicts': 'Conflicts (same participant and time, different results):',
+    'import.newParticipants': 'New participants:',
+    'import.includeConflicts': 'Add conflicting records as separate ones',
+    'import.commit': 'Import',
+    'import.cancel': 'Cancel',
+    'import.error.json': 'The file is not valid JSON: {message}',
+    'import.error.version': 'Dump version {version} is newer than the supported one ({supported})',
+    'import.error.format': 'Unknown file format: a BioAge export is expected',
+    'import.error.record-type': 'Record #{index}: not an object',
+    'import.error.record-user': 'Record #{index}: no participant data',
+    'import.error.record-results': 'Record #{index}: no results',
+    'import.error.record-date': 'Record #{index}: invalid date',
+    'import.error.participant': 'Participant #{index}: no id or full name',
+
+    'roster.error.no-name': 'Row {line}: no full name',
+    'roster.error.birth-date': 'Row {line}: invalid date of birth "{value}"',
+    'roster.error.gender': 'Row {line}: unknown sex "{value}"',
+    'roster.error.duplicate': 'Row {line}: {name} is already on the list',
+
+    'norms.warning.clamped': 'Age {age} is outside the norms range ({minAge}-{maxAge}): the norm for {tableAge} y was used.',
+    'norms.warning.extrapolated': 'Age {age} is outside the norms range ({minAge}-{maxAge}): the norm was extrapolated.',
+    'norms.error.out-of-range': 'age {age} is outside the norms range ({minAge}-{maxAge}).',
+    'norms.error.gender': 'the norms table “{table}” has no values for the participant’s gender.',
+    'norms.error.modality': 'the norms table “{table}” was built for a different stimulus type.',
+    'norms.error.table': 'there is no norms table “{table}”.',
+    'norms.error.version': 'there is no version {version} of the norms table “{table}”.',
+    'norms.error.unknown': 'calculation error.',
+
+    'export.group': 'Class / group',
+    'export.method': 'Method',
+    'export.modality': 'Modality',
+    'export.protocol': 'Protocol',
+    'export.roundMs': 'Round {round} (ms)',
+    'export.meanMs': 'Mean (ms)',
+    'export.normMs': 'Norm (ms)',
+    'export.bioAge': 'Biological age',
+    'export.tbr': 'BDR',
+    'export.conclusion': 'Conclusion',
+    'export.validity': 'Validity',
+    'export.round': 'Round',
+    'export.stimulus': 'Stimulus',
+    'export.stimulusType': 'Stimulus type',
+    'export.foreperiod': 'Foreperiod (ms)',
+    'export.outcome': 'Outcome',
+    'export.rt': 'Reaction time (ms)',
+    'export.presses': 'Presses',
+    'export.jitter': 'Onset jitter (ms)',
+    'export.device': 'Device',
+    'export.inputOffset': 'Latency compensation (ms)',
+    'export.sheet.summary': 'Sessions',
+    'export.sheet.trials': 'Stimuli',
+
+    'report.documentTitle': 'Report — {name}',
+    'report.title': 'Reaction time test report',
+    'report.generated': 'Generated {date}',
+    'report.participant': 'Participant',
+    'report.group': 'Class / group',
+    'report.testDate': 'Test date',
+    'report.method': 'Method',
+    'report.method.simple': 'Simple visual-motor reaction',
+    'report.method.choice': 'Choice reaction',
+    'report.method.go-nogo': 'Go/No-Go',
+    'report.method.auditory': 'Simple auditory-motor reaction',
+    'report.protocol': 'Protocol',
+    'report.protocolValue': '{name}: {rounds} × {stimuli} stimuli, foreperiod {minDelay}–{maxDelay} ms, exposure {exposure} ms',
+    'report.rounds': 'Rounds',
+    'report.round': 'Round',
+    'report.result': 'Result',
+    'report.reactions': 'Reactions',
+    'report.median': 'Median',
+    'report.sd': 'SD',
+    'report.validity': 'Validity',
+    'report.roundNote': 'Round {round}: {message}',
+    'report.interrupted': 'the round was interrupted ({count}) and repeated',
+    'report.summary': 'Summary',
+    'report.meanOfMedians': 'Mean of round medians',
+    'report.mean': 'Mean reaction time',
+    'report.norm': 'Norm for age',
+    'report.bioAge': 'Biological age',
+    'report.tbr': 'BDR (biological development rate)',
+    'report.conclusion': 'Conclusion',
+    'report.noBioAge': 'Biological age was not calculated (too few valid reactions or a method without norms).',
+    'report.histogram': 'Reaction time distribution',
+    'report.noReactions': 'No valid reactions.',
+    'report.axisRt': 'Reaction time, ms',
+    'report.markerMean': 'mean',
+    'report.markerNorm': 'norm',
+    'report.norms': 'Norms: {id} v{version}. ',
+    'report.disclaimer': 'This is a screening result and does not replace a consultation with a doctor.',
+    'report.print': '🖨 Print / save as PDF',
+
+    'alert.checkBirthDate': 'Please check the date of birth.',
+    'alert.ageRange': 'The method is designed for ages {min}-{max}.',
+    'alert.ageRangeContinue': 'The method is designed for ages {min}-{max}. Continue?',
+    'alert.participantSaveFailed': 'Could not save the participant. They may already be in the list.',
+    'alert.calibrationSaveFailed': 'Could not save the calibration.',
+    'alert.audioBlocked': "The browser did not allow sound. Check the site's sound permission and press “Ready!” again.",
+    'alert.resume': 'An unfinished test was found ({name}, rounds completed: {done} of {total}). Continue?',
+    'alert.resumeFailed': 'Could not restore the unfinished test.',
+    'alert.resultSaveFailed': 'Could not save the result to history.',
+    'alert.deleteFailed': 'Could not delete the records.',
+    'alert.undoFailed': 'Could not restore the deleted records.',
+    'alert.wrongPassphrase': 'Wrong passphrase.',
+    'alert.passphraseShort': 'The passphrase must be at least {min} characters long.',
+    'alert.passphraseMismatch': 'The passphrases do not match.',
+    'alert.enablePrivacy': 'All records will be encrypted. If the passphrase is forgotten, they cannot be read. Continue?',
+    'alert.disablePrivacy': 'Decrypt all records and store names in plain text?',
+    'alert.privacyFailed': 'Could not change privacy mode. The records were left unchanged.',
+    'alert.quitTest': 'Quit the test?',
+    'alert.protocolNotSaved': 'The protocol was applied but not saved: the previous one will return after a reload.',
+    'alert.presetName': 'Preset name:',
+    'alert.presetNameBuiltin': 'This name is taken by a built-in preset.',
+    'alert.presetSaveFailed': 'Could not save the preset.',
+    'alert.presetDeleteFailed': 'Could not delete the preset.',
+    'alert.deletePreset': 'Delete preset “{name}”?',
+    'alert.rosterEmpty': 'No students were found in the file.\n{errors}',
+    'alert.rosterPartial': 'Some rows were skipped:\n{errors}\n\nContinue with {count} students?',
+    'alert.rosterReplace': 'The previous class list is not finished yet. Replace it?',
+    'alert.closeBatch': 'Finish working with the class list? Results stay in the history.',
+    'alert.nothingToExport': 'Nothing to export.',
+    'alert.popupBlocked': 'The browser blocked a new window. Allow pop-ups for this site.',
+    'alert.importReadFailed': 'Could not read the file:\n{message}',
+    'alert.imported': 'Records imported: {count}.',
+    'alert.importFailed': 'Import stopped due to a write error. No records were added.'
+};
+
+export const CATALOGS = Object.freeze({ uk, en });
+
+/**
+ * Текст за ключем. Якщо ключа немає в каталозі локалі — українська, якщо й там немає — сам ключ.
+ * @param {string} locale - Ідентифікатор з LOCALES
+ * @param {string} key
+ * @param {Object} [params] - Значення для {назва} у тексті
+ * @returns {string}
+ */
+export function translate(locale, key, params = {}) {
+    const template = CATALOGS[locale]?.[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Текст попередження нормативів (NormsRegistry.lookup): код з параметрами.
+ * Записи, збережені до появи кодів, містять готовий англійський текст — він показується як є.
+ * @param {string} locale
+ * @param {{code: string, params: Object}|string} warning
+ * @returns {string}
+ */
+export function translateWarning(locale, warning) {
+    return typeof warning === 'string' ? warning : translate(locale, `norms.warning.${warning.code}`, warning.params);
+}
+
+/**
+ * Локаль з налаштувань браузера (navigator.languages), якщо для неї є каталог.
+ * @param {string[]} [languages]
+ * @returns {string}
+ */
+export function detectLocale(languages = []) {
+    const supported = languages.map(lang => lang.slice(0, 2).toLowerCase()).find(id => id in CATALOGS);
+    return supported || DEFAULT_LOCALE;
+}
+
+const languageTag = (locale) => (LOCALES.find(l => l.id === locale) || LOCALES[0]).tag;
+
+/**
+ * Дата (і час) у форматі локалі.
+ * @param {Date|string|number} value
+ * @param {string} locale
+ * @param {Object} [options]
+ * @param {boolean} [options.time=false] - Додати години і хвилини
+ * @returns {string} '—' для порожньої або некоректної дати
+ */
+export function formatDate(value, locale, { time = false } = {}) {
+    if (value === null || value === undefined || value === '') return '—';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '—';
+    const options = { day: '2-digit', month: '2-digit', year: 'numeric', ...(time ? { hour: '2-digit', minute: '2-digit' } : {}) };
+    return new Intl.DateTimeFormat(languageTag(locale), options).format(date);
+}
+
+/**
+ * Число з роздільниками локалі (кома в українській, крапка в англійській).
+ * @param {number|string} value
+ * @param {string} locale
+ * @param {number} [digits=0] - Знаків після коми
+ * @returns {string} '—' для порожнього значення
+ */
+export function formatNumber(value, locale, digits = 0) {
+    if (value === null || value === undefined || value === '' || !Number.isFinite(Number(value))) return '—';
+    return new Intl.NumberFormat(languageTag(locale), { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(Number(value));
+}
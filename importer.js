@@ -0,0 +1,166 @@
+/**
+ * IMPORT MODULE
+ *
+ * Читання та злиття дампів, створених exportData().
+ * Не працює з БД напряму: будує план імпорту (що додати, що пропустити, що конфліктує),
+ * який застосовує app.js після підтвердження.
+ *
+ * Підтримувані формати:
+ * - v2: { format: 'bio-age-dump', version: 2, exportedAt, participants: [...], results: [...] }
+ * - v1 (старі дампи): масив результатів, учасник лише в user кожного запису
+ */
+import { participantKey, estimateBirthYear } from './participants.js';
+
+export const DUMP_FORMAT = 'bio-age-dump';
+export const DUMP_VERSION = 2;
+
+/**
+ * Дамп не підходить для імпорту.
+ * problems — коди з параметрами; текст — ключ 'import.error.<code>' каталогу i18n.
+ */
+export class DumpError extends Error {
+    /**
+     * @param {Array<{code: string, params: Object}>} problems
+     */
+    constructor(problems) {
+        super(`Invalid dump: ${problems.map(p => p.code).join(', ')}`);
+        this.name = 'DumpError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Формує дамп поточної версії.
+ * @param {Array<Object>} participants
+ * @param {Array<Object>} results
+ */
+export function createDump(participants, results) {
+    return { format: DUMP_FORMAT, version: DUMP_VERSION, exportedAt: new Date().toISOString(), participants, results };
+}
+
+/**
+ * Перевіряє структуру дампу і приводить його до формату v2.
+ * @param {string|Object|Array} json - Вміст файлу
+ * @returns {{participants: Array<Object>, results: Array<Object>}}
+ * @throws {DumpError} з переліком проблем, якщо дамп не підходить
+ */
+export function parseDump(json) {
+    let data;
+    try {
+        data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (e) {
+        throw new DumpError([{ code: 'json', params: { message: e.message } }]);
+    }
+
+    let participants;
+    let results;
+    if (Array.isArray(data)) {
+        participants = [];
+        results = data;
+    } else if (data && data.format === DUMP_FORMAT) {
+        if (data.version > DUMP_VERSION) throw new DumpError([{ code: 'version', params: { version: data.version, supported: DUMP_VERSION } }]);
+        participants = Array.isArray(data.participants) ? data.participants : [];
+        results = Array.isArray(data.results) ? data.results : null;
+    }
+    if (!results) throw new DumpError([{ code: 'format', params: {} }]);
+
+    const errors = [];
+    const problem = (code, i) => errors.push({ code, params: { index: i + 1 } });
+    results.forEach((record, i) => {
+        if (!record || typeof record !== 'object') return problem('record-type', i);
+        if (!record.user || typeof record.user.name !== 'string') problem('record-user', i);
+        if (!record.results || !Array.isArray(record.results.roundAverages)) problem('record-results', i);
+        if (Number.isNaN(new Date(record.date).getTime())) problem('record-date', i);
+    });
+    participants.forEach((p, i) => {
+        if (!p || p.id === undefined || typeof p.name !== 'string') problem('participant', i);
+    });
+    if (errors.length) throw new DumpError(errors);
+
+    return { participants, results };
+}
+
+/**
+ * Учасник запису: з реєстру дампу за participantId або з user (старі записи).
+ * Без дати народження — рік народження з віку на дату запису (participantKey), щоб повторний імпорт
+ * знаходив того самого учасника, а тезки різного віку не зливалися.
+ * @private
+ */
+function personOf(record, participantsById) {
+    const linked = participantsById.get(record.participantId);
+    const { name, gender, birthDate, group } = linked || record.user;
+    const person = { name: name.trim(), gender: gender || 'male', birthDate: birthDate || null, group: group || '' };
+    if (!person.birthDate) person.birthYear = linked?.birthYear ?? estimateBirthYear(record.user?.age, record.date);
+    return person;
+}
+
+/**
+ * Відбиток результату: той самий учасник, дата і результати = дублікат.
+ * @private
+ */
+function fingerprint(key, record) {
+    return [key, new Date(record.date).toISOString(), JSON.stringify(record.results.roundAverages), record.results.grandAverage].join('#');
+}
+
+/**
+ * План злиття дампу з локальною базою.
+ * - added: нові записи (з посиланням на учасника дампу);
+ * - skipped: точні дублікати (такий запис уже є або повторюється в дампі);
+ * - conflicts: той самий учасник і час тестування, але інші результати.
+ * Учасники зіставляються за participantKey; невідомі потрапляють у newParticipants.
+ *
+ * @param {{participants: Array<Object>, results: Array<Object>}} dump - Результат parseDump()
+ * @param {{participants: Array<Object>, results: Array<Object>}} local - Поточний вміст БД
+ */
+export function planImport(dump, local) {
+    const localParticipantsById = new Map(local.participants.map(p => [p.id, p]));
+    const dumpParticipantsById = new Map(dump.participants.map(p => [p.id, p]));
+
+    const localIdsByKey = new Map(local.participants.map(p => [participantKey(p), p.id]));
+    const seen = new Set();
+    const localByTime = new Map();
+    for (const record of local.results) {
+        const key = participantKey(personOf(record, localParticipantsById));
+        // Учасник без дати й року народження (створений до оцінки року) знаходиться через свої записи
+        if (record.participantId != null && !localIdsByKey.has(key)) localIdsByKey.set(key, record.participantId);
+        seen.add(fingerprint(key, record));
+        localByTime.set(`${key}#${new Date(record.date).toISOString()}`, record);
+    }
+
+    const newParticipants = new Map(); // key -> person
+    const plan = { added: [], skipped: [], conflicts: [], newParticipants: [] };
+
+    for (const record of dump.results) {
+        const person = personOf(record, dumpParticipantsById);
+        const key = participantKey(person);
+        const print = fingerprint(key, record);
+
+        if (seen.has(print)) {
+            plan.skipped.push(record);
+            continue;
+        }
+        seen.add(print);
+
+        const entry = { record, participantKey: key, localParticipantId: localIdsByKey.get(key) ?? null };
+        if (localByTime.has(`${key}#${new Date(record.date).toISOString()}`)) {
+            plan.conflicts.push(entry);
+        } else {
+            plan.added.push(entry);
+        }
+        if (entry.localParticipantId === null && !newParticipants.has(key)) newParticipants.set(key, person);
+    }
+
+    plan.newParticipants = [...newParticipants.entries()].map(([key, person]) => ({ key, person }));
+    return plan;
+}
+
+/**
+ * Запис для збереження: без старого id, з participantId локальної бази.
+ * @param {Object} entry - Елемент plan.added / plan.conflicts
+ * @param {Map<string, number>} idsByKey - participantKey -> локальний id (разом зі щойно створеними)
+ */
+export function remapRecord(entry, idsByKey) {
+    const { id, ...record } = entry.record;
+    const participantId = entry.localParticipantId ?? idsByKey.get(entry.participantKey);
+    return { ...record, participantId, user: { ...record.user, participantId } };
+}
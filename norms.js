@@ -0,0 +1,202 @@
+/**
+ * NORMS MODULE
+ *
+ * Реєстр нормативних таблиць часу реакції для розрахунку біологічного віку.
+ * Кожна таблиця має ідентифікатор, версію та джерело, щоб збережені результати
+ * можна було перерахувати, коли таблицю оновлять.
+ *
+ * Формат таблиці (JSON):
+ * {
+ *   "id": "patent-126671",
+ *   "version": "1.0",
+ *   "source": "Патент України №126671",
+ *   "values": { "male": { "7": 357.86, ... }, "female": { ... } }
+ * }
+ */
+
+// Таблиця нормативів біологічного віку (Патент №126671)
+export const PATENT_126671_TABLE = {
+    id: 'patent-126671',
+    version: '1.0',
+    source: 'Патент України №126671',
+    values: {
+        male: { 7: 357.86, 8: 344.72, 9: 302.67, 10: 295.73, 11: 264.15, 12: 262.26, 13: 248.71, 14: 243.6, 15: 235.9, 16: 231.6 },
+        female: { 7: 387.06, 8: 347.32, 9: 311.79, 10: 304.15, 11: 272.93, 12: 268.74, 13: 256.78, 14: 251.77, 15: 247.3, 16: 239.4 }
+    }
+};
+
+/**
+ * Політика для віку поза межами таблиці.
+ */
+export const OUT_OF_RANGE_POLICY = Object.freeze({
+    REJECT: 'reject',           // Не рахувати (помилка)
+    CLAMP: 'clamp',             // Взяти найближчий вік таблиці і додати попередження
+    EXTRAPOLATE: 'extrapolate'  // Лінійно продовжити дві крайні точки
+});
+
+/**
+ * Помилка нормативів з кодом: текст для екрана — ключ 'norms.error.<code>' каталогу i18n з params,
+ * message — для консолі.
+ * @param {ErrorConstructor} Type - Error або RangeError (вік поза таблицею)
+ * @param {string} code
+ * @param {Object} params
+ * @param {string} message
+ * @returns {Error}
+ */
+export function normsError(Type, code, params, message) {
+    return Object.assign(new Type(message), { code, params });
+}
+
+export class NormsRegistry {
+    constructor() {
+        this.tables = new Map(); // id -> Map(version -> таблиця); остання додана версія — поточна
+        this.defaultId = null;
+    }
+
+    /**
+     * Додає таблицю до реєстру. Перша додана таблиця стає таблицею за замовчуванням.
+     * Нова версія таблиці з тим самим id стає поточною, попередні лишаються для перерахунку старих записів.
+     * @param {Object} table - Таблиця у форматі JSON (див. опис модуля)
+     * @returns {Object} Нормалізована таблиця
+     */
+    register(table) {
+        const normalized = NormsRegistry.validate(table);
+        const versions = this.tables.get(normalized.id) || new Map();
+        versions.delete(normalized.version);
+        versions.set(normalized.version, normalized);
+        this.tables.set(normalized.id, versions);
+        if (this.defaultId === null) this.defaultId = normalized.id;
+        return normalized;
+    }
+
+    /**
+     * Додає таблицю з JSON-рядка або вже розібраного об'єкта.
+     */
+    loadJSON(json) {
+        return this.register(typeof json === 'string' ? JSON.parse(json) : json);
+    }
+
+    /**
+     * Завантажує таблицю з файлу (наприклад, 'norms/my-table.json').
+     */
+    async fetchTable(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Cannot load norms table ${url}: ${response.status}`);
+        return this.loadJSON(await response.json());
+    }
+
+    /**
+     * @param {?string} [id] - Ідентифікатор; без нього повертає таблицю за замовчуванням
+     * @param {?string} [version] - Версія; без неї — поточна (остання додана)
+     * @throws {Error} якщо таблиці або її версії немає в реєстрі
+     */
+    get(id, version = null) {
+        const versions = this.tables.get(id ?? this.defaultId);
+        if (!versions) throw normsError(Error, 'table', { table: id }, `Unknown norms table: ${id}`);
+        if (version === null || version === undefined) return [...versions.values()].pop();
+        const table = versions.get(String(version));
+        if (!table) {
+            throw normsError(Error, 'version', { table: id ?? this.defaultId, version }, `Unknown version ${version} of norms table ${id ?? this.defaultId}`);
+        }
+        return table;
+    }
+
+    setDefault(id) {
+        this.get(id);
+        this.defaultId = id;
+    }
+
+    list() {
+        return [...this.tables.values()].flatMap(versions => [...versions.values()])
+            .map(({ id, version, source, modality }) => ({ id, version, source, modality }));
+    }
+
+    /**
+     * Перевіряє структуру таблиці і приводить вікові ключі до чисел.
+     * @private
+     */
+    static validate(table) {
+        if (!table || typeof table.id !== 'string' || !table.id) throw new Error('Norms table must have an id');
+        if (!table.version) throw new Error(`Norms table ${table.id} must have a version`);
+        if (!table.values || typeof table.values !== 'object') throw new Error(`Norms table ${table.id} has no values`);
+
+        const values = {};
+        for (const [gender, byAge] of Object.entries(table.values)) {
+            const points = Object.entries(byAge)
+                .map(([age, ms]) => [Number(age), Number(ms)])
+                .filter(([age, ms]) => Number.isFinite(age) && Number.isFinite(ms) && ms > 0)
+                .sort((a, b) => a[0] - b[0]);
+            if (points.length < 2) throw new Error(`Norms table ${table.id}: '${gender}' needs at least two ages`);
+            values[gender] = Object.fromEntries(points);
+        }
+
+        const ages = Object.values(values).flatMap(byAge => Object.keys(byAge).map(Number));
+        return {
+            id: table.id,
+            version: String(table.version),
+            source: table.source || '',
+            // Модальність стимулу, для якої зібрано нормативи (таблиці без поля — зорові)
+            modality: table.modality || 'visual',
+            minAge: Math.min(...ages),
+            maxAge: Math.max(...ages),
+            values
+        };
+    }
+
+    /**
+     * Норматив для конкретного віку.
+     * @param {Object} table - Таблиця з реєстру
+     * @param {number} age - Хронологічний вік (може бути дробовим)
+     * @param {string} gender - Ключ таблиці ('male' / 'female')
+     * @param {Object} [options]
+     * @param {boolean} [options.interpolate=false] - Лінійна інтерполяція між цілими роками (інакше — повні роки)
+     * @param {string} [options.outOfRange='clamp'] - OUT_OF_RANGE_POLICY
+     * @returns {{normMs: number, tableAge: number, warnings: Array<{code: string, params: Object}>}}
+     *          warnings — коди для тексту 'norms.warning.<code>' каталогу i18n
+     */
+    static lookup(table, age, gender, { interpolate = false, outOfRange = OUT_OF_RANGE_POLICY.CLAMP } = {}) {
+        const byAge = table.values[gender];
+        if (!byAge) throw normsError(Error, 'gender', { table: table.id }, `Norms table ${table.id} has no values for gender '${gender}'`);
+
+        // Сортуємо явно: дробові ключі (7.5) об'єкт зберігає після цілих
+        const points = Object.entries(byAge).map(([a, ms]) => [Number(a), ms]).sort((a, b) => a[0] - b[0]);
+        const minAge = points[0][0];
+        const maxAge = points[points.length - 1][0];
+        const warnings = [];
+
+        let tableAge = interpolate ? age : Math.floor(age);
+
+        if (tableAge < minAge || tableAge > maxAge) {
+            const message = `Age ${age} is outside norms range ${minAge}-${maxAge}`;
+            if (outOfRange === OUT_OF_RANGE_POLICY.REJECT) throw normsError(RangeError, 'out-of-range', { age, minAge, maxAge }, message);
+            if (outOfRange === OUT_OF_RANGE_POLICY.CLAMP) {
+                tableAge = Math.min(Math.max(tableAge, minAge), maxAge);
+                warnings.push({ code: 'clamped', params: { age, minAge, maxAge, tableAge } });
+            } else if (outOfRange === OUT_OF_RANGE_POLICY.EXTRAPOLATE) {
+                warnings.push({ code: 'extrapolated', params: { age, minAge, maxAge } });
+                const [a, b] = tableAge < minAge ? [points[0], points[1]] : [points[points.length - 2], points[points.length - 1]];
+                return { normMs: Number(linear(a, b, tableAge).toFixed(2)), tableAge, warnings };
+            } else {
+                throw new Error(`Unknown out-of-range policy: ${outOfRange}`);
+            }
+        }
+
+        if (byAge[tableAge] !== undefined) return { normMs: byAge[tableAge], tableAge, warnings };
+
+        // Дробовий вік або пропущений рік у таблиці — інтерполюємо між сусідніми точками
+        const upperIndex = points.findIndex(([a]) => a > tableAge);
+        const normMs = linear(points[upperIndex - 1], points[upperIndex], tableAge);
+        return { normMs: Number(normMs.toFixed(2)), tableAge, warnings };
+    }
+}
+
+/**
+ * Лінійна функція через дві точки [вік, мс].
+ */
+function linear([x1, y1], [x2, y2], x) {
+    return y1 + (y2 - y1) * (x - x1) / (x2 - x1);
+}
+
+// Реєстр за замовчуванням із вбудованою таблицею патенту
+export const normsRegistry = new NormsRegistry();
+normsRegistry.register(PATENT_126671_TABLE);
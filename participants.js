@@ -0,0 +1,58 @@
+/**
+ * PARTICIPANTS MODULE
+ *
+ * Допоміжні функції для учасників: вік на дату тестування та ключ для
+ * зіставлення записів одного учасника (міграція старих результатів, імпорт).
+ */
+
+/**
+ * Ключ учасника без урахування регістру та зайвих пробілів.
+ * Дата народження додається, якщо відома, щоб розрізнити тезок. Без неї (старі записи містять лише вік) —
+ * рік народження, оцінений з віку на дату тестування: він однаковий для всіх сесій учасника, а вік — ні.
+ * @param {{name: string, gender: string, birthDate?: ?string, birthYear?: ?number}} person
+ */
+export function participantKey({ name, gender, birthDate, birthYear }) {
+    const normalizedName = String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return [normalizedName, gender || '', birthDate || (birthYear ? `~${birthYear}` : '')].join('|');
+}
+
+/**
+ * Оцінка року народження за віком на дату тестування (для записів без дати народження).
+ * @param {?(number|string)} age - Вік у роках, можливо дробовий
+ * @param {Date|string} onDate - Дата тестування
+ * @returns {?number} null, якщо вік не задано
+ */
+export function estimateBirthYear(age, onDate) {
+    if (age === '' || age === null || age === undefined || !Number.isFinite(Number(age))) return null;
+    const date = new Date(onDate);
+    if (Number.isNaN(date.getTime())) return null;
+    const years = Math.floor(Number(age));
+    const months = Math.floor((Number(age) - years) * 12);
+    return new Date(date.getFullYear() - years, date.getMonth() - months, date.getDate()).getFullYear();
+}
+
+/**
+ * Вік у роках (з двома знаками після коми) на вказану дату.
+ * Повні роки + частка поточного року від останнього дня народження.
+ * @param {string} birthDate - 'YYYY-MM-DD'
+ * @param {Date|string} [onDate=new Date()] - Дата тестування
+ * @returns {?number} null, якщо дату народження не задано або вона пізніша за onDate
+ */
+export function ageOnDate(birthDate, onDate = new Date()) {
+    if (!birthDate) return null;
+    const [year, month, day] = birthDate.split('-').map(Number);
+    const date = new Date(onDate);
+
+    let years = date.getFullYear() - year;
+    let lastBirthday = new Date(date.getFullYear(), month - 1, day);
+    if (lastBirthday > date) {
+        years--;
+        lastBirthday = new Date(date.getFullYear() - 1, month - 1, day);
+    }
+    if (years < 0) return null;
+
+    const nextBirthday = new Date(lastBirthday.getFullYear() + 1, month - 1, day);
+    const fraction = (date - lastBirthday) / (nextBirthday - lastBirthday);
+    // Округлення вниз: 7.999 не повинно стати 8 раніше дня народження
+    return Math.floor((years + fraction) * 100) / 100;
+}
@@ -0,0 +1,306 @@
+/**
+ * PRIVACY MODULE
+ *
+ * Режим приватності для даних дітей у IndexedDB (db.js):
+ * - псевдонімізація: результати зберігаються з кодом учасника (P-7K3QX9) без ПІБ і дати народження;
+ *   відповідність ПІБ ↔ код лишається лише в сховищі учасників;
+ * - шифрування: і результати, і учасники запечатуються відкритим ключем сховища (ECDH P-256 + AES-GCM).
+ *   Для запису пароль не потрібен — тестування йде і при заблокованій історії;
+ *   прочитати записи можна лише закритим ключем, який зберігається зашифрованим ключем з пароля (PBKDF2);
+ * - анонімізований експорт для досліджень: без ПІБ, дати народження і класу.
+ *
+ * Відкритими лишаються id, дата тестування, participantId і код — за ними працюють індекси БД.
+ * Незавершена сесія і список класу (сховище sessions) переживають перезавантаження, тож теж запечатуються:
+ * у сесії відкриті лише код учасника і стан тесту, у списку класу — статуси черги.
+ */
+
+export const VAULT_VERSION = 1;
+
+// Рекомендація OWASP для PBKDF2-HMAC-SHA256
+export const PBKDF2_ITERATIONS = 310000;
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Без схожих символів (0/O, 1/I): код диктують і переписують вручну. 32 символи — без зсуву розподілу для байта
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 6;
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const AES = { name: 'AES-GCM', length: 256 };
+// Контекст HKDF: ключ запису не збігається з ключем жодного іншого застосування тієї ж пари ключів
+const HKDF_INFO = new TextEncoder().encode('bio-age record v1');
+
+const subtle = () => globalThis.crypto.subtle;
+const randomBytes = (length) => globalThis.crypto.getRandomValues(new Uint8Array(length));
+
+/**
+ * Випадковий код учасника для псевдонімізації.
+ * @returns {string} Наприклад 'P-7K3QX9'
+ */
+export function participantCode() {
+    return `P-${[...randomBytes(CODE_LENGTH)].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('')}`;
+}
+
+const passphraseKey = async (passphrase, salt, iterations) => {
+    const material = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return subtle().deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, AES, false, ['encrypt', 'decrypt']);
+};
+
+const encrypt = async (key, bytes) => {
+    const iv = randomBytes(12);
+    return { iv, data: await subtle().encrypt({ name: 'AES-GCM', iv }, key, bytes) };
+};
+
+const decrypt = (key, { iv, data }) => subtle().decrypt({ name: 'AES-GCM', iv }, key, data);
+
+// Спільний секрет ECDH -> HKDF -> AES-GCM
+const sharedKey = async (privateKey, publicKey) => {
+    const secret = await subtle().deriveBits({ name: 'ECDH', public: publicKey }, privateKey, 256);
+    const material = await subtle().importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    return subtle().deriveKey({ name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: HKDF_INFO }, material, AES, false, ['encrypt', 'decrypt']);
+};
+
+const importPrivateKey = (pkcs8) => subtle().importKey('pkcs8', pkcs8, ECDH, false, ['deriveBits']);
+
+/**
+ * Відкритий ключ сховища: ним запечатуються нові записи без пароля.
+ * @param {Object} vault - Налаштування з createVault()
+ * @returns {Promise<CryptoKey>}
+ */
+export function importPublicKey(vault) {
+    return subtle().importKey('raw', vault.publicKey, ECDH, true, []);
+}
+
+/**
+ * Нове сховище: пара ключів ECDH, закритий ключ зашифровано ключем з пароля.
+ * Бінарні поля — ArrayBuffer / Uint8Array: IndexedDB зберігає їх як є.
+ * @param {string} passphrase
+ * @param {{iterations?: number}} [options]
+ * @returns {Promise<{vault: Object, keys: {publicKey: CryptoKey, privateKey: CryptoKey}}>}
+ */
+export async function createVault(passphrase, { iterations = PBKDF2_ITERATIONS } = {}) {
+    const pair = await subtle().generateKey(ECDH, true, ['deriveBits']);
+    const salt = randomBytes(16);
+    const pkcs8 = await subtle().exportKey('pkcs8', pair.privateKey);
+    const vault = {
+        version: VAULT_VERSION,
+        salt,
+        iterations,
+        publicKey: await subtle().exportKey('raw', pair.publicKey),
+        privateKey: await encrypt(await passphraseKey(passphrase, salt, iterations), pkcs8)
+    };
+    // У пам'яті — копія закритого ключа, яку вже не можна експортувати
+    return { vault, keys: { publicKey: pair.publicKey, privateKey: await importPrivateKey(pkcs8) } };
+}
+
+/**
+ * Розблокування: закритий ключ з пароля.
+ * @param {Object} vault
+ * @param {string} passphrase
+ * @returns {Promise<{publicKey: CryptoKey, privateKey: CryptoKey}>}
+ * @throws {Error} якщо пароль невірний
+ */
+export async function unlockVault(vault, passphrase) {
+    let pkcs8;
+    try {
+        pkcs8 = await decrypt(await passphraseKey(passphrase, vault.salt, vault.iterations), vault.privateKey);
+    } catch (e) {
+        throw new Error('Невірний пароль');
+    }
+    return { publicKey: await importPublicKey(vault), privateKey: await importPrivateKey(pkcs8) };
+}
+
+/**
+ * Шифрує значення відкритим ключем: одноразова пара ECDH на кожен запис.
+ * @param {CryptoKey} publicKey
+ * @param {*} value - Те, що переживає JSON (дати стають рядками)
+ * @returns {Promise<{epk: ArrayBuffer, iv: Uint8Array, data: ArrayBuffer}>}
+ */
+export async function seal(publicKey, value) {
+    const ephemeral = await subtle().generateKey(ECDH, true, ['deriveBits']);
+    const key = await sharedKey(ephemeral.privateKey, publicKey);
+    const box = await encrypt(key, new TextEncoder().encode(JSON.stringify(value)));
+    return { epk: await subtle().exportKey('raw', ephemeral.publicKey), ...box };
+}
+
+/**
+ * @param {CryptoKey} privateKey
+ * @param {{epk: ArrayBuffer, iv: Uint8Array, data: ArrayBuffer}} box - Результат seal()
+ * @returns {Promise<*>}
+ */
+export async function unseal(privateKey, box) {
+    const ephemeralPublic = await subtle().importKey('raw', box.epk, ECDH, false, []);
+    const key = await sharedKey(privateKey, ephemeralPublic);
+    return JSON.parse(new TextDecoder().decode(await decrypt(key, box)));
+}
+
+/**
+ * Запечатаний результат: відкриті лише id, дата, participantId і код; ПІБ і дата народження не зберігаються зовсім.
+ * Поля пошуку (record.search) не зберігаються — вони розкрили б результати в індексах.
+ * @param {CryptoKey} publicKey
+ * @param {Object} record - Запис з БД або новий результат
+ * @param {string} code - Код учасника
+ * @returns {Promise<Object>}
+ */
+export async function sealRecord(publicKey, record, code) {
+    const { id, date, participantId, search, user = {}, ...content } = record;
+    const { name, birthDate, ...pseudonymous } = user;
+    return {
+        ...(id !== undefined && { id }),
+        date: new Date(date),
+        participantId,
+        code,
+        sealed: await seal(publicKey, { ...content, user: pseudonymous })
+    };
+}
+
+/**
+ * Розпечатаний результат; ПІБ і дата народження — з учасника (сховище учасників — ключ псевдонімів).
+ * @param {CryptoKey} privateKey
+ * @param {Object} envelope - Результат sealRecord() з БД
+ * @param {?Object} person - Розпечатаний учасник; без нього замість ПІБ — код
+ * @returns {Promise<Object>}
+ */
+export async function openRecord(privateKey, envelope, person) {
+    const { sealed, code, ...plain } = envelope;
+    const content = await unseal(privateKey, sealed);
+    // participantId конверта — головний: при імпорті запис запечатується ще до того, як учасник отримає id
+    return {
+        ...plain,
+        ...content,
+        user: { ...content.user, participantId: plain.participantId ?? content.user?.participantId, name: person?.name ?? code, birthDate: person?.birthDate ?? '' }
+    };
+}
+
+/**
+ * Запечатаний учасник: відкриті id, код і дата створення.
+ * @param {CryptoKey} publicKey
+ * @param {Object} participant
+ * @returns {Promise<Object>}
+ */
+export async function sealParticipant(publicKey, participant) {
+    const { id, code, createdAt, key, ...identity } = participant;
+    return { ...(id !== undefined && { id }), code, createdAt, sealed: await seal(publicKey, identity) };
+}
+
+/**
+ * @param {CryptoKey} privateKey
+ * @param {Object} envelope - Результат sealParticipant() з БД
+ * @returns {Promise<Object>} Учасник без key (його додає db.js)
+ */
+export async function openParticipant(privateKey, envelope) {
+    const { sealed, ...plain } = envelope;
+    return { ...plain, ...(await unseal(privateKey, sealed)) };
+}
+
+/**
+ * Запечатана незавершена сесія: ПІБ, дату народження і клас замінено кодом учасника.
+ * Стан ядра, протокол, вік і стать відкриті — продовжити тест можна і при заблокованій історії.
+ * @param {CryptoKey} publicKey
+ * @param {Object} session - Знімок app.persistSession()
+ * @param {?string} code - Код учасника
+ * @returns {Promise<Object>}
+ */
+export async function sealSession(publicKey, session, code) {
+    const { user = {}, ...state } = session;
+    const { name, birthDate, group, ...pseudonymous } = user;
+    return { ...state, user: pseudonymous, code, sealed: await seal(publicKey, { name, birthDate, group }) };
+}
+
+/**
+ * Розпечатана сесія. Без ключа (історія заблокована) замість ПІБ — код учасника.
+ * @param {?CryptoKey} privateKey
+ * @param {Object} envelope - Результат sealSession() з БД
+ * @returns {Promise<Object>}
+ */
+export async function openSession(privateKey, envelope) {
+    const { sealed, code, ...session } = envelope;
+    const identity = privateKey ? await unseal(privateKey, sealed) : { name: code ?? '', birthDate: '', group: '' };
+    return { ...session, user: { ...session.user, ...identity } };
+}
+
+/**
+ * Запечатаний список класу: відкриті статуси, спроби і id записів черги; учні й назва списку — лише з ключем.
+ * @param {CryptoKey} publicKey
+ * @param {Object} batch - createBatch() (roster.js)
+ * @returns {Promise<Object>}
+ */
+export async function sealBatch(publicKey, batch) {
+    const { name, entries, ...state } = batch;
+    return {
+        ...state,
+        entries: entries.map(({ person, ...entry }) => entry),
+        sealed: await seal(publicKey, { name, people: entries.map(e => e.person) })
+    };
+}
+
+/**
+ * @param {CryptoKey} privateKey
+ * @param {Object} envelope - Результат sealBatch() з БД
+ * @returns {Promise<Object>}
+ */
+export async function openBatch(privateKey, envelope) {
+    const { sealed, entries, ...state } = envelope;
+    const { name, people } = await unseal(privateKey, sealed);
+    return { ...state, name, entries: entries.map((entry, i) => ({ person: people[i], ...entry })) };
+}
+
+// Повні роки: дробовий вік разом з датою тестування видав би дату народження
+const wholeYears = (age) => (age === '' || age === null || age === undefined || !Number.isFinite(Number(age)) ? age : Math.floor(Number(age)));
+
+// Перше число місяця тестування, місцевий час без зони — так дата показується тим самим днем у будь-якому поясі
+const testMonth = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-01T00:00:00`;
+};
+
+// Біологічний вік без точного паспортного: БВ × ТБР і інтерпольований норматив відновлюють дробовий вік
+const coarseBioAge = (bioAge) => {
+    if (!bioAge) return bioAge;
+    const { normMs, chronologicalAge, norms, warnings, ...rest } = bioAge;
+    return {
+        ...rest,
+        ...(bioAge.biologicalAge !== undefined && { biologicalAge: Number(bioAge.biologicalAge).toFixed(1) }),
+        ...(chronologicalAge !== undefined && { chronologicalAge: wholeYears(chronologicalAge) }),
+        // Без інтерполяції норматив залежить лише від повних років
+        ...(normMs !== undefined && !norms?.interpolate && { normMs }),
+        ...(norms && { norms: { ...norms, tableAge: wholeYears(norms.tableAge) } }),
+        ...(warnings && { warnings: warnings.map(w => (typeof w === 'string' || !w.params
+            ? w
+            : { ...w, params: { ...w.params, age: wholeYears(w.params.age) } })) })
+    };
+};
+
+/**
+ * Анонімізований набір для досліджень: ПІБ замінено кодом учасника, дату народження і клас вилучено.
+ * Вік — у повних роках, дата тестування — з точністю до місяця, біологічний вік — до десятих:
+ * з точнішого віку і дати можна було б обчислити дату народження.
+ * Результат проходить parseDump() (importer.js) і макети exporter.js.
+ * @param {Array<Object>} participants - Учасники з кодами
+ * @param {Array<Object>} records - Розпечатані записи
+ * @returns {{participants: Array<Object>, results: Array<Object>}}
+ */
+export function anonymize(participants, records) {
+    const byId = new Map(participants.map(p => [p.id, p]));
+    // Учасник без коду (або запис без учасника в реєстрі) отримує код лише в межах цього експорту
+    const adhoc = new Map();
+    const codeOf = (participantId, name) => {
+        const known = byId.get(participantId)?.code;
+        if (known) return known;
+        const key = participantId ?? name;
+        if (!adhoc.has(key)) adhoc.set(key, participantCode());
+        return adhoc.get(key);
+    };
+
+    const results = records.map(({ search, user = {}, ...record }) => ({
+        ...record,
+        date: testMonth(record.date),
+        user: { participantId: record.participantId, name: codeOf(record.participantId, user.name), age: wholeYears(user.age), gender: user.gender },
+        ...('bioAge' in record && { bioAge: coarseBioAge(record.bioAge) })
+    }));
+    const used = new Set(records.map(r => r.participantId));
+    return {
+        participants: participants.filter(p => used.has(p.id)).map(p => ({ id: p.id, name: codeOf(p.id), gender: p.gender })),
+        results
+    };
+}
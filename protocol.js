@@ -0,0 +1,107 @@
+/**
+ * PROTOCOL MODULE
+ *
+ * Протокол тестування — параметри, які налаштовуються на екрані налаштувань:
+ * серії, стимули, експозиція, діапазон пауз, перерва, поріг спаму, тон слухового стимулу.
+ * Вбудовані пресети доступні лише для читання; власні зберігаються в IndexedDB (db.js).
+ * Тут же — правила підрахунку, спільні для застосунку (app.js) і симуляцій (simulate.js).
+ */
+import { translate, DEFAULT_LOCALE } from './i18n.js';
+
+/**
+ * Поля протоколу і допустимий діапазон (цілі числа). Підпис — ключ 'protocol.<key>' каталогу i18n.
+ */
+export const PROTOCOL_FIELDS = Object.freeze([
+    { key: 'rounds', min: 1, max: 10 },
+    { key: 'stimuliCount', min: 5, max: 100 },
+    { key: 'exposureTime', min: 200, max: 3000 },
+    { key: 'minDelay', min: 200, max: 10000 },
+    { key: 'maxDelay', min: 200, max: 10000 },
+    { key: 'breakDuration', min: 0, max: 600 },
+    { key: 'maxSpamClicks', min: 1, max: 10 },
+    // fallback — значення для пресетів, збережених до появи поля
+    { key: 'practiceStimuli', min: 0, max: 30, fallback: 0 },
+    // Тон слухового стимулу (audio.js); для зорового тесту не використовується
+    { key: 'toneFrequency', min: 200, max: 4000, fallback: 1000 },
+    { key: 'toneDuration', min: 20, max: 1000, fallback: 100 },
+    { key: 'toneVolume', min: 1, max: 100, fallback: 50 }
+]);
+
+export const BUILTIN_PRESETS = Object.freeze([
+    {
+        id: 'patent-126671',
+        name: 'Патент 126671 (стандарт)',
+        builtin: true,
+        rounds: 3, stimuliCount: 30, exposureTime: 700, minDelay: 750, maxDelay: 1250, breakDuration: 120, maxSpamClicks: 3,
+        practiceStimuli: 0, toneFrequency: 1000, toneDuration: 100, toneVolume: 50
+    },
+    {
+        id: 'quick-screening',
+        name: 'Швидкий скринінг',
+        builtin: true,
+        rounds: 2, stimuliCount: 20, exposureTime: 700, minDelay: 750, maxDelay: 1250, breakDuration: 30, maxSpamClicks: 3,
+        practiceStimuli: 5, toneFrequency: 1000, toneDuration: 100, toneVolume: 50
+    }
+]);
+
+export const DEFAULT_PRESET_ID = BUILTIN_PRESETS[0].id;
+
+/**
+ * Правила підрахунку для ядра (ReactionTestCore); на екрані налаштувань не змінюються.
+ */
+export const SCORING_DEFAULTS = Object.freeze({
+    minValidReactionTime: 100,
+    outlierRule: 'none',       // 'none' | 'sd' | 'iqr'
+    outlierThreshold: null,    // null -> 2.5 SD або 1.5 IQR
+    minValidPerRound: 10,      // Серія з меншою кількістю реакцій не враховується
+    scoringStatistic: 'mean'   // 'mean' | 'median'
+});
+
+/**
+ * Перевіряє значення протоколу.
+ * @param {Object} protocol - Значення полів (числа або рядки з форми)
+ * @param {Object} [context]
+ * @param {number} [context.minValidPerRound=1] - Серія з меншою кількістю реакцій не зараховується
+ * @param {string} [context.locale=DEFAULT_LOCALE] - Мова повідомлень
+ * @returns {string[]} Повідомлення про помилки; порожній масив — протокол коректний
+ */
+export function validateProtocol(protocol, { minValidPerRound = 1, locale = DEFAULT_LOCALE } = {}) {
+    const t = (key, params) => translate(locale, key, params);
+    const errors = [];
+    for (const { key, min, max } of PROTOCOL_FIELDS) {
+        const value = Number(protocol[key]);
+        if (protocol[key] === '' || protocol[key] === null || !Number.isInteger(value)) {
+            errors.push(t('protocol.error.integer', { field: t(`protocol.${key}`) }));
+        } else if (value < min || value > max) {
+            errors.push(t('protocol.error.range', { field: t(`protocol.${key}`), min, max }));
+        }
+    }
+    if (errors.length) return errors;
+
+    if (Number(protocol.maxDelay) < Number(protocol.minDelay)) {
+        errors.push(t('protocol.error.delayRange'));
+    }
+    if (Number(protocol.stimuliCount) < minValidPerRound) {
+        errors.push(t('protocol.error.minStimuli', { min: minValidPerRound }));
+    }
+    return errors;
+}
+
+/**
+ * Значення полів протоколу як числа (без id / назви).
+ * @param {Object} source - Пресет або форма
+ * @returns {Object}
+ */
+export function protocolValues(source) {
+    return Object.fromEntries(PROTOCOL_FIELDS.map(({ key, fallback }) => [key, Number(source[key] ?? fallback)]));
+}
+
+/**
+ * Значення протоколу для конфігу ядра: без тривалості перерви — її веде app.js, а не ядро.
+ * @param {Object} source - Пресет або форма
+ * @returns {Object}
+ */
+export function coreProtocol(source) {
+    const { breakDuration, ...values } = protocolValues(source);
+    return values;
+}
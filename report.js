@@ -0,0 +1,181 @@
+/**
+ * REPORT MODULE
+ *
+ * Друкований звіт за однією сесією тестування (для батьків / лікаря).
+ * Формує самодостатню HTML-сторінку: вбудовані стилі для друку (A4) і SVG-гістограма,
+ * тож її можна відкрити в новому вікні і зберегти як PDF через діалог друку.
+ * Мова звіту — мова інтерфейсу (ключі 'report.*' каталогу i18n).
+ */
+import { ReactionTestCore } from './ReactionCore.js';
+import { translate, translateWarning, formatDate, DEFAULT_LOCALE } from './i18n.js';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+
+/**
+ * Розбиття часу реакції на інтервали однакової ширини для гістограми.
+ * Межі кратні binWidth, тож графіки різних сесій можна порівнювати на око.
+ * @param {number[]} values
+ * @param {number} [binWidth=25] - Ширина інтервалу, мс
+ * @returns {Array<{from: number, to: number, count: number}>}
+ */
+export function histogramBins(values, binWidth = 25) {
+    if (!values.length) return [];
+    const start = Math.floor(Math.min(...values) / binWidth) * binWidth;
+    const end = Math.floor(Math.max(...values) / binWidth) * binWidth + binWidth;
+    const bins = [];
+    for (let from = start; from < end; from += binWidth) bins.push({ from, to: from + binWidth, count: 0 });
+    for (const value of values) bins[Math.floor((value - start) / binWidth)].count++;
+    return bins;
+}
+
+/**
+ * SVG-гістограма розподілу часу реакції з вертикальними лініями середнього та норми.
+ * @private
+ */
+function histogramSvg(values, t, { mean = null, norm = null, width = 640, height = 220 } = {}) {
+    const bins = histogramBins(values);
+    if (!bins.length) return `<p class="muted">${escapeHtml(t('report.noReactions'))}</p>`;
+
+    const pad = { top: 12, right: 12, bottom: 36, left: 36 };
+    const plotW = width - pad.left - pad.right;
+    const plotH = height - pad.top - pad.bottom;
+    // Вісь X охоплює також норму, щоб її лінія не виходила за межі графіка
+    const min = Math.min(bins[0].from, norm ?? Infinity);
+    const max = Math.max(bins[bins.length - 1].to, norm ?? -Infinity);
+    const maxCount = Math.max(...bins.map(b => b.count));
+    const x = (ms) => pad.left + ((ms - min) / (max - min)) * plotW;
+    const y = (count) => pad.top + plotH - (count / maxCount) * plotH;
+
+    const bars = bins.map(b => `<rect x="${x(b.from).toFixed(1)}" y="${y(b.count).toFixed(1)}" `
+        + `width="${(x(b.to) - x(b.from) - 1).toFixed(1)}" height="${(pad.top + plotH - y(b.count)).toFixed(1)}" fill="#93c5fd"/>`);
+    const step = Math.max(1, Math.ceil(bins.length / 8));
+    const ticks = bins.filter((_, i) => i % step === 0).map(b =>
+        `<text x="${x(b.from).toFixed(1)}" y="${height - pad.bottom + 14}" text-anchor="middle">${b.from}</text>`);
+    const marker = (ms, color, label) => ms === null ? '' :
+        `<line x1="${x(ms).toFixed(1)}" x2="${x(ms).toFixed(1)}" y1="${pad.top}" y2="${pad.top + plotH}" stroke="${color}" stroke-width="2" stroke-dasharray="4 3"/>`
+        + `<text x="${(x(ms) + 4).toFixed(1)}" y="${pad.top + 10}" fill="${color}">${label}</text>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" font-size="11" font-family="sans-serif">`
+        + bars.join('')
+        + `<line x1="${pad.left}" x2="${width - pad.right}" y1="${pad.top + plotH}" y2="${pad.top + plotH}" stroke="#333"/>`
+        + ticks.join('')
+        + `<text x="${pad.left + plotW / 2}" y="${height - 4}" text-anchor="middle">${escapeHtml(t('report.axisRt'))}</text>`
+        + `<text x="${pad.left - 6}" y="${pad.top + 8}" text-anchor="end">${maxCount}</text>`
+        + marker(mean, '#dc2626', escapeHtml(t('report.markerMean')))
+        + marker(norm, '#16a34a', escapeHtml(t('report.markerNorm')))
+        + '</svg>';
+}
+
+/**
+ * Повна HTML-сторінка звіту за записом з БД.
+ * @param {Object} record - { id, date, user, results, bioAge }
+ * @param {Object} [options]
+ * @param {string} [options.locale=DEFAULT_LOCALE] - Мова звіту
+ * @param {Date} [options.generatedAt=new Date()]
+ * @returns {string}
+ */
+export function renderReport(record, { locale = DEFAULT_LOCALE, generatedAt = new Date() } = {}) {
+    const t = (key, params) => translate(locale, key, params);
+    const formatMs = (value) => (value === null || value === undefined ? '—' : t('common.ms', { value: Math.round(value) }));
+    const { user = {}, results = {}, bioAge } = record;
+    const rounds = results.roundsDetails || [];
+    const reactions = rounds.filter(r => !r.excluded).flatMap(r => r.raw || []);
+    const row = (label, value) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`;
+    const method = results.modality === 'auditory' ? 'auditory' : results.mode || 'simple';
+
+    const participant = [
+        row(t('common.name'), user.name),
+        user.birthDate ? row(t('common.birthDate'), formatDate(user.birthDate, locale)) : '',
+        row(t('common.age'), user.age === '' || user.age === undefined ? '—' : t('common.years', { value: user.age })),
+        row(t('common.gender'), user.gender ? t(`gender.${user.gender}`) : ''),
+        user.group ? row(t('report.group'), user.group) : '',
+        row(t('report.testDate'), formatDate(record.date, locale, { time: true })),
+        row(t('report.method'), t(`report.method.${method}`)),
+        record.protocol ? row(t('report.protocol'), t('report.protocolValue', {
+            name: record.protocol.name,
+            rounds: record.protocol.rounds,
+            stimuli: record.protocol.stimuliCount,
+            minDelay: record.protocol.minDelay,
+            maxDelay: record.protocol.maxDelay,
+            exposure: record.protocol.exposureTime
+        })) : ''
+    ].join('');
+
+    const roundRows = (results.roundAverages || []).map((avg, i) => {
+        const details = rounds[i] || {};
+        return `<tr><td>${i + 1}</td><td>${escapeHtml(avg === null ? t('result.excluded') : formatMs(avg))}</td>`
+            + `<td>${details.count ?? '—'}</td><td>${escapeHtml(formatMs(details.statistics?.median))}</td><td>${escapeHtml(formatMs(details.statistics?.sd))}</td>`
+            + `<td>${details.validity ? escapeHtml(t(`validity.${details.validity.verdict}`)) : '—'}</td></tr>`;
+    }).join('');
+
+    // Причини сумнівних і недостовірних серій
+    const validityNotes = rounds.flatMap((r, i) => [
+        ...(r.validity?.reasons || []).map(reason => t(`validity.reason.${reason.code}`, reason.params)),
+        ...(r.interruptions?.length ? [t('report.interrupted', { count: r.interruptions.length })] : [])
+    ].map(message => `<p class="warning">${escapeHtml(t('report.roundNote', { round: i + 1, message }))}</p>`)).join('');
+
+    const summary = [
+        row(t(results.scoring?.statistic === 'median' ? 'report.meanOfMedians' : 'report.mean'), formatMs(results.grandAverage)),
+        bioAge ? row(t('report.norm'), formatMs(bioAge.normMs)) : '',
+        bioAge ? row(t('report.bioAge'), t('common.years', { value: bioAge.biologicalAge })) : '',
+        bioAge ? row(t('report.tbr'), bioAge.tbr) : ''
+    ].join('');
+
+    const conclusion = bioAge
+        ? `<p class="conclusion">${escapeHtml(t(`conclusion.${ReactionTestCore.conclusionCode(bioAge.conclusion)}`))}</p>`
+            + (bioAge.warnings || []).map(w => `<p class="warning">${escapeHtml(translateWarning(locale, w))}</p>`).join('')
+        : `<p class="muted">${escapeHtml(t('report.noBioAge'))}</p>`;
+
+    const normsNote = bioAge?.norms ? escapeHtml(t('report.norms', { id: bioAge.norms.id, version: bioAge.norms.version })) : '';
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(t('report.documentTitle', { name: user.name }))}</title>
+<style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: sans-serif; color: #111; max-width: 180mm; margin: 0 auto; padding: 16px; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 20px 0 8px; border-bottom: 1px solid #ccc; padding-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { padding: 4px 6px; border-bottom: 1px solid #e5e5e5; text-align: left; }
+    .rounds th, .rounds td { text-align: center; }
+    .conclusion { font-size: 16px; font-weight: bold; }
+    .warning { color: #b45309; font-size: 12px; }
+    .muted, footer { color: #666; font-size: 11px; }
+    section, svg { break-inside: avoid; }
+    .no-print { margin-top: 16px; }
+    @media print { .no-print { display: none; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(t('report.title'))}</h1>
+<p class="muted">${escapeHtml(t('report.generated', { date: formatDate(generatedAt, locale, { time: true }) }))}</p>
+
+<section><h2>${escapeHtml(t('report.participant'))}</h2><table>${participant}</table></section>
+
+<section><h2>${escapeHtml(t('report.rounds'))}</h2>
+<table class="rounds"><thead><tr>${['report.round', 'report.result', 'report.reactions', 'report.median', 'report.sd', 'report.validity']
+        .map(key => `<th>${escapeHtml(t(key))}</th>`).join('')}</tr></thead>
+<tbody>${roundRows}</tbody></table>
+${validityNotes}</section>
+
+<section><h2>${escapeHtml(t('report.summary'))}</h2><table>${summary}</table></section>
+
+<section><h2>${escapeHtml(t('report.conclusion'))}</h2>${conclusion}</section>
+
+<section><h2>${escapeHtml(t('report.histogram'))}</h2>
+${histogramSvg(reactions, t, { mean: results.grandAverage ?? null, norm: bioAge?.normMs ?? null })}</section>
+
+<footer><p>${normsNote}${escapeHtml(t('report.disclaimer'))}</p></footer>
+
+<div class="no-print"><button onclick="window.print()">${escapeHtml(t('report.print'))}</button></div>
+</body>
+</html>`;
+}
@@ -0,0 +1,195 @@
+/**
+ * ROSTER MODULE
+ *
+ * Пакетне тестування класу: розбір списку класу (CSV), черга учасників зі статусами
+ * та підсумок по класу. Стан черги — звичайний об'єкт, щоб його можна було зберегти в IndexedDB.
+ *
+ * Формат списку: рядок заголовка і по рядку на учня. Роздільник ';', ',' або табуляція.
+ * Колонки (назви без урахування регістру): ПІБ | Дата народження | Стать | Клас.
+ * Без заголовка колонки беруться в цьому ж порядку.
+ */
+import { ReactionTestCore } from './ReactionCore.js';
+import { participantKey } from './participants.js';
+
+export const BATCH_STATUS = Object.freeze({
+    PENDING: 'pending',   // Ще не тестувався
+    DONE: 'done',         // Результат збережено
+    SKIPPED: 'skipped',   // Пропущений (відсутній, відмовився)
+    RETRY: 'retry'        // Тест перервано (спам) — повторити наприкінці
+});
+
+const COLUMN_ALIASES = {
+    name: ['піб', "ім'я", 'name', 'учень', 'прізвище та ім\'я'],
+    birthDate: ['дата народження', 'birthdate', 'birth date', 'д.н.', 'народження'],
+    gender: ['стать', 'gender', 'sex'],
+    group: ['клас', 'група', 'клас / група', 'group', 'class']
+};
+const DEFAULT_COLUMNS = ['name', 'birthDate', 'gender', 'group'];
+
+const GENDER_ALIASES = {
+    male: ['ч', 'чол', 'чоловіча', 'м', 'male', 'm', 'хлопець'],
+    female: ['ж', 'жін', 'жіноча', 'f', 'female', 'дівчина']
+};
+
+/**
+ * Рядки CSV з урахуванням лапок ("Іваненко; Іван", подвоєні лапки).
+ * @private
+ */
+function splitCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else field += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.filter(r => r.some(cell => cell.trim() !== ''));
+}
+
+// 'YYYY-MM-DD' або 'DD.MM.YYYY' -> 'YYYY-MM-DD'; null, якщо дата некоректна
+const normalizeDate = (value) => {
+    const text = value.trim();
+    const match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/) || text.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})$/);
+    if (!match) return null;
+    const [year, month, day] = text.includes('-') ? [match[1], match[2], match[3]] : [match[3], match[2], match[1]];
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    if (date.getMonth() !== Number(month) - 1) return null;
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+};
+
+const normalizeGender = (value) => {
+    const text = value.trim().toLowerCase();
+    return Object.keys(GENDER_ALIASES).find(g => GENDER_ALIASES[g].includes(text)) || null;
+};
+
+/**
+ * Розбирає список класу.
+ * @param {string} text - Вміст CSV-файлу
+ * @returns {{people: Array<{name, birthDate, gender, group}>, errors: Array<{code: string, params: Object}>}}
+ *          Рядки з помилками не потрапляють у people; повтори того самого учня пропускаються.
+ *          errors — по одній на проблему, текст — ключ 'roster.error.<code>' каталогу i18n
+ */
+export function parseRoster(text) {
+    const clean = text.replace(/^\uFEFF/, '');
+    const firstLine = clean.split(/\r?\n/, 1)[0];
+    const delimiter = ['\t', ';', ','].find(d => firstLine.includes(d)) || ';';
+    const rows = splitCsv(clean, delimiter);
+
+    const header = (rows[0] || []).map(cell => cell.trim().toLowerCase());
+    const columns = header.map(cell => Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(cell)));
+    const hasHeader = columns.includes('name');
+    const indexOf = (key) => hasHeader ? columns.indexOf(key) : DEFAULT_COLUMNS.indexOf(key);
+
+    const people = [];
+    const errors = [];
+    const seen = new Set();
+
+    rows.slice(hasHeader ? 1 : 0).forEach((row, i) => {
+        const line = i + (hasHeader ? 2 : 1);
+        const cell = (key) => indexOf(key) >= 0 ? (row[indexOf(key)] || '').trim() : '';
+
+        const name = cell('name').replace(/\s+/g, ' ');
+        const birthDate = normalizeDate(cell('birthDate'));
+        const gender = normalizeGender(cell('gender'));
+        const problems = [];
+        if (!name) problems.push({ code: 'no-name', params: { line } });
+        if (!birthDate) problems.push({ code: 'birth-date', params: { line, value: cell('birthDate') } });
+        if (!gender) problems.push({ code: 'gender', params: { line, value: cell('gender') } });
+        if (problems.length) {
+            errors.push(...problems);
+            return;
+        }
+
+        const person = { name, birthDate, gender, group: cell('group') };
+        const key = participantKey(person);
+        if (seen.has(key)) {
+            errors.push({ code: 'duplicate', params: { line, name } });
+            return;
+        }
+        seen.add(key);
+        people.push(person);
+    });
+
+    return { people, errors };
+}
+
+/**
+ * Нова черга тестування.
+ * @param {Array<Object>} people - Результат parseRoster().people
+ * @param {string} [name] - Назва (наприклад, ім'я файлу або клас)
+ */
+export function createBatch(people, name = '') {
+    return {
+        name,
+        createdAt: new Date().toISOString(),
+        entries: people.map(person => ({ person, status: BATCH_STATUS.PENDING, recordId: null, attempts: 0 })),
+        current: null   // Індекс учасника, який зараз тестується
+    };
+}
+
+/**
+ * Наступний учасник: спершу ті, хто ще не тестувався, потім ті, кому треба повторити.
+ * @returns {number} Індекс або -1, якщо черга пройдена
+ */
+export function nextEntryIndex(batch) {
+    const pending = batch.entries.findIndex(e => e.status === BATCH_STATUS.PENDING);
+    return pending >= 0 ? pending : batch.entries.findIndex(e => e.status === BATCH_STATUS.RETRY);
+}
+
+/**
+ * Кількість учасників за статусом.
+ * @returns {Object<string, number>}
+ */
+export function batchProgress(batch) {
+    const counts = Object.fromEntries(Object.values(BATCH_STATUS).map(status => [status, 0]));
+    for (const entry of batch.entries) counts[entry.status]++;
+    return counts;
+}
+
+/**
+ * Підсумок по класу з результатів пройдених тестів однієї модальності
+ * (час слухової і зорової реакції не усереднюється разом).
+ * @param {Array<Object>} records - Записи з БД
+ * @param {string} [modality='visual']
+ * @returns {{count: number, scored: number, grandAverage: ?Object, bioAge: ?Object, tbr: ?Object, byConclusion: Object<string, number>}}
+ *          grandAverage / bioAge / tbr — ReactionTestCore.describe(); byConclusion — за кодами CONCLUSION
+ */
+export function classSummary(records, modality = 'visual') {
+    const tested = records.filter(r => (r.results?.modality || 'visual') === modality);
+    const scored = tested.filter(r => r.bioAge);
+    const byConclusion = {};
+    for (const record of scored) {
+        const code = ReactionTestCore.conclusionCode(record.bioAge.conclusion);
+        byConclusion[code] = (byConclusion[code] || 0) + 1;
+    }
+
+    return {
+        count: tested.length,
+        scored: scored.length,
+        grandAverage: ReactionTestCore.describe(tested.map(r => r.results.grandAverage).filter(v => v !== null)),
+        bioAge: ReactionTestCore.describe(scored.map(r => Number(r.bioAge.biologicalAge))),
+        tbr: ReactionTestCore.describe(scored.map(r => Number(r.bioAge.tbr))),
+        byConclusion
+    };
+}
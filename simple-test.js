@@ -1,13 +1,31 @@
+import { readFileSync, existsSync } from 'node:fs';
 import { ReactionTestCore } from './ReactionCore.js';
+import { Emitter } from './events.js';
+import { NormsRegistry, PATENT_126671_TABLE } from './norms.js';
+import { ageOnDate, participantKey } from './participants.js';
+import { createDump, parseDump, planImport, remapRecord, DumpError } from './importer.js';
+import { summaryRows, trialRows } from './exporter.js';
+import { toCSV, toXLSX } from './spreadsheet.js';
+import { histogramBins, renderReport } from './report.js';
+import { participantTimeline, detectChanges, normCurve, trendCharts } from './trend.js';
+import { BATCH_STATUS, parseRoster, createBatch, nextEntryIndex, batchProgress, classSummary } from './roster.js';
+import { PROTOCOL_FIELDS, BUILTIN_PRESETS, SCORING_DEFAULTS, validateProtocol, protocolValues, coreProtocol } from './protocol.js';
+import { createRandom, sampleReactionTime, profileFromNorms, simulateParticipant, simulateCohort } from './simulation.js';
+import { audioOnsetTime } from './audio.js';
+import { inputDevice, tapAsynchronies, estimateOffsets } from './calibration.js';
+import { analyzeRound, worstVerdict } from './validity.js';
+import { translate, translateWarning, detectLocale, formatDate, formatNumber } from './i18n.js';
+import { changeText } from './trend.js';
+import { searchFields, withSearchFields, matchesFilters, sortRange, pageCount, emptyFilters, queryRecords, NO_CONCLUSION } from './history.js';
+import { participantCode, createVault, unlockVault, sealRecord, openRecord, sealParticipant, openParticipant, anonymize } from './privacy.js';
+import { db } from './db.js';
 
 // --- 1. РОЗУМНИЙ МОК ЧАСУ ---
 let virtualTime = 0;
 let timerIdCounter = 0;
 let timers = []; // Зберігаємо всі активні таймери
 
-global.Date.now = () => virtualTime;
-
-global.setTimeout = (callback, delay) => {
+const fakeSetTimeout = (callback, delay) => {
     const id = ++timerIdCounter;
     // Запам'ятовуємо, КОЛИ має спрацювати таймер
     timers.push({ id, callback, triggerTime: virtualTime + delay });
@@ -16,10 +34,18 @@ global.setTimeout = (callback, delay) => {
     return id;
 };
 
-global.clearTimeout = (idToClear) => {
+const fakeClearTimeout = (idToClear) => {
     timers = timers.filter(t => t.id !== idToClear);
 };
 
+// Годинник і планувальник, які передаються в ядро
+const timing = {
+    now: () => virtualTime,
+    setTimeout: fakeSetTimeout,
+    clearTimeout: fakeClearTimeout,
+    requestFrame: null
+};
+
 // Промотує час вперед і виконує ТІЛЬКИ ті події, час яких настав
 function advanceTime(ms) {
     const targetTime = virtualTime + ms;
@@ -71,11 +97,11 @@ const core = new ReactionTestCore({
     minDelay: 1000,
     maxDelay: 1000, // Фіксована затримка 1000мс
     exposureTime: 700 // Фіксований час показу
-});
+}, timing);
 
 let isVisible = false;
-core.onStimulusShow = () => { isVisible = true; };
-core.onStimulusHide = () => { isVisible = false; };
+core.on('stimulus:show', () => { isVisible = true; });
+core.on('stimulus:hide', () => { isVisible = false; });
 
 core.start();
 assert(core.state.isRunning === true, "Тест запущено");
@@ -125,6 +151,8 @@ assert(isVisible === false, "Стимул зник сам (час вийшов)"
 // (В поточній логіці miss не додається в stimulusResults або додається як null, залежить від реалізації.
 // Перевіряємо, що масив не змінився, тобто ми не записали "фейковий" час)
 assert(core.state.stimulusResults.length === 1, "Пропущений стимул не вплинув на статистику успішних");
+assert(core.state.trials.length === 2 && core.state.trials[1].outcome === 'miss', "Пропуск записано як пробу з результатом 'miss'");
+assert(core.state.trials[0].outcome === 'hit' && core.state.trials[0].rt === 300, "Перша проба — 'hit' з часом реакції");
 
 
 // ТЕСТ 4: Спам
@@ -134,7 +162,7 @@ core.startNextRound(); // Раунд 1
 advanceTime(1000);
 
 let spamDetected = false;
-core.onSpamDetected = () => { spamDetected = true; };
+core.on('spam', () => { spamDetected = true; });
 
 // 3 дозволених кліки
 core.registerInput();
@@ -147,4 +175,1100 @@ core.registerInput();
 assert(spamDetected === true, "4-й клік викликав детектор спаму");
 
 
+// ТЕСТ 5: Момент появи береться з кадру відмальовки, час реакції — з мітки події
+timers = [];
+virtualTime = 0;
+let pendingFrame = null;
+const frameCore = new ReactionTestCore({
+    stimuliCount: 1,
+    minDelay: 1000,
+    maxDelay: 1000,
+    exposureTime: 700
+}, { ...timing, requestFrame: (cb) => { pendingFrame = cb; return 1; } });
+
+frameCore.start();
+advanceTime(1000);
+assert(frameCore.state.isStimulusVisible === true && pendingFrame !== null, "Стимул чекає кадру відмальовки");
+
+// Кадр відмалювався на 16мс пізніше запланованого
+advanceTime(16);
+pendingFrame(1016);
+const timingRecord = frameCore.state.currentTrial;
+assert(timingRecord.onset === 1016 && timingRecord.jitter === 16, `Джитер появи записано (${timingRecord.jitter}мс)`);
+
+// Подія прийшла з власною міткою часу, трохи раніше за обробник
+advanceTime(300);
+frameCore.registerInput(1266);
+assert(frameCore.state.pendingReaction === 250, `Час реакції рахується від кадру до мітки події (${frameCore.state.pendingReaction})`);
+
+// Експозиція відраховується від кадру появи
+advanceTime(399);
+assert(frameCore.state.isStimulusVisible === true, "Експозиція ще триває (відлік від кадру)");
+advanceTime(1);
+assert(frameCore.state.isStimulusVisible === false, "Експозиція завершилась через 700мс після кадру");
+assert(frameCore.state.allRounds[0].trials[0].jitter === 16, "Таймінги збережено в деталях раунду");
+
+
+// ТЕСТ 6: Випередження, надшвидкі та повторні натискання потрапляють у записи проб
+timers = [];
+virtualTime = 0;
+const trialCore = new ReactionTestCore({
+    rounds: 1,
+    stimuliCount: 2,
+    minDelay: 1000,
+    maxDelay: 1000,
+    exposureTime: 700,
+    minValidReactionTime: 100
+}, timing);
+
+trialCore.start();
+advanceTime(500);
+assert(trialCore.registerInput() === false, "Натискання під час паузи не зараховано");
+advanceTime(500);
+advanceTime(50);
+trialCore.registerInput(); // надшвидке
+advanceTime(200);
+trialCore.registerInput(); // зараховане (250мс)
+trialCore.registerInput(); // повторне
+advanceTime(450);          // кінець експозиції першого стимулу
+
+advanceTime(1000);
+advanceTime(50);
+trialCore.registerInput(); // лише надшвидке — реакції немає
+advanceTime(650);
+
+const [firstTrial, secondTrial] = trialCore.state.allRounds[0].trials;
+assert(firstTrial.outcome === 'hit' && firstTrial.rt === 250, "Реакцію зараховано попри помилкові натискання");
+assert(firstTrial.pressCount === 4, `Лічильник натискань включає паузу (${firstTrial.pressCount})`);
+assert(firstTrial.presses.map(p => p.type).join(',') === 'anticipation,too-fast,hit,repeat', "Кожне натискання має причину");
+assert(firstTrial.presses[0].offset === -500, "Випередження записано відносно запланованої появи");
+assert(firstTrial.foreperiod === 1000, "Пауза перед стимулом записана");
+assert(secondTrial.outcome === 'too-fast', "Проба без валідної реакції отримує результат 'too-fast'");
+
+const final = trialCore.getFinalResults();
+assert(final.outcomes.hit === 1 && final.outcomes['too-fast'] === 1 && final.outcomes.repeatPresses === 1, "Підсумок результатів у фінальних даних");
+assert(final.outcomes.errorRate === 0.5, "Частка помилок розрахована");
+
+
+// ТЕСТ 7: Описова статистика та відсікання викидів
+const described = ReactionTestCore.describe([200, 300, 250, 350, 400]);
+assert(described.median === 300 && described.min === 200 && described.max === 400, "Медіана, мін і макс розраховані");
+assert(described.sd === 79.06 && described.cv === 0.26, `SD і CV розраховані (${described.sd}, ${described.cv})`);
+assert(described.percentiles.p25 === 250 && described.percentiles.p90 === 380, "Перцентилі інтерполюються");
+
+const iqrTrim = ReactionTestCore.trimOutliers([250, 260, 270, 280, 290, 900], 'iqr');
+assert(iqrTrim.outliers.length === 1 && iqrTrim.outliers[0] === 900, "IQR-правило відсікає викид");
+const sdTrim = ReactionTestCore.trimOutliers([250, 260, 270, 280, 290, 900], 'sd', 2);
+assert(sdTrim.kept.length === 5, "SD-правило з порогом 2 відсікає викид");
+
+// ТЕСТ 8: Порожній раунд не тягне загальне середнє до нуля
+timers = [];
+virtualTime = 0;
+const scoringCore = new ReactionTestCore({
+    rounds: 2,
+    stimuliCount: 1,
+    minDelay: 1000,
+    maxDelay: 1000,
+    exposureTime: 700,
+    scoringStatistic: 'median'
+}, timing);
+scoringCore.start();
+advanceTime(1300);
+scoringCore.registerInput();   // 300мс
+advanceTime(400);
+scoringCore.startNextRound();  // другий раунд — без реакцій
+advanceTime(1700);
+
+const scored = scoringCore.getFinalResults();
+assert(scored.grandAverage === 300, `Виключений раунд не впливає на середнє (${scored.grandAverage})`);
+assert(scored.roundAverages[1] === null && scored.roundsDetails[1].excluded, "Порожній раунд позначено як виключений");
+assert(scored.scoring.statistic === 'median' && scored.scoring.excludedRounds[0] === 2, "Запис вказує використану статистику");
+
+
+// ТЕСТ 9: Нормативні таблиці — версії, інтерполяція, вік поза таблицею
+assert(bioRes.norms.id === 'patent-126671' && bioRes.norms.version === '1.0', "Результат містить id та версію таблиці");
+
+const interpolated = ReactionTestCore.calculateBioAge(300, 10.5, 'male', { interpolate: true });
+assert(interpolated.normMs === 279.94, `Норматив інтерпольовано між 10 і 11 роками (${interpolated.normMs})`);
+
+const clamped = ReactionTestCore.calculateBioAge(300, 18, 'male');
+assert(clamped.norms.tableAge === 16 && clamped.warnings.length === 1, "Вік поза таблицею обмежено з попередженням");
+assert(translateWarning('en', clamped.warnings[0]) === 'Age 18 is outside the norms range (7-16): the norm for 16 y was used.'
+    && translateWarning('uk', 'Age 18 is outside norms range 7-16; clamped to 16').startsWith('Age 18'),
+    "Попередження нормативів — кодом для мови інтерфейсу; старі текстові — як є");
+
+let rejected = false;
+let rejectedText = '';
+try {
+    ReactionTestCore.calculateBioAge(300, 18, 'male', { outOfRange: 'reject' });
+} catch (e) {
+    rejected = e instanceof RangeError;
+    rejectedText = translate('uk', `norms.error.${e.code}`, e.params);
+}
+assert(rejected, "Політика 'reject' не рахує вік поза таблицею");
+assert(rejectedText === 'вік 18 поза межами нормативів (7-16).', "Помилка нормативів — кодом для тексту мовою інтерфейсу");
+
+const extrapolated = ReactionTestCore.calculateBioAge(300, 17, 'male', { outOfRange: 'extrapolate' });
+assert(extrapolated.normMs === 227.3, `Норматив екстрапольовано (${extrapolated.normMs})`);
+
+let unknownGender = false;
+try { ReactionTestCore.calculateBioAge(300, 10, 'other'); } catch (e) { unknownGender = true; }
+assert(unknownGender, "Невідома стать більше не підміняється чоловічими нормами");
+
+const registry = new NormsRegistry();
+registry.loadJSON('{"id":"custom","version":"2","source":"test","values":{"male":{"10":300,"12":280}}}');
+const custom = ReactionTestCore.calculateBioAge(290, 11, 'male', { registry });
+assert(custom.normMs === 290 && custom.norms.id === 'custom', "Таблиця з JSON використовується і пропущений рік інтерполюється");
+
+const rescored = ReactionTestCore.rescore({ user: { age: 11, gender: 'male' }, results: { grandAverage: 290 }, bioAge: bioRes }, { registry, tableId: 'custom' });
+assert(rescored.norms.id === 'custom' && rescored.biologicalAge === '11.00', "Збережений запис можна перерахувати за іншою таблицею");
+
+// Без options — за тією ж таблицею, що й при збереженні, навіть якщо вона не за замовчуванням
+const twoTables = new NormsRegistry();
+twoTables.register(PATENT_126671_TABLE);
+twoTables.loadJSON('{"id":"custom","version":"2","source":"test","values":{"male":{"10":300,"12":280}}}');
+const customRecord = { user: { age: 11, gender: 'male' }, results: { grandAverage: 290 },
+    bioAge: ReactionTestCore.calculateBioAge(290, 11, 'male', { registry: twoTables, tableId: 'custom' }) };
+const rescoredSame = ReactionTestCore.rescore(customRecord, { registry: twoTables });
+assert(twoTables.get().id !== 'custom' && rescoredSame.norms.id === 'custom' && rescoredSame.biologicalAge === customRecord.bioAge.biologicalAge,
+    "Перерахунок без options бере таблицю запису, а не таблицю за замовчуванням");
+
+const patentOnly = new NormsRegistry();
+patentOnly.register(PATENT_126671_TABLE);
+let missingTable = false;
+try { ReactionTestCore.rescore(customRecord, { registry: patentOnly }); } catch (e) { missingTable = true; }
+assert(missingTable, "Таблиці запису немає в реєстрі — перерахунок зупиняється помилкою");
+
+// Нова версія таблиці не витісняє стару: запис v1 перераховується за v1, перехід на v2 — лише явно
+const versioned = new NormsRegistry();
+versioned.loadJSON('{"id":"school","version":"1","values":{"male":{"10":300,"12":280}}}');
+const v1Record = { user: { age: 11, gender: 'male' }, results: { grandAverage: 290 },
+    bioAge: ReactionTestCore.calculateBioAge(290, 11, 'male', { registry: versioned }) };
+versioned.loadJSON('{"id":"school","version":"2","values":{"male":{"10":320,"12":300}}}');
+const rescoredV1 = ReactionTestCore.rescore(v1Record, { registry: versioned });
+const rescoredV2 = ReactionTestCore.rescore(v1Record, { registry: versioned, tableVersion: '2' });
+assert(versioned.get('school').version === '2' && versioned.list().length === 2
+    && rescoredV1.norms.version === '1' && rescoredV1.normMs === 290 && rescoredV2.norms.version === '2' && rescoredV2.normMs === 310,
+    "Перерахунок запису v1 після появи v2: за v1, якщо іншу версію не вказано явно");
+const v2Only = new NormsRegistry();
+v2Only.loadJSON('{"id":"school","version":"2","values":{"male":{"10":320,"12":300}}}');
+let missingVersion = null;
+try { ReactionTestCore.rescore(v1Record, { registry: v2Only }); } catch (e) { missingVersion = e.message; }
+assert(missingVersion && missingVersion.includes('version 1'), "Версії запису немає в реєстрі — перерахунок зупиняється, а не бере v2");
+
+
+// ТЕСТ 10: Реакція вибору — кожен тип стимулу має свою відповідь
+timers = [];
+virtualTime = 0;
+const choiceCore = new ReactionTestCore({
+    rounds: 1,
+    stimuliCount: 4,
+    minDelay: 1000,
+    maxDelay: 1000,
+    exposureTime: 700,
+    mode: 'choice',
+    stimulusTypes: [
+        { id: 'red', response: 'left', color: 'red' },
+        { id: 'blue', response: 'right', color: 'blue' }
+    ]
+}, timing);
+
+let shownStimulus = null;
+choiceCore.on('stimulus:show', ({ stimulus }) => { shownStimulus = stimulus; });
+choiceCore.start();
+
+assert(choiceCore.state.stimulusSequence.filter(t => t.id === 'red').length === 2, "Послідовність збалансована за типами");
+
+let answeredWrong = false;
+for (let i = 0; i < 4; i++) {
+    advanceTime(1300);
+    const correct = shownStimulus.id === 'red' ? 'left' : 'right';
+    const wrong = correct === 'left' ? 'right' : 'left';
+    // Одну червону пробу відповідаємо неправильно
+    const answer = shownStimulus.id === 'red' && !answeredWrong ? wrong : correct;
+    if (answer === wrong) answeredWrong = true;
+    choiceCore.registerInput(undefined, answer);
+    advanceTime(400);
+}
+
+assert(shownStimulus.color !== undefined, "Дані типу стимулу передаються в onStimulusShow");
+const choice = choiceCore.getFinalResults();
+assert(choice.outcomes.hit === 3 && choice.outcomes.wrong === 1, "Правильні та неправильні відповіді пораховано");
+assert(choice.outcomes.accuracy === 0.75, `Загальна точність (${choice.outcomes.accuracy})`);
+assert(choice.byStimulus.red.outcomes.accuracy === 0.5 && choice.byStimulus.blue.outcomes.accuracy === 1, "Точність за типами стимулів");
+assert(choice.byStimulus.red.statistics.n === 1 && choice.roundsDetails[0].raw.length === 3, "Невірні відповіді не потрапляють у статистику RT");
+
+
+// ТЕСТ 11: Go/No-Go — помилки комісії рахуються окремо від спаму
+timers = [];
+virtualTime = 0;
+const goCore = new ReactionTestCore({
+    rounds: 1,
+    stimuliCount: 8,
+    minDelay: 1000,
+    maxDelay: 1000,
+    exposureTime: 700,
+    mode: 'go-nogo',
+    noGoShare: 0.25
+}, timing);
+
+let goStimulus = null;
+let goSpam = false;
+goCore.on('stimulus:show', ({ stimulus }) => { goStimulus = stimulus; });
+goCore.on('spam', () => { goSpam = true; });
+goCore.start();
+assert(goCore.state.stimulusSequence.filter(t => t.nogo).length === 2, "Частка стимулів 'не натискати' дотримана");
+
+// Натискаємо на всі стимули: go — влучання, no-go — помилки комісії
+for (let i = 0; i < 8; i++) {
+    advanceTime(1300);
+    goCore.registerInput();
+    advanceTime(400);
+}
+
+const goNoGo = goCore.getFinalResults().goNoGo;
+assert(goSpam === false, "Помилка комісії не вважається спамом");
+assert(goNoGo.commissionRate === 1 && goNoGo.omissionRate === 0, "Частки комісій і пропусків");
+assert(goNoGo.goRT.n === 6 && goNoGo.goRT.mean === 300, "Час реакції рахується лише за go-стимулами");
+assert(goNoGo.dPrime === 0.5, `Низька чутливість, коли натискання на все (d′ ${goNoGo.dPrime}, поправка log-linear)`);
+assert(goCore.state.allRounds[0].goNoGo.noGoTrials === 2, "Показники Go/No-Go збережено в деталях раунду");
+
+// Ідеальна поведінка: на no-go не натискаємо
+timers = [];
+goCore.start();
+for (let i = 0; i < 8; i++) {
+    advanceTime(1300);
+    if (!goStimulus.nogo) goCore.registerInput();
+    advanceTime(400);
+}
+const perfect = goCore.getFinalResults();
+assert(perfect.goNoGo.commissionRate === 0 && perfect.goNoGo.dPrime > 2, `Висока чутливість без помилок (d′ ${perfect.goNoGo.dPrime})`);
+assert(perfect.outcomes['correct-rejection'] === 2 && perfect.outcomes.errorRate === 0, "Правильні утримання не є помилками");
+
+
+// ТЕСТ 12: Збереження та відновлення сесії після перезавантаження
+timers = [];
+virtualTime = 0;
+const sessionCore = new ReactionTestCore({ rounds: 3, stimuliCount: 1, minDelay: 1000, maxDelay: 1000, exposureTime: 700 }, timing);
+sessionCore.start();
+advanceTime(1300);
+sessionCore.registerInput();
+advanceTime(400);              // Раунд 1 завершено (300мс)
+sessionCore.startNextRound();  // Раунд 2 почався і "перервався" перезавантаженням
+advanceTime(500);
+
+const snapshot = JSON.parse(JSON.stringify(sessionCore.serialize()));
+assert(snapshot.completedRounds === 1, "Знімок містить лише завершені раунди");
+
+timers = [];
+const resumedCore = new ReactionTestCore({}, timing);
+resumedCore.restore(snapshot);
+assert(resumedCore.config.rounds === 3 && resumedCore.config.stimuliCount === 1, "Конфіг відновлено зі знімка");
+resumedCore.startNextRound();
+assert(resumedCore.state.currentRound === 2, "Перерваний раунд починається спочатку");
+advanceTime(1250);
+resumedCore.registerInput();
+advanceTime(450);
+assert(resumedCore.state.roundAverages.join(',') === '300,250', "Завершені раунди збереглися після відновлення");
+
+let badSnapshot = false;
+try { resumedCore.restore({ version: 99 }); } catch (e) { badSnapshot = true; }
+assert(badSnapshot, "Несумісний знімок відхиляється");
+
+
+// ТЕСТ 13: Кілька незалежних слухачів подій (on / off / once)
+timers = [];
+virtualTime = 0;
+const eventCore = new ReactionTestCore({ rounds: 1, stimuliCount: 1, minDelay: 1000, maxDelay: 1000, exposureTime: 700 }, timing);
+const seen = [];
+const rejections = [];
+let onceCalls = 0;
+let removedCalls = 0;
+const removed = () => { removedCalls++; };
+
+eventCore.on('*', (type) => seen.push(type));
+eventCore.on('input:rejected', ({ reason }) => rejections.push(reason));
+eventCore.once('stimulus:show', () => { onceCalls++; });
+eventCore.on('stimulus:show', removed);
+eventCore.off('stimulus:show', removed);
+eventCore.on('round:start', () => { throw new Error('broken subscriber'); });
+
+const originalError = console.error;
+console.error = () => {};
+eventCore.start();
+console.error = originalError;
+
+advanceTime(500);
+eventCore.registerInput();   // випередження
+advanceTime(800);
+eventCore.registerInput();   // 300мс
+eventCore.registerInput();   // повторне
+let completed = null;
+eventCore.on('test:complete', ({ results }) => { completed = results; });
+advanceTime(400);
+
+const lifecycle = seen.filter(t => t !== 'log' && t !== 'input:rejected' && t !== 'input:accepted');
+assert(lifecycle.join(',') === 'round:start,stimulus:scheduled,stimulus:show,stimulus:onset,stimulus:hide,exposure:end,round:complete,test:complete',
+    `Події життєвого циклу в правильному порядку (${lifecycle.join(',')})`);
+assert(rejections.join(',') === 'anticipation,repeat', "Відхилені натискання мають причину");
+assert(onceCalls === 1 && removedCalls === 0, "once викликається один раз, off знімає слухача");
+assert(completed && completed.grandAverage === 300, "test:complete передає фінальні результати");
+
+const emitter = new Emitter();
+let onceRemovedCalls = 0;
+const onceRemoved = () => { onceRemovedCalls++; };
+emitter.once('ping', onceRemoved);
+emitter.off('ping', onceRemoved);
+emitter.emit('ping');
+assert(onceRemovedCalls === 0, "off знімає одноразового слухача за оригінальною функцією");
+
+const asyncFailures = [];
+console.error = (...args) => asyncFailures.push(args);
+emitter.on('ping', async () => { throw new Error('async subscriber'); });
+emitter.emit('ping');
+await Promise.resolve();
+await Promise.resolve();
+console.error = originalError;
+assert(asyncFailures.length === 1 && asyncFailures[0][1].message === 'async subscriber', "Відхилений проміс асинхронного слухача логується, а не губиться");
+
+
+// ТЕСТ 14: Учасники — вік на дату тестування та ключ для зіставлення
+assert(ageOnDate('2015-03-10', new Date(2025, 2, 10)) === 10, "Рівно 10 років у день народження");
+assert(ageOnDate('2015-03-10', new Date(2025, 2, 9)) === 9.99, "Напередодні дня народження ще 9 повних років");
+assert(ageOnDate('2015-03-10', new Date(2025, 8, 8)) === 10.49, "Дробова частина — частка року від дня народження");
+assert(ageOnDate('2030-01-01', new Date(2025, 0, 1)) === null && ageOnDate('', new Date()) === null, "Некоректна дата дає null");
+assert(participantKey({ name: '  Іваненко   Іван ', gender: 'male' }) === participantKey({ name: 'іваненко іван', gender: 'male' }),
+    "Ключ учасника не залежить від регістру та пробілів");
+
+
+// ТЕСТ 15: Імпорт дампів — перевірка схеми, дублікати, конфлікти, перенумерація id
+const localDb = {
+    participants: [{ id: 1, name: 'Іваненко Іван', gender: 'male', birthDate: '2014-05-01', group: '5-А' }],
+    results: [{ id: 10, participantId: 1, date: '2025-01-10T09:00:00.000Z', user: { name: 'Іваненко Іван', gender: 'male' },
+        results: { grandAverage: 300, roundAverages: [300] } }]
+};
+const laptopDump = createDump(
+    [
+        { id: 7, name: 'іваненко  іван', gender: 'male', birthDate: '2014-05-01' },
+        { id: 8, name: 'Петренко Олена', gender: 'female', birthDate: '2013-02-02' }
+    ],
+    [
+        // Дублікат локального запису
+        { id: 1, participantId: 7, date: '2025-01-10T09:00:00.000Z', user: { name: 'іваненко  іван', gender: 'male' },
+            results: { grandAverage: 300, roundAverages: [300] } },
+        // Той самий час, інші результати — конфлікт
+        { id: 2, participantId: 7, date: '2025-01-10T09:00:00.000Z', user: { name: 'іваненко  іван', gender: 'male' },
+            results: { grandAverage: 310, roundAverages: [310] } },
+        // Новий учасник
+        { id: 3, participantId: 8, date: '2025-01-11T09:00:00.000Z', user: { name: 'Петренко Олена', gender: 'female' },
+            results: { grandAverage: 320, roundAverages: [320] } }
+    ]
+);
+
+const plan = planImport(parseDump(JSON.stringify(laptopDump)), localDb);
+assert(plan.added.length === 1 && plan.skipped.length === 1 && plan.conflicts.length === 1, "План: додано / пропущено / конфлікт");
+assert(plan.newParticipants.length === 1 && plan.newParticipants[0].person.name === 'Петренко Олена', "Новий учасник виявлений");
+assert(plan.conflicts[0].localParticipantId === 1, "Відомий учасник зіставлений з локальним id");
+
+const remapped = remapRecord(plan.added[0], new Map([[plan.added[0].participantKey, 42]]));
+assert(remapped.id === undefined && remapped.participantId === 42, "Запис отримує новий participantId без старого id");
+
+const legacyPlan = planImport(parseDump([{ date: '2024-12-01T10:00:00Z', user: { name: 'Старий Запис', gender: 'male' },
+    results: { grandAverage: 280, roundAverages: [280] } }]), localDb);
+assert(legacyPlan.added.length === 1, "Старий формат (масив результатів) підтримується");
+
+// Повторний імпорт старого дампу (лише вік, без дати народження) не створює нових учасників
+const v1Dump = JSON.stringify([
+    { id: 1, date: '2024-09-10T10:00:00Z', user: { name: 'Тезка Андрій', gender: 'male', age: 10 }, results: { grandAverage: 300, roundAverages: [300] } },
+    { id: 2, date: '2025-09-12T10:00:00Z', user: { name: 'Тезка Андрій', gender: 'male', age: 11 }, results: { grandAverage: 290, roundAverages: [290] } },
+    { id: 3, date: '2024-09-11T10:00:00Z', user: { name: 'Тезка Андрій', gender: 'male', age: 14 }, results: { grandAverage: 260, roundAverages: [260] } }
+]);
+const v1Plan = planImport(parseDump(v1Dump), { participants: [], results: [] });
+assert(v1Plan.added.length === 3 && v1Plan.newParticipants.length === 2,
+    "Без дати народження: той самий учасник через рік збігається, тезка іншого віку — окремий учасник");
+
+// Застосування плану як у commitImport(): учасник зберігається з оціненим роком народження
+const importedDb = { participants: [], results: [] };
+const importedIds = new Map(v1Plan.newParticipants.map(({ key, person }, i) => {
+    importedDb.participants.push({ id: i + 1, ...person });
+    return [key, i + 1];
+}));
+v1Plan.added.forEach((entry, i) => importedDb.results.push({ id: 100 + i, ...remapRecord(entry, importedIds) }));
+const reimportPlan = planImport(parseDump(v1Dump), importedDb);
+assert(reimportPlan.skipped.length === 3 && reimportPlan.added.length === 0 && reimportPlan.newParticipants.length === 0,
+    "Повторний імпорт того самого дампу: усе пропущено, нових учасників немає");
+
+// Учасник, створений без оцінки року (міграція старої бази), знаходиться через свої записи
+const legacyDb = { participants: [{ id: 5, name: 'Тезка Андрій', gender: 'male', birthDate: null }],
+    results: [{ ...JSON.parse(v1Dump)[0], id: 50, participantId: 5 }] };
+const legacyReimport = planImport(parseDump(v1Dump), legacyDb);
+assert(legacyReimport.skipped.length === 1 && legacyReimport.added.find(e => e.record.id === 2).localParticipantId === 5,
+    "Учасник старої бази без дати народження зіставляється за записами");
+
+let invalidDump = null;
+try { parseDump('{"format":"bio-age-dump","version":2,"results":[{"user":{}}]}'); } catch (e) { invalidDump = e; }
+assert(invalidDump instanceof DumpError && invalidDump.problems[0].code === 'record-user' && invalidDump.problems[0].params.index === 1,
+    "Некоректний дамп відхиляється з кодами проблем");
+assert(translate('en', `import.error.${invalidDump.problems[0].code}`, invalidDump.problems[0].params) === 'Record #1: no participant data',
+    "Проблеми дампу — текстом мови інтерфейсу");
+
+
+// ТЕСТ 16: Експорт таблиць — макети summary / trials, CSV для Excel, XLSX-архів
+const exportRecords = [
+    { id: 1, date: '2025-01-10T09:00:00.000Z', user: { name: 'Іваненко; Іван', gender: 'male', age: 10.5, group: '5-А' },
+        results: { mode: 'simple', grandAverage: 301.5, roundAverages: [300, 303],
+            roundsDetails: [{ roundNumber: 1, trials: [
+                { index: 1, stimulusType: null, foreperiod: 1500, outcome: 'hit', rt: 300.29999995, pressCount: 1, jitter: 1.234 },
+                { index: 2, stimulusType: null, foreperiod: 1800, outcome: 'anticipation', rt: null, pressCount: 1, jitter: null }
+            ] }] },
+        bioAge: { normMs: 290, biologicalAge: 11.2, tbr: 1.04, conclusion: 'Норма' } },
+    { id: 2, date: '2024-12-01T10:00:00.000Z', user: { name: 'Старий Запис', gender: 'female', age: 9 },
+        results: { grandAverage: 280, roundAverages: [280], roundsDetails: [{ roundNumber: 1, raw: [270, 290] }] } }
+];
+
+const summary = summaryRows(exportRecords);
+assert(summary.length === 3 && summary[0].includes('Серія 2 (мс)'), "Summary: заголовок з колонками за найдовшим записом");
+assert(summary[2][summary[0].indexOf('Серія 2 (мс)')] === null, "Summary: відсутня серія — порожня клітинка");
+
+assert(summaryRows(exportRecords, 'en')[0].includes('Round 2 (ms)') && summaryRows(exportRecords, 'en')[1][6] === 'M',
+    "Summary: заголовки і стать мовою інтерфейсу");
+
+const trials = trialRows(exportRecords);
+assert(trials.length === 5, "Trials: усі проби нових записів і raw старих");
+assert(trials[1][trials[0].indexOf('Джитер появи (мс)')] === 1.23 && trials[2][trials[0].indexOf('Час реакції (мс)')] === null,
+    "Trials: джитер округлений, невдала проба без часу реакції");
+assert(trials[1][trials[0].indexOf('Час реакції (мс)')] === 300.3 && !JSON.stringify(trialRows(exportRecords, 'en')).includes('29999'),
+    "Trials: дробовий час реакції з performance.now() — до сотих мс");
+
+const csv = toCSV([['ПІБ', 'Середнє'], ['Іваненко; Іван', 301.5], ['Лапки "так"', null]]);
+assert(csv.startsWith('\uFEFF') && csv.includes('\r\n'), "CSV: BOM та CRLF для Excel");
+assert(csv.includes('"Іваненко; Іван";301,5'), "CSV: роздільник ';' у тексті береться в лапки, десяткова кома");
+assert(csv.includes('"Лапки ""так""";'), "CSV: лапки подвоюються, null — порожня клітинка");
+
+const xlsx = toXLSX(summary, 'Сесії');
+const xlsxText = new TextDecoder().decode(xlsx);
+assert(xlsx[0] === 0x50 && xlsx[1] === 0x4B && xlsxText.includes('xl/worksheets/sheet1.xml'), "XLSX: zip-архів з аркушем");
+assert(xlsxText.includes('<v>301.5</v>') && xlsxText.includes('Іваненко; Іван'), "XLSX: числа та текст у клітинках");
+assert(new DataView(xlsx.buffer).getUint32(xlsx.length - 22, true) === 0x06054b50, "XLSX: кінцевий запис центрального каталогу");
+
+const injection = [['ПІБ', 'Клас', 'Зсув'], ['=HYPERLINK("http://x","клік")', '@SUM(A1)', -12], ['+380', '-1', 'Ок']];
+const injectionCsv = toCSV(injection);
+assert(injectionCsv.includes(`"'=HYPERLINK(""http://x"",""клік"")";'@SUM(A1);-12`) && injectionCsv.includes("'+380;'-1;Ок"),
+    "CSV: текст, що починається з = + - @, екранується апострофом; від'ємні числа — ні");
+const injectionXlsx = new TextDecoder().decode(toXLSX(injection));
+assert(!injectionXlsx.includes('<f>') && injectionXlsx.includes('t="inlineStr"><is><t xml:space="preserve">=HYPERLINK'),
+    "XLSX: текст — inline string, формул немає");
+
+
+// ТЕСТ 17: Друкований звіт — гістограма та зміст сторінки
+const bins = histogramBins([210, 240, 249, 260, 330]);
+assert(bins[0].from === 200 && bins[bins.length - 1].to === 350, "Гістограма: межі кратні ширині інтервалу");
+assert(bins.reduce((sum, b) => sum + b.count, 0) === 5 && bins[1].count === 2, "Гістограма: кожне значення в одному інтервалі");
+
+const reportRecord = {
+    id: 5, date: '2025-01-10T09:00:00.000Z',
+    user: { name: 'Іваненко <Іван>', gender: 'male', age: 10.5, group: '5-А' },
+    results: { mode: 'simple', grandAverage: 300, roundAverages: [300, null],
+        scoring: { statistic: 'mean' },
+        roundsDetails: [
+            { roundNumber: 1, raw: [280, 300, 320], count: 3, statistics: { median: 300, sd: 20 } },
+            { roundNumber: 2, raw: [900], excluded: true, count: 1, statistics: null }
+        ] },
+    bioAge: { normMs: 290, biologicalAge: '10.15', tbr: '1.03', conclusion: 'Норма', warnings: [], norms: { id: 'patent-126671', version: 1 } }
+};
+const reportHtml = renderReport(reportRecord);
+assert(reportHtml.includes('Іваненко &lt;Іван&gt;') && !reportHtml.includes('<Іван>'), "Звіт: дані учасника екрануються");
+assert(reportHtml.includes('виключено') && reportHtml.includes('10.15') && reportHtml.includes('Норма'), "Звіт: серії, біологічний вік і висновок");
+assert((reportHtml.match(/<rect /g) || []).length === 2, "Звіт: гістограма лише з реакцій зарахованих серій");
+assert(renderReport({ ...reportRecord, bioAge: null }).includes('не розраховано'), "Звіт без біологічного віку пояснює причину");
+const englishReport = renderReport(reportRecord, { locale: 'en' });
+assert(englishReport.includes('<html lang="en">') && englishReport.includes('Reaction time test report') && englishReport.includes('excluded')
+    && !/[а-яіїєґ]/i.test(englishReport.replaceAll('Іваненко &lt;Іван&gt;', '').replace('5-А', '')), "Звіт мовою інтерфейсу");
+
+
+// ТЕСТ 18: Динаміка учасника — часова шкала, помітні зміни, графіки
+const session = (id, date, age, grandAverage, biologicalAge, conclusion, mode = 'simple') => ({
+    id, date, user: { name: 'Іваненко Іван', gender: 'male', age },
+    results: { mode, grandAverage },
+    bioAge: biologicalAge === null ? null : { biologicalAge: String(biologicalAge), tbr: (age / biologicalAge).toFixed(2), conclusion }
+});
+const timeline = participantTimeline([
+    session(3, '2025-09-01T09:00:00Z', 10.8, 350, 8.8, 'Розвиток уповільнений (БВ < ПВ)'),
+    session(1, '2024-09-01T09:00:00Z', 9.8, 300, 9.9, 'Норма'),
+    session(2, '2025-02-01T09:00:00Z', 10.2, 310, 10.1, 'Норма'),
+    session(4, '2025-10-01T09:00:00Z', 10.9, 500, null, null, 'choice')
+]);
+assert(timeline.length === 3 && timeline.map(p => p.id).join() === '1,2,3', "Часова шкала: лише проста реакція, за датою");
+
+const trendChanges = detectChanges(timeline);
+assert(!trendChanges.some(c => c.to === 1), "Незначні зміни не позначаються");
+assert(['rt-slower', 'conclusion', 'age-gap'].every(kind => trendChanges.some(c => c.to === 2 && c.kind === kind)),
+    "Уповільнення, зміна висновку і розрив БВ/ПВ позначаються");
+
+const maleNorm = normCurve(NormsRegistry.validate(PATENT_126671_TABLE), 'male');
+assert(maleNorm.length === 10 && maleNorm[0].age === 7 && maleNorm[0].ms === 357.86, "Крива норми з таблиці реєстру");
+
+const charts = trendCharts(timeline, maleNorm, trendChanges);
+assert(charts.rt.startsWith('<svg') && charts.rt.includes('Норма') && charts.bioAge.includes('БВ = ПВ'), "Графіки часу реакції та біологічного віку");
+assert((charts.rt.match(/r="5"/g) || []).length === 1, "Сесія з помітною зміною виділена на графіку");
+
+
+// ТЕСТ 19: Пакетне тестування класу — список, черга, підсумок
+const roster = parseRoster('\uFEFFПІБ;Дата народження;Стать;Клас\r\n'
+    + '"Іваненко; Іван";01.05.2014;Ч;5-А\r\n'
+    + 'Петренко Олена;2014-02-30;ж;5-А\r\n'
+    + 'Коваль Марія;2013-11-20;Ж;5-А\r\n'
+    + '"іваненко;  іван";2014-05-01;м;5-А\r\n');
+assert(roster.people.length === 2 && roster.people[0].name === 'Іваненко; Іван' && roster.people[0].birthDate === '2014-05-01',
+    "Список класу: лапки, дата ДД.ММ.РРРР, стать");
+assert(roster.errors.length === 2 && roster.errors[0].code === 'birth-date' && roster.errors[0].params.line === 3
+    && roster.errors[1].code === 'duplicate' && roster.errors[1].params.line === 5,
+    "Список класу: некоректні рядки та повтори відхиляються з номером рядка");
+assert(translate('en', 'roster.error.birth-date', roster.errors[0].params) === 'Row 3: invalid date of birth "2014-02-30"',
+    "Помилки списку класу — текстом мови інтерфейсу");
+assert(parseRoster('Сидоренко Петро,2012-01-15,male,6-Б').people[0].group === '6-Б', "Список без заголовка, роздільник ','");
+
+const batch = createBatch(roster.people, '5-А');
+assert(nextEntryIndex(batch) === 0, "Черга: перший учасник");
+batch.entries[0].status = BATCH_STATUS.RETRY;
+assert(nextEntryIndex(batch) === 1, "Черга: спершу ті, хто не тестувався, потім повтори");
+batch.entries[1].status = BATCH_STATUS.DONE;
+assert(nextEntryIndex(batch) === 0, "Черга: після всіх — повтор після спаму");
+batch.entries[0].status = BATCH_STATUS.SKIPPED;
+assert(nextEntryIndex(batch) === -1 && batchProgress(batch).done === 1 && batchProgress(batch).skipped === 1, "Черга пройдена, прогрес за статусами");
+
+const classStats = classSummary([
+    { results: { grandAverage: 300 }, bioAge: { biologicalAge: '10.00', tbr: '1.00', conclusion: 'Норма' } },
+    { results: { grandAverage: 320 }, bioAge: { biologicalAge: '9.00', tbr: '1.11', conclusion: 'Розвиток уповільнений (БВ < ПВ)' } },
+    { results: { grandAverage: 280 }, bioAge: { biologicalAge: '11.00', tbr: '0.91', conclusion: 'Норма' } },
+    { results: { grandAverage: null }, bioAge: null }
+]);
+assert(classStats.count === 4 && classStats.scored === 3 && classStats.bioAge.mean === 10 && classStats.bioAge.median === 10,
+    "Підсумок класу: середній і медіанний біологічний вік");
+assert(classStats.byConclusion.normal === 2 && classStats.byConclusion.delayed === 1, "Підсумок класу: кількість за кодами висновків (і для старих текстових)");
+
+
+// ТЕСТ 20: Симуляція — синтетичні учасники на віртуальному годиннику
+const rtRandom = createRandom(42);
+const rtSamples = Array.from({ length: 5000 }, () => sampleReactionTime(rtRandom, { mu: 250, sigma: 30, tau: 50 }));
+const rtMean = rtSamples.reduce((a, b) => a + b, 0) / rtSamples.length;
+assert(Math.abs(rtMean - 300) < 5, "Ex-Gaussian: середнє ≈ mu + tau");
+
+const simConfig = { rounds: 2, stimuliCount: 20, minDelay: 750, maxDelay: 1250, minValidPerRound: 5 };
+const ideal = profileFromNorms(12, 'male', { tbr: 1, sigma: 1, tau: 1 }, { missRate: 0, anticipationRate: 0 });
+const simulated = simulateParticipant(ideal, simConfig, { random: createRandom(1) });
+assert(simulated.results.outcomes.hit === 40 && Math.abs(simulated.results.grandAverage - 262) <= 3,
+    "Учасник без помилок: усі реакції зараховано, середнє ≈ норма");
+assert(Math.abs(Number(simulated.bioAge.biologicalAge) - 12) < 0.2, "Істинний ТБР = 1 дає біологічний вік ≈ паспортний");
+
+const spammer = simulateParticipant({ ...ideal, spamRate: 1, maxRetries: 2 }, simConfig, { random: createRandom(1) });
+assert(spammer.aborted && spammer.spamEvents === 3 && spammer.results === null, "Спам: раунд повторюється maxRetries разів, потім учасника відсіяно");
+
+const cohortA = simulateCohort((i, random) => profileFromNorms(10, random() < 0.5 ? 'male' : 'female'), simConfig, { count: 5, seed: 9 });
+const cohortB = simulateCohort((i, random) => profileFromNorms(10, random() < 0.5 ? 'male' : 'female'), simConfig, { count: 5, seed: 9 });
+assert(JSON.stringify(cohortA.summary) === JSON.stringify(cohortB.summary) && cohortA.summary.completed === 5,
+    "Симуляція детермінована при однаковому seed");
+assert(cohortA.summary.tbrError && Math.abs(cohortA.summary.tbrError.mean) < 0.1, "Зведення: похибка оцінки ТБР відносно істинного");
+const early = simulateCohort(() => profileFromNorms(12, 'male', {}, { missRate: 0, anticipationRate: 0.3 }), simConfig, { count: 10, seed: 3 });
+const earlyRate = early.summary.anticipations.trials / early.summary.anticipations.total;
+assert(Math.abs(earlyRate - 0.3) < 0.05, `Частка проб з випередженням відтворює задану (0.3), отримано ${earlyRate.toFixed(3)}`);
+
+
+// ТЕСТ 21: Протокол — перевірка значень, пресети
+assert(BUILTIN_PRESETS.every(p => validateProtocol(p, { minValidPerRound: SCORING_DEFAULTS.minValidPerRound }).length === 0), "Вбудовані пресети коректні");
+const defaultCore = new ReactionTestCore({ ...coreProtocol(BUILTIN_PRESETS[0]), ...SCORING_DEFAULTS });
+assert(!('breakDuration' in coreProtocol(BUILTIN_PRESETS[0])) && defaultCore.config.minDelay === 750 && defaultCore.config.minValidPerRound === 10,
+    "Конфіг ядра: протокол без перерви і спільні правила підрахунку");
+const badProtocol = { ...BUILTIN_PRESETS[0], rounds: 0, exposureTime: '' };
+const badErrors = validateProtocol(badProtocol);
+assert(badErrors.length === 2 && badErrors.some(e => e.includes('Кількість серій')) && badErrors.some(e => e.includes('ціле число')),
+    "Поза діапазоном і порожні значення відхиляються");
+assert(validateProtocol({ ...BUILTIN_PRESETS[0], minDelay: 2000, maxDelay: 1000 })[0].includes('меншою за мінімальну'), "Діапазон пауз перевіряється");
+assert(validateProtocol({ ...BUILTIN_PRESETS[0], stimuliCount: 8 }, { minValidPerRound: 10 }).length === 1, "Стимулів не менше мінімуму зарахованих реакцій");
+const formValues = protocolValues({ ...BUILTIN_PRESETS[1], rounds: '4', name: 'x' });
+assert(formValues.rounds === 4 && !('name' in formValues) && Object.keys(formValues).length === PROTOCOL_FIELDS.length, "Значення форми приводяться до чисел");
+const protocolTable = summaryRows([{ ...exportRecords[0], protocol: { name: BUILTIN_PRESETS[0].name } }]);
+assert(protocolTable[1][protocolTable[0].indexOf('Протокол')] === BUILTIN_PRESETS[0].name, "Протокол у зведеній таблиці експорту");
+
+
+// ТЕСТ 22: Тренувальний блок — окремо від результату, але зберігається в записі
+timers = [];
+virtualTime = 0;
+const practiceCore = new ReactionTestCore({ rounds: 1, stimuliCount: 1, practiceStimuli: 2, minDelay: 1000, maxDelay: 1000, exposureTime: 700 }, timing);
+const practiceEvents = [];
+let practiceDone = null;
+practiceCore.on('exposure:end', ({ practice, round, trial }) => practiceEvents.push(`${round}:${practice}:${trial.outcome}`));
+practiceCore.on('practice:complete', ({ practice }) => { practiceDone = practice; });
+
+practiceCore.startPractice();
+advanceTime(1150);
+practiceCore.registerInput();   // 150мс
+advanceTime(550);               // кінець експозиції першого стимулу
+advanceTime(500);
+practiceCore.registerInput();   // випередження на другому стимулі
+advanceTime(1200);
+assert(practiceDone && practiceDone.outcomes.hit === 1 && practiceDone.outcomes.anticipation === 1 && practiceDone.raw[0] === 150,
+    "Тренування: підсумок з пробами та реакціями");
+assert(practiceEvents.join() === '0:true:hit,0:true:anticipation', "Події тренування позначені practice і раундом 0");
+
+practiceCore.startNextRound();
+advanceTime(1400);
+practiceCore.registerInput();   // 400мс
+advanceTime(400);
+const practiceFinal = practiceCore.getFinalResults();
+assert(practiceFinal.grandAverage === 400 && practiceFinal.roundsDetails.length === 1 && practiceFinal.outcomes.total === 1,
+    "Тренування не входить у результат і статистику");
+assert(practiceFinal.practice === practiceDone && practiceCore.serialize().practice.raw[0] === 150, "Тренування зберігається в результаті для довідки");
+
+let practiceBlocked = null;
+try { practiceCore.startPractice(); } catch (e) { practiceBlocked = e.message; }
+assert(practiceBlocked && practiceBlocked.includes('before the first round'), "Тренування можливе лише до першої серії");
+
+
+// ТЕСТ 23: Слухова модальність — момент появи з аудіогодинника, окремі нормативи
+timers = [];
+virtualTime = 0;
+// Тон прозвучить через 30мс після виклику (затримка аудіовиводу)
+assert(audioOnsetTime({ contextTime: 2, performanceTime: 5000 }, 2.01, 0.02) === 5030, "Момент тону на шкалі performance.now");
+
+const tones = [];
+const audioCore = new ReactionTestCore({ rounds: 1, stimuliCount: 1, minDelay: 1000, maxDelay: 1000, exposureTime: 700, minValidPerRound: 1, modality: 'auditory' }, {
+    ...timing,
+    requestAudio: (onOnset) => { tones.push(virtualTime); onOnset(virtualTime + 30); return tones.length; },
+    cancelAudio: () => {}
+});
+let audioResults = null;
+audioCore.on('test:complete', ({ results }) => { audioResults = results; });
+audioCore.startNextRound();
+advanceTime(1200);
+audioCore.registerInput();   // 200мс від виклику, 170мс від реального звуку
+advanceTime(600);
+assert(tones.length === 1 && tones[0] === 1000, "Слуховий стимул відтворюється через requestAudio");
+assert(audioResults && audioResults.modality === 'auditory' && audioResults.grandAverage === 170, "Час реакції рахується від моменту звучання тону");
+
+// Тон заплановано на 30мс вперед: натискання до нього — випередження, вікно відповіді — від звучання
+timers = [];
+virtualTime = 0;
+let lateResults = null;
+const lateCore = new ReactionTestCore({ rounds: 1, stimuliCount: 1, minDelay: 1000, maxDelay: 1000, exposureTime: 700, minValidPerRound: 1, modality: 'auditory' }, {
+    ...timing,
+    requestAudio: (onOnset) => { onOnset(virtualTime + 30); return 1; },
+    cancelAudio: () => {}
+});
+lateCore.on('test:complete', ({ results }) => { lateResults = results; });
+lateCore.startNextRound();
+advanceTime(1010);
+lateCore.registerInput();    // 20мс до звуку
+advanceTime(710);
+lateCore.registerInput();    // 690мс від звуку — ще в межах експозиції
+advanceTime(100);
+const lateTrial = lateResults && lateResults.roundsDetails[0].trials[0];
+assert(lateTrial && lateTrial.presses[0].type === 'anticipation' && lateTrial.outcome === 'hit' && lateTrial.rt === 690,
+    "Затримка аудіовиводу не скорочує вікно відповіді і не потрапляє в час реакції");
+
+let auditoryChoice = null;
+try { new ReactionTestCore({ modality: 'auditory', mode: 'choice' }, timing).startNextRound(); } catch (e) { auditoryChoice = e.message; }
+assert(auditoryChoice && auditoryChoice.includes('simple mode only'), "Слухова модальність — лише проста реакція");
+
+let modalityMismatch = null;
+try { ReactionTestCore.calculateBioAge(170, 10, 'male', { modality: 'auditory' }); } catch (e) { modalityMismatch = e; }
+assert(modalityMismatch && modalityMismatch.message.includes('visual'), "Зорові нормативи не застосовуються до слухового тесту");
+assert(translate('en', `norms.error.${modalityMismatch.code}`, modalityMismatch.params) === 'the norms table “patent-126671” was built for a different stimulus type.',
+    "Невідповідність модальності — кодом для тексту мовою інтерфейсу");
+
+const auditoryRegistry = new NormsRegistry();
+auditoryRegistry.register({ ...PATENT_126671_TABLE, id: 'auditory-test', modality: 'auditory' });
+assert(ReactionTestCore.calculateBioAge(170, 10, 'male', { registry: auditoryRegistry, tableId: 'auditory-test', modality: 'auditory' }).norms.id === 'auditory-test',
+    "Слухові нормативи з реєстру");
+
+const mixedRecords = [
+    { id: 1, date: '2024-01-01', user: { age: 10 }, results: { mode: 'simple', grandAverage: 300 } },
+    { id: 2, date: '2024-02-01', user: { age: 10 }, results: { mode: 'simple', modality: 'auditory', grandAverage: 180 } }
+];
+assert(participantTimeline(mixedRecords).length === 1 && participantTimeline(mixedRecords, 'auditory')[0].id === 2, "Динаміка не змішує модальності");
+assert(classSummary(mixedRecords).count === 1 && classSummary(mixedRecords, 'auditory').grandAverage.mean === 180, "Підсумок класу — окремо для модальності");
+
+
+// ТЕСТ 24: Пристрої вводу — власна мітка події, компенсація затримки, калібрування
+timers = [];
+virtualTime = 0;
+assert(inputDevice({ type: 'keydown' }) === 'keyboard' && inputDevice({ type: 'touchstart' }) === 'touch'
+    && inputDevice({ type: 'pointerdown', pointerType: 'mouse' }) === 'mouse' && inputDevice({ type: 'gamepad' }) === 'gamepad'
+    && inputDevice({ type: 'focus' }) === null, "Пристрій визначається за типом події");
+
+const deviceCore = new ReactionTestCore({ rounds: 1, stimuliCount: 2, minDelay: 1000, maxDelay: 1000, exposureTime: 700, inputOffsets: { touch: 40 } }, timing);
+let deviceResults = null;
+deviceCore.on('test:complete', ({ results }) => { deviceResults = results; });
+deviceCore.startNextRound();
+advanceTime(1000);
+deviceCore.registerInput(1300, null, 'touch');      // подія на 300мс, затримка дотику 40мс
+advanceTime(700);
+advanceTime(1000);
+deviceCore.registerInput(2950, null, 'keyboard');   // клавіатура без компенсації
+advanceTime(700);
+const [touchTrial, keyTrial] = deviceResults.roundsDetails[0].trials;
+assert(deviceResults.roundsDetails[0].raw.join() === '260,250', "Затримка пристрою віднімається від часу реакції");
+assert(touchTrial.device === 'touch' && touchTrial.eventTime === 1300 && touchTrial.inputOffset === 40 && touchTrial.presses[0].device === 'touch',
+    "Проба зберігає пристрій, власну мітку події та компенсацію");
+assert(keyTrial.device === 'keyboard' && keyTrial.inputOffset === 0, "Пристрій без калібрування не компенсується");
+assert(deviceResults.inputOffsets.touch === 40, "Компенсація зберігається в результаті");
+assert(trialRows([{ id: 1, date: '2024-01-01', user: {}, results: deviceResults }])[1].slice(-2).join() === 'touch,40', "Пристрій у таблиці проб");
+
+// Метроном 600мс: клавіатура в середньому на 20мс раніше такту, дотик — на 15мс пізніше (затримка 35мс)
+const calibrationBeats = Array.from({ length: 10 }, (_, i) => 1000 + i * 600);
+const calibrationTaps = [
+    ...calibrationBeats.map((beat, i) => ({ device: 'keyboard', timestamp: beat - 20 + (i % 2 ? 3 : -3) })),
+    ...calibrationBeats.map((beat, i) => ({ device: 'touch', timestamp: beat + 15 + (i % 2 ? 4 : -4) })),
+    { device: 'touch', timestamp: 1300 }   // посередині між тактами — відкидається
+];
+assert(tapAsynchronies(calibrationTaps, calibrationBeats, 600).touch.length === 10, "Натискання поза тактом не враховуються");
+const calibrated = estimateOffsets(calibrationTaps, calibrationBeats, { interval: 600 });
+assert(calibrated.offsets.keyboard === 0 && calibrated.offsets.touch === 35 && calibrated.devices.touch.count === 10,
+    "Затримка дотику відносно клавіатури");
+assert(Object.keys(estimateOffsets(calibrationTaps.filter(t => t.device === 'touch'), calibrationBeats, { interval: 600 }).offsets).length === 0,
+    "Без прогону клавіатури затримки не оцінюються");
+
+
+// ТЕСТ 25: Достовірність серії — випередження, ритмічні натискання, пропуски поспіль
+// Проби з паузами 750–1250 мс; press — момент натискання від початку проби, null — пропуск
+const validityTrials = (presses) => {
+    let onset = 0;
+    return presses.map((press, i) => {
+        onset += 700 + 750 + (i * 137) % 500;
+        const rt = press === null ? null : press;
+        return {
+            plannedOnset: onset, onset, nogo: false,
+            outcome: rt === null ? 'miss' : (rt < 0 ? 'anticipation' : 'hit'),
+            presses: rt === null ? [] : [{ offset: rt, type: rt < 0 ? 'anticipation' : 'hit' }]
+        };
+    });
+};
+const honest = analyzeRound(validityTrials([250, 310, 270, 340, 230, 290, 260, 400, 280, 300, 240, 330]));
+assert(honest.verdict === 'valid' && honest.reasons.length === 0 && honest.metrics.rhythmRatio > 1, "Звичайні реакції — серія достовірна");
+
+// Натискання кожні 1700 мс незалежно від стимулу
+const rhythmicTrials = validityTrials(Array(12).fill(0)).map((trial, i) => {
+    const offset = 1700 * (i + 1) + 200 - trial.onset;
+    return { ...trial, outcome: offset < 0 ? 'anticipation' : 'hit', presses: [{ offset, type: offset < 0 ? 'anticipation' : 'hit' }] };
+});
+const rhythmic = analyzeRound(rhythmicTrials);
+assert(rhythmic.verdict === 'invalid' && rhythmic.reasons.some(r => r.code === 'rhythm'), "Ритмічні натискання виявляються");
+
+const anticipating = analyzeRound(validityTrials([250, -100, 270, -50, 230, 290, -200, 280, 300, 240]));
+assert(anticipating.verdict === 'invalid' && anticipating.metrics.anticipations === 3, "Часті випередження — серія недостовірна");
+
+const inattentive = analyzeRound(validityTrials([250, 310, null, null, null, 290, 260, 300, 280, 270]));
+assert(inattentive.verdict === 'questionable' && inattentive.reasons[0].code === 'miss-run' && inattentive.metrics.missRun === 3,
+    "Пропуски поспіль — серія сумнівна");
+assert(worstVerdict(['valid', 'questionable', 'valid']) === 'questionable' && worstVerdict([]) === 'valid', "Найгірший вердикт");
+
+timers = [];
+virtualTime = 0;
+const validityCore = new ReactionTestCore({ rounds: 1, stimuliCount: 2, minDelay: 1000, maxDelay: 1000, exposureTime: 700 }, timing);
+let validityResults = null;
+validityCore.on('test:complete', ({ results }) => { validityResults = results; });
+validityCore.startNextRound();
+advanceTime(2700);
+advanceTime(1700);
+assert(validityResults.roundsDetails[0].validity.metrics.missRun === 2 && validityResults.validity === 'valid',
+    "Вердикт серії і тесту зберігається в результаті");
+
+
+// ТЕСТ 26: Переривання серії (втрата фокусу) — анулювання спроби і запис у деталізацію
+timers = [];
+virtualTime = 0;
+const guardedCore = new ReactionTestCore({ rounds: 1, stimuliCount: 1, minDelay: 1000, maxDelay: 1000, exposureTime: 700 }, timing);
+const guardEvents = [];
+let guardedResults = null;
+guardedCore.on('interrupted', ({ reason, round }) => guardEvents.push(`${round}:${reason}`));
+guardedCore.on('test:complete', ({ results }) => { guardedResults = results; });
+
+assert(guardedCore.interruptRound('blur') === false, "Поза раундом переривання ігнорується");
+guardedCore.startNextRound();
+advanceTime(1100);
+assert(guardedCore.interruptRound('hidden') === true && guardEvents.join() === '1:hidden', "Переривання зупиняє раунд і повідомляє причину");
+advanceTime(5000);
+assert(guardedResults === null && timers.length === 0, "Після переривання таймери не йдуть і пропуски не рахуються");
+
+guardedCore.retryCurrentRound();
+advanceTime(1200);
+guardedCore.registerInput();   // 200мс
+advanceTime(600);
+assert(guardedResults && guardedResults.grandAverage === 200, "Після повтору серія проходить заново");
+assert(guardedResults.roundsDetails[0].interruptions.length === 1 && guardedResults.roundsDetails[0].interruptions[0].reason === 'hidden',
+    "Переривання записане в деталізацію серії");
+
+
+// ТЕСТ 27: Локалізація — каталоги, коди висновків, формат дат і чисел
+assert(translate('en', 'result.title') === 'Results' && translate('uk', 'result.title') === 'Результати', "Текст з каталогу локалі");
+assert(translate('en', 'instruction.round', { round: 2, total: 3 }) === 'Round 2 of 3', "Підстановка параметрів");
+assert(translate('fr', 'result.title') === 'Результати' && translate('en', 'no.such.key') === 'no.such.key',
+    "Невідома локаль — українська, невідомий ключ — сам ключ");
+assert(detectLocale(['en-US', 'uk']) === 'en' && detectLocale(['de-DE']) === 'uk', "Мова з налаштувань браузера");
+
+const coded = ReactionTestCore.calculateBioAge(300, 10, 'male');
+assert(['normal', 'accelerated', 'delayed'].includes(coded.conclusion), `Ядро повертає код висновку (${coded.conclusion})`);
+assert(ReactionTestCore.conclusionCode('Розвиток прискорений (БВ > ПВ)') === 'accelerated' && ReactionTestCore.conclusionCode('delayed') === 'delayed'
+    && ReactionTestCore.conclusionCode(undefined) === null, "Текстові висновки старих записів перетворюються на коди");
+assert(timeline[2].conclusion === 'delayed', "Часова шкала динаміки містить коди висновків");
+
+const conclusionChange = trendChanges.find(c => c.kind === 'conclusion');
+assert(conclusionChange.message === 'Висновок змінився: «Норма» → «Розвиток уповільнений (БВ < ПВ)»'
+    && changeText(conclusionChange, 'en') === 'Conclusion changed: “Normal” → “Delayed development (BA < CA)”', "Зміни динаміки будь-якою мовою");
+assert(!('message' in inattentive.reasons[0])
+    && translate('uk', `validity.reason.${inattentive.reasons[0].code}`, inattentive.reasons[0].params) === 'Пропущено стимулів поспіль: 3'
+    && translate('en', `validity.reason.${inattentive.reasons[0].code}`, inattentive.reasons[0].params) === 'Stimuli missed in a row: 3',
+    "Причини недостовірності будь-якою мовою");
+assert(trendCharts(timeline, maleNorm, trendChanges, 'en').rt.includes('Mean reaction time'), "Підписи графіків мовою локалі");
+
+assert(formatNumber(1234.5, 'uk', 1).replace(/\s/g, ' ') === '1 234,5' && formatNumber(1234.5, 'en', 1) === '1,234.5' && formatNumber(null, 'en') === '—',
+    "Числа з роздільниками локалі");
+const localDate = new Date(2025, 8, 1, 9, 5);
+assert(formatDate(localDate, 'uk') === '01.09.2025' && formatDate(localDate, 'en') === '01/09/2025' && formatDate('', 'uk') === '—',
+    "Дати у форматі локалі");
+
+
+// ТЕСТ 28: Офлайн-кеш — sw.js кешує всі модулі застосунку і файли, на які посилаються сторінка та маніфест
+const precacheSource = readFileSync(new URL('./sw.js', import.meta.url), 'utf8');
+const precached = new Set([...precacheSource.match(/PRECACHE_ASSETS = \[([\s\S]*?)\]/)[1].matchAll(/'([^']+)'/g)].map(m => m[1]));
+
+const appModules = new Set();
+const collectImports = (file) => {
+    if (appModules.has(file)) return;
+    appModules.add(file);
+    const source = readFileSync(new URL(`./${file}`, import.meta.url), 'utf8');
+    for (const [, dependency] of source.matchAll(/^import .* from '\.\/([^']+)';$/gm)) collectImports(dependency);
+};
+collectImports('app.js');
+assert([...appModules].every(file => precached.has(file)), `Усі модулі застосунку в кеші (${[...appModules].filter(f => !precached.has(f)).join(', ')})`);
+
+const pageSource = readFileSync(new URL('./index.html', import.meta.url), 'utf8');
+const pageAssets = [...pageSource.matchAll(/(?:src|href)="([^"]+)"/g)].map(m => m[1]);
+const manifest = JSON.parse(readFileSync(new URL('./manifest.webmanifest', import.meta.url), 'utf8'));
+assert(pageAssets.every(url => !/^https?:/.test(url)), "Сторінка не завантажує нічого з мережі");
+assert([...pageAssets, ...manifest.icons.map(icon => icon.src)].every(url => precached.has(url)), "Стилі, Alpine, маніфест та іконки в кеші");
+assert([...precached].filter(url => url !== './').every(url => existsSync(new URL(`./${url}`, import.meta.url))), "Усі файли зі списку кешу існують");
+
+
+// ТЕСТ 29: Історія — поля пошуку, фільтри і межі індексів
+const historyRecord = {
+    date: '2025-09-01T09:05:00',
+    user: { name: 'Петренко Іван', group: '5-А', age: 11.6, gender: 'male' },
+    results: { grandAverage: 305, roundAverages: [305] },
+    bioAge: { biologicalAge: '12.40', conclusion: 'Розвиток прискорений (БВ > ПВ)' }
+};
+const historyFields = searchFields(historyRecord);
+assert(historyFields.text === 'петренко іван 5-а' && historyFields.bioAge === 12.4 && historyFields.conclusion === 'accelerated',
+    "Поля пошуку: текст у нижньому регістрі, число замість рядка, код замість старого висновку");
+const bareFields = searchFields({ date: new Date(), user: { name: 'Без Віку' }, results: {} });
+assert(bareFields.age === -Infinity && bareFields.grandAverage === -Infinity && bareFields.conclusion === NO_CONCLUSION,
+    "Поля без значення: -Infinity і 'без висновку'");
+assert(withSearchFields(historyRecord).date instanceof Date, "Дата з дампу приводиться до Date");
+
+const filtersWith = (values) => ({ ...emptyFilters(), ...values });
+assert(matchesFilters(historyRecord, filtersWith({ query: ' 5-а ' })) && !matchesFilters(historyRecord, filtersWith({ query: 'сидоренко' })),
+    "Пошук за ПІБ або класом");
+assert(matchesFilters(historyRecord, filtersWith({ gender: 'male', conclusion: 'accelerated' }))
+    && !matchesFilters(historyRecord, filtersWith({ conclusion: NO_CONCLUSION })), "Фільтри статі та висновку");
+assert(matchesFilters(historyRecord, filtersWith({ ageMin: '11', ageMax: '11' })) && !matchesFilters(historyRecord, filtersWith({ ageMax: '10' }))
+    && !matchesFilters({ ...historyRecord, user: { name: 'Без Віку' } }, filtersWith({ ageMin: '5' })),
+    "Вік у повних роках; запис без віку не проходить фільтр віку");
+assert(matchesFilters(historyRecord, filtersWith({ dateFrom: '2025-09-01', dateTo: '2025-09-01' }))
+    && !matchesFilters(historyRecord, filtersWith({ dateTo: '2025-08-31' })), "Період включає обидва дні");
+
+const ageRange = sortRange('age', filtersWith({ ageMax: '11' }));
+assert(ageRange.lower === null && ageRange.upper === 12 && ageRange.upperOpen, "Фільтр віку звужує курсор по індексу віку");
+assert(sortRange('name', filtersWith({ ageMax: '11' })) === null && sortRange('date', emptyFilters()) === null,
+    "Без фільтра за полем сортування обходиться весь індекс");
+assert(pageCount(0) === 1 && pageCount(25) === 1 && pageCount(26) === 2, "Кількість сторінок");
+
+const memoryHistory = [
+    { ...historyRecord, id: 1 },
+    { ...historyRecord, id: 2, date: '2025-09-02T10:00:00', results: { grandAverage: 280 } },
+    { ...historyRecord, id: 3, date: '2025-09-03T10:00:00', user: { ...historyRecord.user, gender: 'female' }, results: { grandAverage: 280 } }
+].map(withSearchFields);
+const byRt = queryRecords(memoryHistory, { sort: { field: 'grandAverage', direction: 'asc' }, limit: 2 });
+assert(byRt.total === 3 && byRt.ids.join() === '2,3,1' && byRt.records.length === 2, "Сторінка в пам'яті: сортування, за рівності — за id");
+const newestMale = queryRecords(memoryHistory, { filters: filtersWith({ gender: 'male' }), limit: 1 });
+assert(newestMale.total === 2 && newestMale.records[0].id === 2, "Сторінка в пам'яті: фільтр і нові зверху за замовчуванням");
+
+
+// ТЕСТ 30: Режим приватності — псевдоніми, шифрування і анонімізований експорт
+assert(/^P-[2-9A-HJ-NP-Z]{6}$/.test(participantCode()) && participantCode() !== participantCode(), "Код учасника без схожих символів");
+
+const { vault, keys } = await createVault('шкільний пароль', { iterations: 1000 });
+const storedRecord = await sealRecord(keys.publicKey, { ...historyRecord, id: 7, participantId: 4, search: historyFields }, 'P-TEST42');
+assert(Object.keys(storedRecord).sort().join() === 'code,date,id,participantId,sealed' && storedRecord.date instanceof Date,
+    "Запечатаний запис: відкриті лише id, дата, учасник і код");
+assert(!new TextDecoder().decode(storedRecord.sealed.data).includes('Петренко'), "ПІБ не зберігається відкритим текстом");
+
+let wrongPassphraseRejected = false;
+try {
+    await unlockVault(vault, 'чужий пароль');
+} catch (e) {
+    wrongPassphraseRejected = true;
+}
+assert(wrongPassphraseRejected, "Невірний пароль не відкриває сховище");
+
+const unlocked = await unlockVault(vault, 'шкільний пароль');
+const person = { name: 'Петренко Іван', birthDate: '2014-01-15', gender: 'male', group: '5-А' };
+const reopened = await openRecord(unlocked.privateKey, storedRecord, person);
+assert(reopened.id === 7 && reopened.user.name === 'Петренко Іван' && reopened.user.birthDate === '2014-01-15'
+    && reopened.results.grandAverage === 305 && reopened.search === undefined, "Розпечатаний запис з ПІБ з реєстру учасників");
+assert((await openRecord(unlocked.privateKey, storedRecord, null)).user.name === 'P-TEST42', "Без учасника замість ПІБ — код");
+
+const storedPerson = await sealParticipant(keys.publicKey, { id: 4, code: 'P-TEST42', key: 'петренко іван|male|2014-01-15', ...person });
+assert(storedPerson.key === undefined && storedPerson.code === 'P-TEST42' && (await openParticipant(unlocked.privateKey, storedPerson)).name === 'Петренко Іван',
+    "Учасник: ПІБ зашифровано, код відкритий");
+
+const anonymous = anonymize([{ id: 4, code: 'P-TEST42', ...person }], [reopened, { ...reopened, id: 8, participantId: null }]);
+assert(!JSON.stringify(anonymous).includes('Петренко') && !JSON.stringify(anonymous).includes('2014-01-15') && !JSON.stringify(anonymous).includes('5-А'),
+    "Анонімізований експорт без ПІБ, дати народження і класу");
+assert(anonymous.results[0].user.name === 'P-TEST42' && /^P-/.test(anonymous.results[1].user.name) && anonymous.participants.length === 1,
+    "Учасники під кодами; запис без учасника отримує код експорту");
+assert(parseDump(createDump(anonymous.participants, anonymous.results)).results.length === 2 && summaryRows(anonymous.results)[1][2] === 'P-TEST42',
+    "Анонімізований набір імпортується і експортується в таблиці");
+const preciseBioAge = ReactionTestCore.calculateBioAge(305, 11.6, 'male', { interpolate: true, outOfRange: 'clamp' });
+const [coarse] = anonymize([{ id: 4, code: 'P-TEST42', ...person }], [{ ...reopened, date: new Date(2025, 8, 17, 9, 5), bioAge: preciseBioAge }]).results;
+const coarseDate = new Date(coarse.date);
+assert(coarse.user.age === 11 && coarse.bioAge.chronologicalAge === 11 && coarse.bioAge.norms.tableAge === 11 && coarse.bioAge.normMs === undefined
+    && !JSON.stringify(coarse).includes('11.6'), "Анонімізований експорт: вік лише в повних роках, інтерпольованого нормативу немає");
+assert(coarseDate.getFullYear() === 2025 && coarseDate.getMonth() === 8 && coarseDate.getDate() === 1 && coarseDate.getHours() === 0
+    && coarse.bioAge.biologicalAge === Number(preciseBioAge.biologicalAge).toFixed(1),
+    "Анонімізований експорт: дата тестування до місяця, біологічний вік до десятих");
+
+// Мок IndexedDB у пам'яті — лише те, що потрібно db.js для нової бази (без курсорів і перевірки індексів).
+// Запити завершуються мікрозадачами, транзакція — коли виконано всі її запити
+function memoryIndexedDB() {
+    const stores = new Map();
+    const transaction = () => {
+        const tx = { pending: 0, error: null };
+        // Перервана транзакція відкочує всі сховища до стану на її початку
+        const snapshot = new Map([...stores].map(([name, store]) => [name, { records: new Map(store.records), lastId: store.lastId }]));
+        const rollback = () => snapshot.forEach((saved, name) => Object.assign(stores.get(name), saved));
+        const request = (compute) => {
+            const req = {};
+            tx.pending++;
+            queueMicrotask(() => {
+                try {
+                    req.result = compute();
+                    req.onsuccess?.({ target: req });
+                } catch (e) {
+                    req.error = tx.error = e;
+                    req.onerror?.({ target: req });
+                }
+                if (--tx.pending === 0) queueMicrotask(() => (tx.error ? (rollback(), tx.onabort?.()) : tx.oncomplete?.()));
+            });
+            return req;
+        };
+        tx.objectStore = (name) => {
+            const store = stores.get(name);
+            const put = (value) => request(() => {
+                const id = value.id ?? ++store.lastId;
+                if (typeof id === 'number') store.lastId = Math.max(store.lastId, id);
+                store.records.set(id, structuredClone({ ...value, id }));
+                return id;
+            });
+            return {
+                get: (id) => request(() => structuredClone(store.records.get(id))),
+                getAll: () => request(() => [...store.records.values()].map(value => structuredClone(value))),
+                put,
+                add: put,
+                delete: (id) => request(() => store.records.delete(id) && undefined),
+                createIndex: () => {}
+            };
+        };
+        return tx;
+    };
+    const database = {
+        createObjectStore: (name) => {
+            stores.set(name, { records: new Map(), lastId: 0 });
+            return { createIndex: () => {} };
+        },
+        transaction
+    };
+    let version = 0;
+    return {
+        stores,
+        open: (name, newVersion) => {
+            const req = {};
+            queueMicrotask(() => {
+                if (newVersion > version) {
+                    req.onupgradeneeded({ target: { result: database, transaction: transaction() }, oldVersion: version });
+                    version = newVersion;
+                }
+                req.onsuccess({ target: { result: database } });
+            });
+            return req;
+        }
+    };
+}
+
+// Незавершена сесія і список класу в сховищі sessions: у режимі приватності без ПІБ, дати народження і класу
+globalThis.indexedDB = memoryIndexedDB();
+const rawSessions = () => JSON.stringify([...globalThis.indexedDB.stores.get('sessions').records.values()]);
+const leaks = () => ['Петренко', 'Коваль', '2014-01-15', '5-А'].filter(text => rawSessions().includes(text));
+const pupil = { name: 'Петренко Іван', birthDate: '2014-01-15', gender: 'male', group: '5-А' };
+const pupilSession = (completedRounds) => ({ user: { ...pupil, participantId: 1, age: 10 }, mode: 'simple',
+    core: { completedRounds, config: { rounds: 3 } }, breakEndsAt: null });
+
+await db.loadPrivacy();
+await db.saveParticipant(pupil);
+await db.saveSession(pupilSession(1));
+await db.saveBatch(createBatch([pupil, { ...pupil, name: 'Коваль Марія', gender: 'female' }], '5-А клас'));
+assert(leaks().length === 4, "Без режиму приватності сесія і список класу зберігаються як є");
+
+await db.enablePrivacy('шкільний пароль');
+assert(leaks().length === 0, "Увімкнення приватності запечатує наявні сесію і список класу");
+
+db.lock();
+await db.saveSession(pupilSession(2));
+const lockedSession = await db.getSession();
+assert(leaks().length === 0 && /^P-/.test(lockedSession.user.name) && lockedSession.user.age === 10 && lockedSession.core.completedRounds === 2,
+    "Сесія при заблокованій історії: у сховищі лише код учасника, продовжити можна без пароля");
+let batchOpened = true;
+try {
+    await db.getBatch();
+} catch (e) {
+    batchOpened = false;
+}
+assert(!batchOpened && await db.hasLockedBatch(), "Запечатаний список класу без пароля не читається");
+
+await db.unlock('шкільний пароль');
+const unlockedBatch = await db.getBatch();
+assert(unlockedBatch.name === '5-А клас' && unlockedBatch.entries[1].person.name === 'Коваль Марія'
+    && (await db.getSession()).user.name === 'Петренко Іван' && (await db.getSession()).user.group === '5-А',
+    "Після розблокування — учні списку класу і ПІБ у сесії");
+
+await db.disablePrivacy();
+assert(leaks().length === 4 && !rawSessions().includes('"sealed"'), "Вимкнення приватності розпечатує сесію і список класу");
+
+// Імпорт однією транзакцією: нові учасники і їхні записи — разом або жодного
+const importedEntry = (name, extra = {}) => ({
+    participantKey: participantKey({ name, gender: 'female', birthDate: '2013-03-01' }),
+    record: { id: 7, date: '2024-03-01T10:00:00', mode: 'simple', user: { name, gender: 'female', birthDate: '2013-03-01', age: 11 }, ...extra }
+});
+const storeSize = (name) => globalThis.indexedDB.stores.get(name).records.size;
+const participantsBefore = storeSize('participants');
+const resultsBefore = storeSize('results');
+const marta = importedEntry('Шевчук Марта');
+await db.importEntries([{ key: marta.participantKey, person: { name: 'Шевчук Марта', gender: 'female', birthDate: '2013-03-01', group: '' } }], [marta]);
+const martaId = (await db.getParticipants()).find(p => p.name === 'Шевчук Марта').id;
+const martaRecords = (await db.getAll()).filter(r => r.participantId === martaId);
+assert(storeSize('participants') === participantsBefore + 1 && martaRecords.length === 1
+    && martaRecords[0].user.participantId === martaId && martaRecords[0].id !== 7,
+    "Імпорт: новий учасник отримує id, його запис — новий id і посилання на учасника");
+
+const olha = importedEntry('Бондар Ольга');
+const broken = importedEntry('Бондар Ольга', { notSerializable: () => {} });
+let importFailed = false;
+try {
+    await db.importEntries([{ key: olha.participantKey, person: { name: 'Бондар Ольга', gender: 'female', birthDate: '2013-03-01', group: '' } }], [olha, broken]);
+} catch (e) {
+    importFailed = true;
+}
+assert(importFailed && storeSize('participants') === participantsBefore + 1 && storeSize('results') === resultsBefore + 1,
+    "Помилка запису одного результату відкочує весь імпорт: ні учасника, ні інших записів");
+
+
 console.log("\n🎉 Всі тести пройшли успішно!");
\ No newline at end of file
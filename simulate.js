@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * SIMULATION CLI
+ *
+ * Прогін синтетичної групи через один або кілька протоколів (конфігів ядра) з однаковим seed:
+ * та сама група учасників, тож різниця в результатах — лише від протоколу.
+ *
+ *   node simulate.js --n 200 --age 7-16 --gender mixed
+ *   node simulate.js --protocol current.json --protocol new.json --seed 7
+ *   node simulate.js --min-delay 1500 --max-delay 3000 --outlier-rule sd --json
+ *
+ * Файл протоколу: { "name": "...", "config": { ...конфіг ReactionTestCore }, "norms": { ...опції calculateBioAge } }
+ * або просто конфіг ядра.
+ */
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { createRandom, profileFromNorms, simulateCohort } from './simulation.js';
+import { BUILTIN_PRESETS, DEFAULT_PRESET_ID, SCORING_DEFAULTS, coreProtocol } from './protocol.js';
+import { translate } from './i18n.js';
+
+// Протокол за замовчуванням — стандартний пресет і ті самі правила підрахунку, що в застосунку
+const BASE_CONFIG = { ...coreProtocol(BUILTIN_PRESETS.find(p => p.id === DEFAULT_PRESET_ID)), ...SCORING_DEFAULTS };
+
+const { values: args } = parseArgs({
+    options: {
+        n: { type: 'string', default: '100' },
+        seed: { type: 'string', default: '1' },
+        age: { type: 'string', default: '7-16' },               // Вік або діапазон "7-16"
+        gender: { type: 'string', default: 'mixed' },           // male | female | mixed
+        'tbr-sd': { type: 'string', default: '0.08' },          // Розкид істинного ТБР у групі
+        sigma: { type: 'string', default: '30' },
+        tau: { type: 'string', default: '50' },
+        miss: { type: 'string', default: '0.02' },
+        anticipation: { type: 'string', default: '0.02' },
+        spam: { type: 'string', default: '0' },
+        protocol: { type: 'string', multiple: true, default: [] },
+        'min-delay': { type: 'string' },
+        'max-delay': { type: 'string' },
+        exposure: { type: 'string' },
+        'outlier-rule': { type: 'string' },
+        'outlier-threshold': { type: 'string' },
+        statistic: { type: 'string' },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+if (args.help) {
+    console.log(readFileSync(new URL(import.meta.url), 'utf8').split('*/')[0].replace(/^#!.*\n\/\*\*\n/, '').replace(/^ \* ?/gm, ''));
+    process.exit(0);
+}
+
+// Параметри командного рядка поверх базового протоколу
+const cliOverrides = Object.fromEntries(Object.entries({
+    minDelay: args['min-delay'] && Number(args['min-delay']),
+    maxDelay: args['max-delay'] && Number(args['max-delay']),
+    exposureTime: args.exposure && Number(args.exposure),
+    outlierRule: args['outlier-rule'],
+    outlierThreshold: args['outlier-threshold'] && Number(args['outlier-threshold']),
+    scoringStatistic: args.statistic
+}).filter(([, value]) => value !== undefined));
+
+const protocols = args.protocol.length
+    ? args.protocol.map(file => {
+        const data = JSON.parse(readFileSync(file, 'utf8'));
+        const config = data.config || data;
+        return { name: data.name || basename(file, '.json'), config: { ...BASE_CONFIG, ...config, ...cliOverrides }, norms: data.norms || {} };
+    })
+    : [{ name: 'протокол', config: { ...BASE_CONFIG, ...cliOverrides }, norms: {} }];
+
+// Група генерується окремим генератором, щоб бути однаковою для всіх протоколів
+const seed = Number(args.seed);
+const [minAge, maxAge = minAge] = args.age.split('-').map(Number);
+const groupRandom = createRandom(seed);
+const profiles = Array.from({ length: Number(args.n) }, () => {
+    const age = Number((minAge + groupRandom() * (maxAge - minAge + (maxAge > minAge ? 1 : 0))).toFixed(2));
+    const gender = args.gender === 'mixed' ? (groupRandom() < 0.5 ? 'male' : 'female') : args.gender;
+    // Box–Muller для істинного ТБР
+    const z = Math.sqrt(-2 * Math.log(1 - groupRandom())) * Math.cos(2 * Math.PI * groupRandom());
+    const tbr = Math.max(0.5, 1 + Number(args['tbr-sd']) * z);
+    return profileFromNorms(Math.min(age, maxAge + 0.99), gender, { tbr, sigma: Number(args.sigma), tau: Number(args.tau) }, {
+        missRate: Number(args.miss),
+        anticipationRate: Number(args.anticipation),
+        spamRate: Number(args.spam)
+    });
+});
+
+const runs = protocols.map(protocol => ({
+    ...protocol,
+    summary: simulateCohort(profiles, protocol.config, { seed: seed + 1, norms: protocol.norms }).summary
+}));
+
+if (args.json) {
+    console.log(JSON.stringify(runs.map(({ name, config, summary }) => ({ name, config, summary })), null, 2));
+    process.exit(0);
+}
+
+const stat = (d, key = 'mean') => (d ? d[key] : '—');
+const percent = (part, total) => (total ? `${(part / total * 100).toFixed(1)}%` : '—');
+const conclusions = [...new Set(runs.flatMap(r => Object.keys(r.summary.byConclusion)))];
+
+const rows = {
+    'Учасників (завершили / відсіяно / без результату)': s => `${s.completed} / ${s.aborted} / ${s.excluded}`,
+    'Час реакції, мс (середнє)': s => stat(s.grandAverage),
+    'Час реакції, мс (SD)': s => stat(s.grandAverage, 'sd'),
+    'Біологічний вік (середнє)': s => stat(s.biologicalAge),
+    'БВ − ПВ, років (середнє)': s => stat(s.ageGap),
+    'БВ − ПВ, років (SD)': s => stat(s.ageGap, 'sd'),
+    'ТБР (середнє)': s => stat(s.tbr),
+    'Похибка ТБР (середнє)': s => stat(s.tbrError),
+    'Похибка ТБР (SD)': s => stat(s.tbrError, 'sd'),
+    'Пропуски': s => percent(s.outcomes.miss, s.outcomes.total),
+    'Випередження': s => percent(s.anticipations.trials, s.anticipations.total),
+    'Спам (зупинок раунду)': s => s.spamEvents,
+    ...Object.fromEntries(conclusions.map(c => [`Висновок: ${translate('uk', `conclusion.${c}`)}`, s => s.byConclusion[c] || 0]))
+};
+
+console.log(`Група: ${args.n} учасників, вік ${args.age}, стать ${args.gender}, seed ${seed}\n`);
+console.table(Object.fromEntries(Object.entries(rows).map(([label, fn]) =>
+    [label, Object.fromEntries(runs.map(r => [r.name, fn(r.summary)]))])));
@@ -0,0 +1,297 @@
+/**
+ * SIMULATION MODULE
+ *
+ * Прогін синтетичних учасників через ReactionTestCore без браузера і без реального часу.
+ * Потрібен, щоб до впровадження нового протоколу (паузи, експозиція, правило викидів)
+ * побачити, як він зсуває оцінки біологічного віку.
+ *
+ * Модель учасника:
+ * - час реакції — ex-Gaussian (нормальний розподіл mu/sigma + експоненційний хвіст tau),
+ *   стандартна модель розподілу часу реакції;
+ * - пропуски, випередження (натискання під час паузи), спам (серія натискань на один стимул);
+ * - режим вибору — помилки відповіді, Go/No-Go — помилки комісії.
+ * Реакція, довша за час експозиції, вважається пропуском.
+ *
+ * Усе детерміноване при однаковому seed.
+ */
+import { ReactionTestCore, CORE_EVENT, TEST_MODE } from './ReactionCore.js';
+import { normsRegistry, NormsRegistry } from './norms.js';
+
+/**
+ * Генератор псевдовипадкових чисел mulberry32.
+ * @param {number} seed
+ * @returns {function(): number} Числа в [0, 1)
+ */
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Нормальний розподіл (Box–Muller)
+const sampleNormal = (random, mean, sd) => {
+    const u = 1 - random(); // (0, 1], щоб не брати log(0)
+    return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * Час реакції з ex-Gaussian розподілу. Середнє = mu + tau.
+ * @param {function(): number} random
+ * @param {{mu: number, sigma: number, tau: number}} rt
+ */
+export function sampleReactionTime(random, { mu, sigma, tau }) {
+    return sampleNormal(random, mu, sigma) - tau * Math.log(1 - random());
+}
+
+/**
+ * Віртуальний годинник: таймери виконуються в порядку часу без реального очікування.
+ * Реалізує інтерфейс timing ядра (now / setTimeout / clearTimeout).
+ */
+export class VirtualClock {
+    constructor() {
+        this.time = 0;
+        this.nextId = 0;
+        this.timers = [];
+    }
+
+    now() {
+        return this.time;
+    }
+
+    setTimeout(callback, delay = 0) {
+        const id = ++this.nextId;
+        this.timers.push({ id, callback, at: this.time + Math.max(0, delay) });
+        // Стабільне сортування: таймери з однаковим часом — у порядку постановки
+        this.timers.sort((a, b) => a.at - b.at || a.id - b.id);
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers = this.timers.filter(t => t.id !== id);
+    }
+
+    /**
+     * Виконує таймери, доки вони є (або доки не вичерпано ліміт — захист від зациклення).
+     * @param {number} [maxSteps=1e6]
+     */
+    run(maxSteps = 1e6) {
+        for (let step = 0; this.timers.length; step++) {
+            if (step >= maxSteps) throw new Error('VirtualClock: too many timer steps');
+            const timer = this.timers.shift();
+            this.time = timer.at;
+            timer.callback();
+        }
+    }
+
+    /**
+     * Об'єкт timing для конструктора ReactionTestCore.
+     * @param {function(): number} [random]
+     */
+    timing(random) {
+        return {
+            now: () => this.now(),
+            setTimeout: (callback, delay) => this.setTimeout(callback, delay),
+            clearTimeout: (id) => this.clearTimeout(id),
+            requestFrame: null,
+            ...(random ? { random } : {})
+        };
+    }
+}
+
+/**
+ * Профіль учасника за замовчуванням (частки — на один стимул).
+ */
+export const DEFAULT_PROFILE = Object.freeze({
+    age: 10,
+    gender: 'male',
+    rt: { mu: 250, sigma: 30, tau: 50 },
+    missRate: 0.02,          // Не відреагував на стимул
+    anticipationRate: 0.02,  // Натиснув під час паузи
+    spamRate: 0,             // Серія натискань на стимул (зупиняє раунд)
+    choiceErrorRate: 0.05,   // Режим вибору: не та клавіша
+    commissionRate: 0.2,     // Go/No-Go: натиснув на "не натискати"
+    maxRetries: 2            // Скільки разів повторюється раунд після спаму, перш ніж учасника відсіяно
+});
+
+/**
+ * Профіль з "істинним" ТБР: середній час реакції = норма віку · tbr.
+ * Дозволяє порівняти оцінений біологічний вік з відомим істинним.
+ * @param {number} age
+ * @param {string} gender
+ * @param {Object} [options]
+ * @param {number} [options.tbr=1] - Істинний темп біологічного розвитку
+ * @param {number} [options.sigma=30]
+ * @param {number} [options.tau=50]
+ * @param {Object} [options.norms] - { tableId, interpolate } — таблиця з реєстру нормативів
+ * @param {Object} [overrides] - Решта полів профілю
+ */
+export function profileFromNorms(age, gender, { tbr = 1, sigma = 30, tau = 50, norms = {} } = {}, overrides = {}) {
+    const table = normsRegistry.get(norms.tableId);
+    const { normMs } = NormsRegistry.lookup(table, age, gender, { interpolate: norms.interpolate ?? true, outOfRange: 'clamp' });
+    const mean = normMs * tbr;
+    return { ...DEFAULT_PROFILE, age, gender, trueTbr: tbr, rt: { mu: mean - tau, sigma, tau }, ...overrides };
+}
+
+/**
+ * Один учасник проходить повний тест із заданим конфігом ядра.
+ * Перерви між раундами пропускаються; після спаму раунд повторюється (як кнопка "Перепройти серію").
+ * @param {Object} profile - DEFAULT_PROFILE або profileFromNorms()
+ * @param {Object} [config] - Конфіг ReactionTestCore
+ * @param {Object} [options]
+ * @param {function(): number} [options.random] - Джерело випадковості (createRandom(seed))
+ * @param {Object} [options.norms] - Опції calculateBioAge ({ tableId, interpolate, outOfRange })
+ * @returns {{profile, results: ?Object, bioAge: ?Object, spamEvents: number, aborted: boolean}}
+ */
+export function simulateParticipant(profile, config = {}, { random = Math.random, norms = {} } = {}) {
+    const p = { ...DEFAULT_PROFILE, ...profile, rt: { ...DEFAULT_PROFILE.rt, ...profile.rt } };
+    const clock = new VirtualClock();
+    const core = new ReactionTestCore(config, clock.timing(random));
+    const presses = new Set();
+
+    const press = (delay, response = null) => {
+        const id = clock.setTimeout(() => {
+            presses.delete(id);
+            core.registerInput(clock.now(), response);
+        }, delay);
+        presses.add(id);
+    };
+
+    let results = null;
+    let spamEvents = 0;
+    let retries = 0;
+    let aborted = false;
+
+    core.on(CORE_EVENT.STIMULUS_SCHEDULED, ({ delay }) => {
+        if (random() < p.anticipationRate) press(random() * delay);
+    });
+
+    core.on(CORE_EVENT.STIMULUS_ONSET, () => {
+        const stimulus = core.state.stimulusSequence[core.state.currentStimulusIndex];
+        if (random() < p.spamRate) {
+            for (let i = 0; i <= core.config.maxSpamClicks; i++) press(80 + i * 40);
+            return;
+        }
+        if (stimulus.nogo && random() >= p.commissionRate) return;
+        if (random() < p.missRate) return;
+
+        const rt = sampleReactionTime(random, p.rt);
+        if (rt >= core.config.exposureTime) return;
+
+        let response = null;
+        if (core.config.mode === TEST_MODE.CHOICE) {
+            const others = core.config.stimulusTypes.filter(t => t.response !== stimulus.response);
+            response = random() < p.choiceErrorRate && others.length
+                ? others[Math.floor(random() * others.length)].response
+                : stimulus.response;
+        }
+        press(Math.max(0, rt), response);
+    });
+
+    core.on(CORE_EVENT.SPAM, () => {
+        spamEvents++;
+        for (const id of presses) clock.clearTimeout(id);
+        presses.clear();
+        if (retries >= p.maxRetries) {
+            aborted = true;
+            return;
+        }
+        retries++;
+        clock.setTimeout(() => core.retryCurrentRound(), 0);
+    });
+
+    core.on(CORE_EVENT.ROUND_COMPLETE, ({ isFinal }) => {
+        if (!isFinal) clock.setTimeout(() => core.startNextRound(), 0);
+    });
+
+    core.on(CORE_EVENT.TEST_COMPLETE, ({ results: final }) => {
+        results = final;
+    });
+
+    core.startNextRound();
+    clock.run();
+
+    const canScore = results && results.grandAverage !== null && core.config.mode === TEST_MODE.SIMPLE;
+    return {
+        profile: p,
+        results,
+        bioAge: canScore ? ReactionTestCore.calculateBioAge(results.grandAverage, p.age, p.gender, { ...norms, modality: results.modality }) : null,
+        spamEvents,
+        aborted
+    };
+}
+
+/**
+ * Група синтетичних учасників і зведена статистика.
+ * @param {Array<Object>|function(number, function(): number): Object} profiles - Масив профілів
+ *        або фабрика (index, random) => профіль
+ * @param {Object} [config] - Конфіг ReactionTestCore
+ * @param {Object} [options]
+ * @param {number} [options.count] - Кількість учасників (для фабрики; для масиву — його довжина)
+ * @param {number} [options.seed=1]
+ * @param {Object} [options.norms] - Опції calculateBioAge
+ * @returns {{participants: Array<Object>, summary: Object}}
+ */
+export function simulateCohort(profiles, config = {}, { count, seed = 1, norms = {} } = {}) {
+    const random = createRandom(seed);
+    const total = Array.isArray(profiles) ? profiles.length : count;
+    const participants = [];
+    for (let i = 0; i < total; i++) {
+        const profile = Array.isArray(profiles) ? profiles[i] : profiles(i, random);
+        participants.push(simulateParticipant(profile, config, { random, norms }));
+    }
+    return { participants, summary: summarizeSimulation(participants) };
+}
+
+/**
+ * Зведення результатів симуляції: розподіли часу реакції і біологічного віку,
+ * висновки, частки помилок; для профілів з trueTbr — похибка оцінки ТБР.
+ * @param {Array<Object>} participants - Результати simulateParticipant()
+ */
+export function summarizeSimulation(participants) {
+    const completed = participants.filter(s => s.results && !s.aborted);
+    const scored = completed.filter(s => s.bioAge);
+    const byConclusion = {};
+    for (const s of scored) byConclusion[s.bioAge.conclusion] = (byConclusion[s.bioAge.conclusion] || 0) + 1;
+
+    const outcomeTotals = {};
+    for (const s of completed) {
+        for (const [key, value] of Object.entries(s.results.outcomes)) {
+            // Частки (accuracy, errorRate) не сумуються — лише лічильники
+            if (key !== 'accuracy' && key !== 'errorRate') outcomeTotals[key] = (outcomeTotals[key] || 0) + value;
+        }
+    }
+
+    // Проби з натисканням до стимулу (validity.js): outcomes.anticipation рахує лише проби, якими воно закінчилось,
+    // а після раннього натискання учасник зазвичай ще й реагує на стимул
+    const rounds = completed.flatMap(s => s.results.roundsDetails);
+    const anticipations = {
+        trials: rounds.reduce((sum, r) => sum + r.validity.metrics.anticipations, 0),
+        total: rounds.reduce((sum, r) => sum + r.trials.length, 0)
+    };
+
+    const withTruth = scored.filter(s => typeof s.profile.trueTbr === 'number');
+    const round2 = (v) => Number(v.toFixed(2));
+    return {
+        participants: participants.length,
+        completed: completed.length,
+        aborted: participants.filter(s => s.aborted).length,
+        excluded: completed.filter(s => s.results.grandAverage === null).length,
+        spamEvents: participants.reduce((sum, s) => sum + s.spamEvents, 0),
+        outcomes: outcomeTotals,
+        anticipations,
+        grandAverage: ReactionTestCore.describe(completed.map(s => s.results.grandAverage).filter(v => v !== null)),
+        biologicalAge: ReactionTestCore.describe(scored.map(s => Number(s.bioAge.biologicalAge))),
+        // Біологічний вік мінус паспортний: зсув оцінки відносно вікової норми
+        ageGap: ReactionTestCore.describe(scored.map(s => round2(Number(s.bioAge.biologicalAge) - s.profile.age))),
+        tbr: ReactionTestCore.describe(scored.map(s => Number(s.bioAge.tbr))),
+        tbrError: withTruth.length
+            ? ReactionTestCore.describe(withTruth.map(s => round2(Number(s.bioAge.tbr) - s.profile.trueTbr)))
+            : null,
+        byConclusion
+    };
+}
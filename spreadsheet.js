@@ -0,0 +1,183 @@
+/**
+ * SPREADSHEET MODULE
+ *
+ * Кодування таблиць (масив рядків, перший — заголовок) у CSV та XLSX без сторонніх бібліотек.
+ * Значення: число — числова клітинка, null/undefined — порожня, усе інше — текст.
+ * Текст ніколи не стає формулою: ПІБ чи клас на зразок "=HYPERLINK(...)" у CSV екрануються апострофом,
+ * а в XLSX записуються як inline string (формул у книзі немає взагалі).
+ */
+
+const encoder = new TextEncoder();
+
+// Початок тексту, з яким Excel / LibreOffice сприймають клітинку CSV як формулу
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * CSV для Excel: UTF-8 з BOM (інакше кирилиця відкривається "кракозябрами"),
+ * роздільник ';' і десяткова кома — як очікує Excel з українськими регіональними налаштуваннями.
+ * @param {Array<Array<*>>} rows
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=';']
+ * @param {boolean} [options.decimalComma=true]
+ * @returns {string}
+ */
+export function toCSV(rows, { delimiter = ';', decimalComma = true } = {}) {
+    const cell = (value) => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') {
+            const text = String(value);
+            return decimalComma ? text.replace('.', ',') : text;
+        }
+        const raw = String(value);
+        const text = FORMULA_START.test(raw) ? `'${raw}` : raw;
+        return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return '\uFEFF' + rows.map(row => row.map(cell).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Мінімальна книга XLSX з одним аркушем (рядки — inline strings, без стилів).
+ * @param {Array<Array<*>>} rows
+ * @param {string} [sheetName='Sheet1']
+ * @returns {Uint8Array} Вміст файлу .xlsx
+ */
+export function toXLSX(rows, sheetName = 'Sheet1') {
+    const sheetRows = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            if (value === null || value === undefined || value === '') return '';
+            if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+        }).join('');
+        return `<row r="${r + 1}">${cells}</row>`;
+    }).join('');
+
+    const files = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+            + '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '</Relationships>',
+        'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + `<sheetData>${sheetRows}</sheetData>`
+            + '</worksheet>'
+    };
+
+    return zipStore(Object.entries(files).map(([name, text]) => ({ name, data: encoder.encode(text) })));
+}
+
+/**
+ * 0 -> A, 25 -> Z, 26 -> AA
+ * @private
+ */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+/**
+ * Екранування для XML; керівні символи, недопустимі в XML 1.0, прибираються.
+ * @private
+ */
+function escapeXml(text) {
+    return text
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * ZIP-архів без стиснення (метод "store") — достатньо для XLSX.
+ * @param {Array<{name: string, data: Uint8Array}>} files
+ * @private
+ */
+function zipStore(files) {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const { name, data } of files) {
+        const nameBytes = encoder.encode(name);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // Підпис локального заголовка
+        local.setUint16(4, 20, true);           // Версія для розпакування
+        local.setUint16(6, 0x0800, true);       // Імена в UTF-8
+        local.setUint16(8, 0, true);            // Без стиснення
+        local.setUint16(10, 0, true);           // Час
+        local.setUint16(12, 0x21, true);        // Дата (1980-01-01)
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+        chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);   // Підпис центрального каталогу
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, 0, true);
+        entry.setUint16(14, 0x21, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, nameBytes.length, true);
+        entry.setUint32(42, offset, true);      // Зсув локального заголовка
+        central.push(new Uint8Array(entry.buffer), nameBytes);
+
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        result.set(part, position);
+        position += part.length;
+    }
+    return result;
+}
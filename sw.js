@@ -0,0 +1,73 @@
+/**
+ * SERVICE WORKER
+ *
+ * Повністю офлайн-робота (спортзали шкіл, сільські амбулаторії без інтернету):
+ * усі файли застосунку кешуються під час встановлення і віддаються з кешу.
+ *
+ * Оновлення: нова версія встановлюється у фоні й чекає (waiting), доки стара обслуговує відкриті вкладки.
+ * Застосунок пропонує оновитися лише між сесіями тестування і надсилає SKIP_WAITING —
+ * код ніколи не підміняється посеред тестування.
+ * При кожному випуску змінюйте CACHE_VERSION: браузер бачить нову версію, лише коли змінився sw.js.
+ */
+
+const CACHE_VERSION = 'bio-age-v3';
+
+// Усе, що потрібно для запуску без мережі: модулі app.js з їхніми імпортами, стилі, Alpine, маніфест
+const PRECACHE_ASSETS = [
+    './',
+    'index.html',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg',
+    'icon-192.png',
+    'icon-512.png',
+    'vendor/alpine-3.14.9.min.js',
+    'app.js',
+    'ReactionCore.js',
+    'events.js',
+    'db.js',
+    'norms.js',
+    'participants.js',
+    'importer.js',
+    'exporter.js',
+    'spreadsheet.js',
+    'report.js',
+    'trend.js',
+    'protocol.js',
+    'roster.js',
+    'audio.js',
+    'calibration.js',
+    'validity.js',
+    'i18n.js',
+    'history.js',
+    'privacy.js'
+];
+
+self.addEventListener('install', (event) => {
+    // cache: 'reload' — повз HTTP-кеш браузера, щоб не закешувати файли попередньої версії
+    event.waitUntil(caches.open(CACHE_VERSION)
+        .then(cache => cache.addAll(PRECACHE_ASSETS.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key)))));
+});
+
+// Команда застосунку: активувати нову версію (app.js перезавантажить сторінку після controllerchange)
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Спершу кеш: версія файлів відповідає активному service worker. Навігація — завжди index.html
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(caches.open(CACHE_VERSION).then(async (cache) => {
+        const cached = request.mode === 'navigate'
+            ? await cache.match('index.html')
+            : await cache.match(request, { ignoreSearch: true });
+        return cached || fetch(request);
+    }));
+});
@@ -0,0 +1,216 @@
+/**
+ * TREND MODULE
+ *
+ * Динаміка одного учасника між сесіями (повторні тестування щосеместру):
+ * точки часової шкали, помітні зміни між сусідніми сесіями та SVG-графіки
+ * часу реакції і біологічного віку від хронологічного віку з кривою норми.
+ */
+import { ageOnDate } from './participants.js';
+import { ReactionTestCore } from './ReactionCore.js';
+import { translate, formatDate, DEFAULT_LOCALE } from './i18n.js';
+
+// Пороги "помітної" зміни між двома сесіями поспіль
+export const CHANGE_THRESHOLDS = Object.freeze({
+    rtRelative: 0.10,   // Час реакції змінився більш ніж на 10%
+    ageGapYears: 1      // Різниця БВ − ПВ змінилася більш ніж на рік
+});
+
+/**
+ * Сесії учасника в хронологічному порядку.
+ * Лише проста реакція: нормативи та біологічний вік є тільки для неї.
+ * Модальності не змішуються: слухова реакція швидша за зорову.
+ * @param {Array<Object>} records - Записи з БД одного учасника
+ * @param {string} [modality='visual'] - Записи без модальності вважаються зоровими
+ * @returns {Array<{id, date: Date, age: ?number, grandAverage: number, biologicalAge: ?number, tbr: ?number, conclusion: ?string}>}
+ *          conclusion — код CONCLUSION (текстові висновки старих записів перетворюються на коди)
+ */
+export function participantTimeline(records, modality = 'visual') {
+    return records
+        .filter(r => (r.results?.mode || 'simple') === 'simple' && r.results?.grandAverage != null)
+        .filter(r => (r.results.modality || 'visual') === modality)
+        .map(r => {
+            const date = new Date(r.date);
+            const age = r.user.age === '' || r.user.age == null ? ageOnDate(r.user.birthDate, date) : Number(r.user.age);
+            return {
+                id: r.id,
+                date,
+                age,
+                grandAverage: r.results.grandAverage,
+                biologicalAge: r.bioAge ? Number(r.bioAge.biologicalAge) : null,
+                tbr: r.bioAge ? Number(r.bioAge.tbr) : null,
+                conclusion: ReactionTestCore.conclusionCode(r.bioAge?.conclusion)
+            };
+        })
+        .sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Текст зміни мовою локалі (ключі 'trend.change.*' каталогу i18n).
+ * @param {{kind: string, params: Object}} change - Елемент detectChanges()
+ * @param {string} [locale=DEFAULT_LOCALE]
+ * @returns {string}
+ */
+export function changeText({ kind, params }, locale = DEFAULT_LOCALE) {
+    if (kind === 'conclusion') {
+        return translate(locale, 'trend.change.conclusion', {
+            from: translate(locale, `conclusion.${params.from}`),
+            to: translate(locale, `conclusion.${params.to}`)
+        });
+    }
+    const key = kind === 'age-gap' ? `trend.change.age-gap-${params.direction}` : `trend.change.${kind}`;
+    return translate(locale, key, params);
+}
+
+/**
+ * Помітні зміни між сусідніми сесіями.
+ * @param {Array<Object>} points - Результат participantTimeline()
+ * @param {Object} [thresholds=CHANGE_THRESHOLDS]
+ * @returns {Array<{from: number, to: number, kind: string, params: Object, message: string}>}
+ *          from/to — індекси точок; params — для changeText(), message — український текст
+ */
+export function detectChanges(points, thresholds = CHANGE_THRESHOLDS) {
+    const changes = [];
+    const add = (from, to, kind, params) => {
+        const change = { from, to, kind, params };
+        changes.push({ ...change, message: changeText(change) });
+    };
+
+    for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        const curr = points[i];
+
+        const relative = (curr.grandAverage - prev.grandAverage) / prev.grandAverage;
+        if (Math.abs(relative) > thresholds.rtRelative) {
+            add(i - 1, i, relative > 0 ? 'rt-slower' : 'rt-faster',
+                { percent: Math.round(Math.abs(relative) * 100), from: prev.grandAverage, to: curr.grandAverage });
+        }
+
+        if (prev.conclusion && curr.conclusion && prev.conclusion !== curr.conclusion) {
+            add(i - 1, i, 'conclusion', { from: prev.conclusion, to: curr.conclusion });
+        }
+
+        if ([prev.biologicalAge, prev.age, curr.biologicalAge, curr.age].every(v => v !== null)) {
+            const gapChange = (curr.biologicalAge - curr.age) - (prev.biologicalAge - prev.age);
+            if (Math.abs(gapChange) > thresholds.ageGapYears) {
+                add(i - 1, i, 'age-gap', { years: Math.abs(gapChange).toFixed(1), direction: gapChange > 0 ? 'up' : 'down' });
+            }
+        }
+    }
+    return changes;
+}
+
+/**
+ * Крива норми для статі з таблиці реєстру нормативів.
+ * @param {Object} table - Таблиця з NormsRegistry
+ * @param {string} gender
+ * @returns {Array<{age: number, ms: number}>}
+ */
+export function normCurve(table, gender) {
+    return Object.entries(table.values[gender] || {})
+        .map(([age, ms]) => ({ age: Number(age), ms }))
+        .sort((a, b) => a.age - b.age);
+}
+
+/**
+ * Лінійна шкала з "круглими" позначками.
+ * @private
+ */
+function scale(min, max, from, to) {
+    if (min === max) { min -= 1; max += 1; }
+    return { min, max, map: (v) => from + ((v - min) / (max - min)) * (to - from) };
+}
+
+/**
+ * Один графік: вісь X — хронологічний вік, лінії серій та підписи осей.
+ * @private
+ */
+function chartSvg({ title, yLabel, xLabel, series, width = 640, height = 240 }) {
+    const pad = { top: 24, right: 16, bottom: 36, left: 48 };
+    const all = series.flatMap(s => s.points);
+    const x = scale(Math.floor(Math.min(...all.map(p => p.x))), Math.ceil(Math.max(...all.map(p => p.x))), pad.left, width - pad.right);
+    const yValues = all.map(p => p.y);
+    const y = scale(Math.min(...yValues), Math.max(...yValues), height - pad.bottom, pad.top);
+
+    const xTicks = [];
+    for (let age = x.min; age <= x.max; age++) {
+        xTicks.push(`<line x1="${x.map(age).toFixed(1)}" x2="${x.map(age).toFixed(1)}" y1="${pad.top}" y2="${height - pad.bottom}" stroke="#eee"/>`
+            + `<text x="${x.map(age).toFixed(1)}" y="${height - pad.bottom + 14}" text-anchor="middle">${age}</text>`);
+    }
+    const yTicks = [0, 0.5, 1].map(t => {
+        const v = y.min + (y.max - y.min) * t;
+        return `<text x="${pad.left - 6}" y="${(y.map(v) + 4).toFixed(1)}" text-anchor="end">${Math.round(v * 10) / 10}</text>`;
+    });
+
+    const lines = series.map(s => {
+        const path = s.points.map(p => `${x.map(p.x).toFixed(1)},${y.map(p.y).toFixed(1)}`).join(' ');
+        const dots = s.markers === false ? '' : s.points.map(p =>
+            `<circle cx="${x.map(p.x).toFixed(1)}" cy="${y.map(p.y).toFixed(1)}" r="${p.flagged ? 5 : 3.5}" fill="${p.flagged ? '#f59e0b' : s.color}">`
+            + `<title>${p.title || ''}</title></circle>`).join('');
+        return `<polyline points="${path}" fill="none" stroke="${s.color}" stroke-width="2"${s.dashed ? ' stroke-dasharray="5 4"' : ''}/>` + dots;
+    });
+
+    const legend = series.map((s, i) =>
+        `<text x="${pad.left + i * 150}" y="14" fill="${s.color}">${s.dashed ? '- -' : '—'} ${s.label}</text>`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="100%" font-size="11" font-family="sans-serif" role="img" aria-label="${title}">`
+        + xTicks.join('') + yTicks.join('') + lines.join('') + legend.join('')
+        + `<text x="${pad.left + (width - pad.left - pad.right) / 2}" y="${height - 4}" text-anchor="middle">${xLabel}</text>`
+        + `<text x="12" y="${pad.top + (height - pad.top - pad.bottom) / 2}" text-anchor="middle" transform="rotate(-90 12 ${pad.top + (height - pad.top - pad.bottom) / 2})">${yLabel}</text>`
+        + '</svg>';
+}
+
+/**
+ * Графіки динаміки: час реакції з кривою норми і біологічний вік відносно паспортного (лінія БВ = ПВ).
+ * @param {Array<Object>} points - Результат participantTimeline()
+ * @param {Array<{age: number, ms: number}>} norm - Результат normCurve()
+ * @param {Array<Object>} [changes=[]] - Результат detectChanges(): точки зі змінами виділяються
+ * @param {string} [locale=DEFAULT_LOCALE] - Мова підписів і формат дат
+ * @returns {{rt: string, bioAge: ?string}} SVG-розмітка; bioAge = null, якщо біологічний вік не рахувався
+ */
+export function trendCharts(points, norm, changes = [], locale = DEFAULT_LOCALE) {
+    const t = (key, params) => translate(locale, key, params);
+    const flagged = new Set(changes.map(c => c.to));
+    const withAge = points.map((p, i) => ({ ...p, flagged: flagged.has(i) })).filter(p => p.age !== null);
+    if (!withAge.length) return { rt: '', bioAge: null };
+
+    // Норма лише в межах віку учасника (± рік), інакше крива стискає графік
+    const minAge = Math.floor(Math.min(...withAge.map(p => p.age))) - 1;
+    const maxAge = Math.ceil(Math.max(...withAge.map(p => p.age))) + 1;
+    const normPoints = norm.filter(n => n.age >= minAge && n.age <= maxAge).map(n => ({ x: n.age, y: n.ms }));
+
+    const rt = chartSvg({
+        title: t('chart.rtTitle'),
+        yLabel: t('chart.ms'),
+        xLabel: t('chart.ageAxis'),
+        series: [
+            ...(normPoints.length ? [{ label: t('chart.norm'), color: '#16a34a', dashed: true, markers: false, points: normPoints }] : []),
+            {
+                label: t('chart.meanRt'), color: '#2563eb',
+                points: withAge.map(p => ({
+                    x: p.age, y: p.grandAverage, flagged: p.flagged,
+                    title: t('chart.rtPoint', { date: formatDate(p.date, locale), rt: p.grandAverage })
+                }))
+            }
+        ]
+    });
+
+    const scored = withAge.filter(p => p.biologicalAge !== null);
+    const bioAge = !scored.length ? null : chartSvg({
+        title: t('chart.bioAgeTitle'),
+        yLabel: t('chart.years'),
+        xLabel: t('chart.ageAxis'),
+        series: [
+            { label: t('chart.bioAgeEqualsAge'), color: '#9ca3af', dashed: true, markers: false,
+                points: [minAge + 1, maxAge - 1].map(age => ({ x: age, y: age })) },
+            {
+                label: t('chart.bioAge'), color: '#dc2626',
+                points: scored.map(p => ({
+                    x: p.age, y: p.biologicalAge, flagged: p.flagged,
+                    title: t('chart.bioAgePoint', { date: formatDate(p.date, locale), bioAge: p.biologicalAge, tbr: p.tbr })
+                }))
+            }
+        ]
+    });
+
+    return { rt, bioAge };
+}
@@ -0,0 +1,124 @@
+/**
+ * VALIDITY MODULE
+ *
+ * Аналіз достовірності серії за її пробами (trials ядра): чи учасник справді реагував на стимули.
+ * - випередження: натискання під час паузи, до появи стимулу;
+ * - ритмічні натискання: інтервали між натисканнями регулярніші за інтервали між стимулами —
+ *   учасник тисне у власному ритмі, підлаштованому під паузу, а не на стимул;
+ * - серії пропусків поспіль — неуважність.
+ * Вердикт серії — найгірший з вердиктів окремих ознак. На розрахунок результату не впливає:
+ * рішення, чи зараховувати сумнівну серію, приймає дослідник.
+ */
+export const VALIDITY = Object.freeze({
+    VALID: 'valid',
+    QUESTIONABLE: 'questionable',
+    INVALID: 'invalid'
+});
+
+// Порядок для вибору найгіршого вердикту
+const SEVERITY = [VALIDITY.VALID, VALIDITY.QUESTIONABLE, VALIDITY.INVALID];
+
+export const VALIDITY_THRESHOLDS = Object.freeze({
+    anticipationRate: { questionable: 0.1, invalid: 0.25 },  // Частка проб з натисканням до появи стимулу
+    // Відношення CV інтервалів між натисканнями до CV інтервалів між появами стимулів.
+    // При реакції на стимул воно ≈ 1 і більше (до розкиду пауз додається розкид часу реакції)
+    rhythmRatio: { questionable: 0.6, invalid: 0.35 },
+    minRhythmIntervals: 8,                                   // Менше інтервалів — ритм не оцінюється
+    missRun: { questionable: 3, invalid: 5 }                 // Пропусків поспіль
+});
+
+/**
+ * Найгірший з вердиктів.
+ * @param {string[]} verdicts - VALIDITY
+ * @returns {string}
+ */
+export function worstVerdict(verdicts) {
+    return verdicts.reduce((worst, v) => (SEVERITY.indexOf(v) > SEVERITY.indexOf(worst) ? v : worst), VALIDITY.VALID);
+}
+
+// Коефіцієнт варіації; null, якщо значень замало
+const cv = (values) => {
+    if (values.length < 2) return null;
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (values.length - 1));
+    return mean ? sd / mean : null;
+};
+
+const intervals = (times) => times.slice(1).map((t, i) => t - times[i]);
+
+// Вердикт за значенням і порогами; lowerIsWorse — для показників, де підозріло мале значення
+const grade = (value, { questionable, invalid }, lowerIsWorse = false) => {
+    const exceeds = (limit) => (lowerIsWorse ? value <= limit : value >= limit);
+    if (exceeds(invalid)) return VALIDITY.INVALID;
+    if (exceeds(questionable)) return VALIDITY.QUESTIONABLE;
+    return VALIDITY.VALID;
+};
+
+/**
+ * Моменти всіх натискань серії на шкалі часу ядра.
+ * offset випередження рахується від запланованої появи, решти — від фактичної.
+ * @private
+ */
+function pressTimes(trials) {
+    return trials
+        .flatMap(trial => trial.presses.map(press =>
+            (press.type === 'anticipation' ? trial.plannedOnset : (trial.onset ?? trial.plannedOnset)) + press.offset))
+        .filter(Number.isFinite)
+        .sort((a, b) => a - b);
+}
+
+/**
+ * Найдовша серія пропусків поспіль (проби "не натискати" в Go/No-Go серію не переривають і не подовжують).
+ * @private
+ */
+function longestMissRun(trials) {
+    let longest = 0;
+    let current = 0;
+    for (const trial of trials) {
+        if (trial.nogo) continue;
+        current = trial.outcome === 'miss' ? current + 1 : 0;
+        longest = Math.max(longest, current);
+    }
+    return longest;
+}
+
+/**
+ * Достовірність однієї серії.
+ * @param {Array<Object>} trials - Проби серії (createTrial ядра)
+ * @param {Object} [thresholds=VALIDITY_THRESHOLDS]
+ * @returns {{verdict: string, reasons: Array<{code: string, verdict: string, params: Object}>, metrics: Object}}
+ *          reasons — лише ознаки з вердиктом, гіршим за valid; текст — ключ 'validity.reason.<code>' каталогу i18n з params
+ */
+export function analyzeRound(trials, thresholds = VALIDITY_THRESHOLDS) {
+    const reasons = [];
+    const add = (code, verdict, params) => {
+        if (verdict !== VALIDITY.VALID) reasons.push({ code, verdict, params });
+    };
+
+    const anticipations = trials.filter(t => t.presses.some(p => p.type === 'anticipation')).length;
+    const anticipationRate = trials.length ? anticipations / trials.length : 0;
+    add('anticipation', grade(anticipationRate, thresholds.anticipationRate),
+        { count: anticipations, total: trials.length });
+
+    const pressIntervals = intervals(pressTimes(trials));
+    const onsetIntervals = intervals(trials.map(t => t.onset).filter(Number.isFinite));
+    const pressCv = cv(pressIntervals);
+    const onsetCv = cv(onsetIntervals);
+    // Без розкиду пауз (minDelay = maxDelay) ритм не відрізнити від реакцій
+    const rhythmRatio = pressIntervals.length >= thresholds.minRhythmIntervals && pressCv !== null && onsetCv
+        ? Number((pressCv / onsetCv).toFixed(2))
+        : null;
+    if (rhythmRatio !== null) {
+        add('rhythm', grade(rhythmRatio, thresholds.rhythmRatio, true),
+            { pressCv: Math.round(pressCv * 100), onsetCv: Math.round(onsetCv * 100) });
+    }
+
+    const missRun = longestMissRun(trials);
+    add('miss-run', grade(missRun, thresholds.missRun), { count: missRun });
+
+    return {
+        verdict: worstVerdict(reasons.map(r => r.verdict)),
+        reasons,
+        metrics: { anticipations, anticipationRate: Number(anticipationRate.toFixed(2)), rhythmRatio, missRun }
+    };
+}